@@ -2,24 +2,101 @@ import dotenv from 'dotenv';
 
 dotenv.config()
 
+const irysNetwork = process.env.IRYS_NETWORK || 'devnet';
+
+function parseTrustProxy(value = '') {
+  if (value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 export const config = {
   server: {
     port: process.env.PORT || 3000,
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    // Express "trust proxy" setting: "true", a number of hops, or addresses/subnets of the proxies
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
   },
   irys: {
     privateKey: process.env.PRIVATE_KEY,
-    network: process.env.IRYS_NETWORK || 'devnet',
-    gatewayUrl: process.env.IRYS_GATEWAY_URL || 'https://gateway.irys.xyz'
+    network: irysNetwork,
+    gatewayUrl: process.env.IRYS_GATEWAY_URL || 'https://gateway.irys.xyz',
+    // GraphQL endpoint used to rebuild the object index from transaction tags
+    graphqlUrl: process.env.IRYS_GRAPHQL_URL || {
+      mainnet: 'https://uploader.irys.xyz/graphql',
+      devnet: 'https://devnet.irys.xyz/graphql'
+    }[irysNetwork],
+    // Token the default wallet pays with: ethereum, matic, solana, arweave, ...
+    token: (process.env.IRYS_TOKEN || 'ethereum').toLowerCase(),
+    providerUrl: process.env.IRYS_PROVIDER_URL,
+    // Extra funded wallets as name:token pairs, and bucket:wallet overrides
+    wallets: process.env.IRYS_WALLETS || '',
+    bucketWallets: process.env.IRYS_BUCKET_WALLETS || ''
+  },
+  storage: {
+    // "irys" uploads to the network; "local" keeps objects on disk for offline dev and tests
+    backend: process.env.STORAGE_BACKEND || (irysNetwork === 'local' ? 'local' : 'irys'),
+    localDir: process.env.LOCAL_STORAGE_DIR || './data/local-irys',
+    // Starting balance of each local wallet, in atomic units (uploads cost 1 unit per byte)
+    localBalance: process.env.LOCAL_STORAGE_BALANCE || '1000000000000000000'
   },
   database: {
+    // "sqlite" keeps metadata in a local file; "postgres" lets several API replicas share it
+    driver: process.env.DATABASE_DRIVER || (process.env.DATABASE_URL ? 'postgres' : 'sqlite'),
     path: process.env.DB_PATH || './data/s3-irys.db',
+    url: process.env.DATABASE_URL,
+    poolSize: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10)
   },
   api: {
     maxFileSize: process.env.MAX_FILE_SIZE || '100mb',
+    uploadTempDir: process.env.UPLOAD_TEMP_DIR || './data/tmp',
     enableCors: process.env.ENABLE_CORS === 'true',
+    autoCreateBuckets: process.env.AUTO_CREATE_BUCKETS === 'true',
     apiKey: process.env.API_KEY
   },
+  multipart: {
+    stagingDir: process.env.MULTIPART_STAGING_DIR || './data/multipart',
+    minPartSize: parseInt(process.env.MULTIPART_MIN_PART_SIZE || String(5 * 1024 * 1024), 10),
+    expiryHours: parseFloat(process.env.MULTIPART_EXPIRY_HOURS || '24'),
+    sweepIntervalMinutes: parseFloat(process.env.MULTIPART_SWEEP_INTERVAL_MINUTES || '60')
+  },
+  uploadQueue: {
+    // Spool PUT bodies to disk and upload them in the background, retrying failures
+    enabled: process.env.UPLOAD_QUEUE_ENABLED === 'true',
+    spoolDir: process.env.UPLOAD_SPOOL_DIR || './data/spool',
+    maxAttempts: parseInt(process.env.UPLOAD_MAX_ATTEMPTS || '10', 10),
+    retryBaseDelaySeconds: parseFloat(process.env.UPLOAD_RETRY_BASE_DELAY_SECONDS || '5'),
+    retryMaxDelaySeconds: parseFloat(process.env.UPLOAD_RETRY_MAX_DELAY_SECONDS || '3600'),
+    pollIntervalSeconds: parseFloat(process.env.UPLOAD_QUEUE_POLL_INTERVAL_SECONDS || '5')
+  },
+  receipts: {
+    // Re-verify every stored upload receipt on this interval; 0 disables the job
+    verifyIntervalHours: parseFloat(process.env.RECEIPT_VERIFY_INTERVAL_HOURS || '0')
+  },
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    dir: process.env.CACHE_DIR || './data/cache',
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE || String(1024 * 1024 * 1024), 10)
+  },
+  funding: {
+    // Thresholds are bytes of upload capacity, priced in each wallet's own token
+    monitorEnabled: process.env.BALANCE_MONITOR_ENABLED === 'true',
+    checkIntervalMinutes: parseFloat(process.env.BALANCE_CHECK_INTERVAL_MINUTES || '5'),
+    lowWaterBytes: parseInt(process.env.BALANCE_LOW_WATER_BYTES || String(1024 * 1024 * 1024), 10),
+    targetBytes: parseInt(process.env.BALANCE_TARGET_BYTES || String(10 * 1024 * 1024 * 1024), 10),
+    autoFund: process.env.AUTO_FUND_ENABLED === 'true',
+    // Most the default wallet may auto-fund per 24 hours, in atomic units
+    dailyCap: process.env.AUTO_FUND_DAILY_CAP || '',
+    alertWebhookUrl: process.env.BALANCE_ALERT_WEBHOOK_URL
+  },
+  auth: {
+    accessKeys: process.env.ACCESS_KEYS || '',
+    maxClockSkew: parseInt(process.env.AUTH_MAX_CLOCK_SKEW || '900', 10)
+  },
 };
 
 export default config;
\ No newline at end of file
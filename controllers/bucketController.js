@@ -0,0 +1,217 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createBucket as createBucketRecord,
+  getBucket,
+  isBucketEmpty,
+  deleteBucket as deleteBucketRecord,
+  getBucketPolicy as getBucketPolicyDocument,
+  setBucketPolicy
+} from '../lib/database.js';
+import { sendS3Error } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+import { parseBucketPolicy, MalformedPolicyError } from '../lib/bucketPolicy.js';
+
+/**
+ * S3-compatible CreateBucket operation
+ * Any CreateBucketConfiguration body is accepted and ignored; there is a single region
+ */
+export async function createBucket(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:CreateBucket', bucket)) {
+      return;
+    }
+
+    if (!isValidBucketName(bucket)) {
+      return sendS3Error(req, res, 400, 'InvalidBucketName', 'The specified bucket is not valid.');
+    }
+
+    const created = await createBucketRecord(bucket);
+    if (!created) {
+      return sendS3Error(req, res, 409, 'BucketAlreadyOwnedByYou', 'Your previous request to create the named bucket succeeded and you already own it.');
+    }
+
+    console.log(`Created bucket ${bucket}`);
+
+    res.set({
+      'Location': `/${bucket}`,
+      'x-amz-request-id': uuidv4()
+    });
+    res.status(200).send();
+
+  } catch (error) {
+    console.error('Error in createBucket:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to create bucket', error.message);
+  }
+}
+
+/**
+ * S3-compatible HeadBucket operation
+ * Check that a bucket exists
+ */
+export async function headBucket(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:ListBucket', bucket)) {
+      return;
+    }
+
+    if (!await getBucket(bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(200).send();
+
+  } catch (error) {
+    console.error('Error in headBucket:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get bucket', error.message);
+  }
+}
+
+/**
+ * S3-compatible DeleteBucket operation
+ * Only empty buckets can be deleted: no object versions, delete markers or multipart uploads
+ */
+export async function deleteBucket(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:DeleteBucket', bucket)) {
+      return;
+    }
+
+    if (!await getBucket(bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    if (!await isBucketEmpty(bucket)) {
+      return sendS3Error(req, res, 409, 'BucketNotEmpty', 'The bucket you tried to delete is not empty');
+    }
+
+    await deleteBucketRecord(bucket);
+    console.log(`Deleted bucket ${bucket}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Error in deleteBucket:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to delete bucket', error.message);
+  }
+}
+
+/**
+ * S3-compatible GetBucketPolicy operation
+ * Return the bucket policy document as it was set
+ */
+export async function getBucketPolicy(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:GetBucketPolicy', bucket)) {
+      return;
+    }
+
+    if (!await getBucket(bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    const policy = await getBucketPolicyDocument(bucket);
+    if (!policy) {
+      return sendS3Error(req, res, 404, 'NoSuchBucketPolicy', 'The bucket policy does not exist');
+    }
+
+    res.set({
+      'Content-Type': 'application/json',
+      'x-amz-request-id': uuidv4()
+    });
+    res.status(200).send(policy);
+
+  } catch (error) {
+    console.error('Error in getBucketPolicy:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get bucket policy', error.message);
+  }
+}
+
+/**
+ * S3-compatible PutBucketPolicy operation
+ * The policy is validated before it is stored (see lib/bucketPolicy.js for what is supported)
+ */
+export async function putBucketPolicy(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:PutBucketPolicy', bucket)) {
+      return;
+    }
+
+    if (!await getBucket(bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    try {
+      parseBucketPolicy(req.body, bucket);
+    } catch (parseError) {
+      if (parseError instanceof MalformedPolicyError) {
+        return sendS3Error(req, res, 400, 'MalformedPolicy', parseError.message);
+      }
+      throw parseError;
+    }
+
+    await setBucketPolicy(bucket, req.body.toString('utf8'));
+    console.log(`Set the policy of bucket ${bucket}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Error in putBucketPolicy:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to set bucket policy', error.message);
+  }
+}
+
+/**
+ * S3-compatible DeleteBucketPolicy operation
+ * Succeeds whether or not the bucket had a policy
+ */
+export async function deleteBucketPolicy(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:DeleteBucketPolicy', bucket)) {
+      return;
+    }
+
+    if (!await getBucket(bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    await setBucketPolicy(bucket, null);
+    console.log(`Removed the policy of bucket ${bucket}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Error in deleteBucketPolicy:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to delete bucket policy', error.message);
+  }
+}
+
+/**
+ * Validate a bucket name against the S3 general purpose bucket naming rules
+ * @param {string} name - Bucket name
+ * @returns {boolean} True if the name is valid
+ */
+function isValidBucketName(name) {
+  return /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(name)
+    && !name.includes('..')
+    && !/^\d+\.\d+\.\d+\.\d+$/.test(name)
+    && !name.startsWith('xn--')
+    && !name.startsWith('sthree-')
+    && !name.endsWith('-s3alias')
+    && !name.endsWith('--ol-s3');
+}
@@ -0,0 +1,492 @@
+import mime from 'mime-types';
+import { v4 as uuidv4 } from 'uuid';
+import { uploadToIrys, getObjectUrl, checkUploadFunds } from '../lib/irysClient.js';
+import {
+  storeObjectMapping,
+  createMultipartUpload as createMultipartUploadRecord,
+  getMultipartUpload,
+  listMultipartUploads as listMultipartUploadRecords,
+  storeMultipartPart,
+  listMultipartParts,
+  claimMultipartUpload,
+  releaseMultipartUpload
+} from '../lib/database.js';
+import {
+  stagePart,
+  removeStagedPart,
+  createAssembledStream,
+  computeMultipartEtag,
+  computeCompositeChecksum,
+  discardMultipartUpload
+} from '../lib/multipart.js';
+import { CHECKSUM_ALGORITHMS, checksumFields } from '../lib/checksums.js';
+import { sendS3Result, sendS3Error, objectLocation } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+import { parseXml } from '../lib/xml.js';
+import { extractMetadata, buildObjectTags, versionHeaders } from '../lib/objectMetadata.js';
+import { readTaggingHeader } from './s3Controller.js';
+import config from '../config/config.js';
+
+const MAX_PART_NUMBER = 10000;
+
+const OWNER = {
+  DisplayName: 'irys-user',
+  ID: 'irys-user'
+};
+
+/**
+ * S3-compatible CreateMultipartUpload operation
+ * Start a multipart upload; parts are staged locally until completion
+ */
+export async function createMultipartUpload(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:PutObject', bucket, key)) {
+      return;
+    }
+
+    const tagging = await readTaggingHeader(req, res, bucket, key);
+    if (!tagging) {
+      return;
+    }
+
+    const contentType = req.get('Content-Type') || mime.lookup(key) || 'application/octet-stream';
+    const metadata = extractMetadata(req.headers);
+    const uploadId = uuidv4().replace(/-/g, '');
+
+    await createMultipartUploadRecord(uploadId, bucket, key, contentType, metadata, tagging);
+    console.log(`Initiated multipart upload ${uploadId} for ${bucket}/${key}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'InitiateMultipartUploadResult', {
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId
+    });
+
+  } catch (error) {
+    console.error('Error in createMultipartUpload:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to create multipart upload', error.message);
+  }
+}
+
+/**
+ * S3-compatible UploadPart operation
+ * Stage one part of a multipart upload on local disk
+ */
+export async function uploadPart(req, res) {
+  try {
+    const { bucket, key } = req.params;
+    const { uploadId } = req.query;
+
+    if (!await authorize(req, res, 's3:PutObject', bucket, key)) {
+      return;
+    }
+
+    const partNumber = parsePartNumber(req.query.partNumber);
+    if (partNumber === null) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', `Part number must be an integer between 1 and ${MAX_PART_NUMBER}, inclusive`);
+    }
+
+    const upload = await findUpload(uploadId, bucket, key);
+    if (!upload) {
+      return sendNoSuchUpload(req, res);
+    }
+    if (upload.status !== 'open') {
+      return sendUploadCompleting(req, res);
+    }
+
+    if (!req.upload) {
+      return sendS3Error(req, res, 400, 'MissingBody', 'Request body is empty');
+    }
+
+    const part = await stagePart(uploadId, partNumber, req.upload);
+    const stored = await storeMultipartPart(uploadId, partNumber, part.size, part.etag, part.path, part.checksum);
+    if (!stored) {
+      // Completed, aborted or claimed for completion while the part was arriving
+      await removeStagedPart(part.path);
+      return sendUploadGone(req, res, uploadId, bucket, key);
+    }
+    if (stored.previousPath) {
+      await removeStagedPart(stored.previousPath);
+    }
+
+    res.set({
+      'ETag': part.etag,
+      'x-amz-request-id': uuidv4()
+    });
+    if (part.checksum) {
+      res.set(`x-amz-checksum-${part.checksum.algorithm}`, part.checksum.value);
+    }
+    res.status(200).send();
+
+  } catch (error) {
+    console.error('Error in uploadPart:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to upload part', error.message);
+  }
+}
+
+/**
+ * S3-compatible CompleteMultipartUpload operation
+ * Claim the upload, so a retried or concurrent Complete cannot upload and pay for it twice,
+ * then assemble the staged parts, upload the object to Irys and store the mapping.
+ * The upload is reopened if anything fails before the object is stored
+ */
+export async function completeMultipartUpload(req, res) {
+  const { uploadId } = req.query;
+  let claimed = false;
+  let completed = false;
+
+  // Reopen a claimed upload before answering, so a client can retry as soon as it sees the error
+  const sendClaimedError = async (...args) => {
+    if (claimed && !completed) {
+      claimed = false;
+      await releaseMultipartUpload(uploadId).catch(error => {
+        console.error('Error reopening multipart upload:', error);
+      });
+    }
+    sendS3Error(req, res, ...args);
+  };
+
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:PutObject', bucket, key)) {
+      return;
+    }
+
+    const upload = await findUpload(uploadId, bucket, key);
+    if (!upload) {
+      return sendNoSuchUpload(req, res);
+    }
+
+    let requestedParts;
+    try {
+      const document = parseXml(req.body, { arrays: ['Part'] });
+      requestedParts = (document.CompleteMultipartUpload?.Part || []).map(part => ({
+        partNumber: parsePartNumber(part.PartNumber),
+        etag: normalizeEtag(part.ETag),
+        checksums: readPartChecksums(part)
+      }));
+    } catch (parseError) {
+      requestedParts = null;
+    }
+
+    if (!requestedParts || requestedParts.length === 0 || requestedParts.some(part => part.partNumber === null)) {
+      return sendS3Error(req, res, 400, 'MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+    }
+
+    claimed = await claimMultipartUpload(uploadId);
+    if (!claimed) {
+      return sendUploadGone(req, res, uploadId, bucket, key);
+    }
+
+    const stagedParts = new Map();
+    (await listMultipartParts(uploadId)).forEach(part => stagedParts.set(part.part_number, part));
+
+    const parts = [];
+    for (let i = 0; i < requestedParts.length; i++) {
+      const requested = requestedParts[i];
+
+      if (i > 0 && requested.partNumber <= requestedParts[i - 1].partNumber) {
+        return sendClaimedError(400, 'InvalidPartOrder', 'The list of parts was not in ascending order. The parts list must be specified in order by part number.');
+      }
+
+      const staged = stagedParts.get(requested.partNumber);
+      if (!staged || normalizeEtag(staged.etag) !== requested.etag || !partChecksumsMatch(staged, requested.checksums)) {
+        return sendClaimedError(400, 'InvalidPart', 'One or more of the specified parts could not be found. The part might not have been uploaded, or the specified entity tag might not have matched the part\'s entity tag.');
+      }
+
+      const isLast = i === requestedParts.length - 1;
+      if (!isLast && staged.size < config.multipart.minPartSize) {
+        return sendClaimedError(400, 'EntityTooSmall', 'Your proposed upload is smaller than the minimum allowed object size.');
+      }
+
+      parts.push(staged);
+    }
+
+    const size = parts.reduce((total, part) => total + part.size, 0);
+
+    const funds = await checkUploadFunds(size, { bucket });
+    if (!funds.sufficient) {
+      return sendClaimedError(403, 'InsufficientFunds', `Uploading ${size} bytes costs ${funds.price} atomic units, but wallet ${funds.wallet} has a balance of ${funds.balance}.`);
+    }
+
+    const etag = computeMultipartEtag(parts);
+    const checksum = computeCompositeChecksum(parts);
+    const customTags = buildObjectTags(bucket, key, upload.metadata, upload.tagging);
+
+    console.log(`Uploading ${key} to Irys from ${parts.length} parts (${size} bytes)`);
+
+    const irysReceipt = await uploadToIrys(createAssembledStream(parts), upload.content_type, customTags, { bucket });
+    const objectRecord = await storeObjectMapping(
+      bucket,
+      key,
+      irysReceipt,
+      upload.content_type,
+      size,
+      upload.metadata,
+      { etag, checksum, tagging: upload.tagging }
+    );
+    completed = true;
+
+    await discardMultipartUpload(uploadId, 'completing');
+
+    const objectUrl = getObjectUrl(irysReceipt.id) || objectLocation(req, bucket, key);
+
+    res.set({
+      'x-amz-request-id': uuidv4(),
+      'x-irys-transaction-id': irysReceipt.id,
+      ...versionHeaders(objectRecord)
+    });
+    sendS3Result(req, res, 'CompleteMultipartUploadResult', {
+      Location: objectUrl,
+      Bucket: bucket,
+      Key: key,
+      ETag: objectRecord.etag,
+      ...checksumFields(objectRecord)
+    });
+
+  } catch (error) {
+    console.error('Error in completeMultipartUpload:', error);
+    await sendClaimedError(500, 'InternalError', 'Failed to complete multipart upload', error.message);
+  }
+}
+
+/**
+ * S3-compatible AbortMultipartUpload operation
+ * Discard the staged parts of a multipart upload
+ */
+export async function abortMultipartUpload(req, res) {
+  try {
+    const { bucket, key } = req.params;
+    const { uploadId } = req.query;
+
+    if (!await authorize(req, res, 's3:AbortMultipartUpload', bucket, key)) {
+      return;
+    }
+
+    const upload = await findUpload(uploadId, bucket, key);
+    if (!upload) {
+      return sendNoSuchUpload(req, res);
+    }
+
+    if (!await discardMultipartUpload(uploadId)) {
+      return sendUploadGone(req, res, uploadId, bucket, key);
+    }
+    console.log(`Aborted multipart upload ${uploadId} for ${bucket}/${key}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Error in abortMultipartUpload:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to abort multipart upload', error.message);
+  }
+}
+
+/**
+ * S3-compatible ListParts operation
+ * List the parts staged for a multipart upload
+ */
+export async function listParts(req, res) {
+  try {
+    const { bucket, key } = req.params;
+    const {
+      uploadId,
+      'max-parts': maxPartsParam = '1000',
+      'part-number-marker': partNumberMarkerParam = '0'
+    } = req.query;
+
+    if (!await authorize(req, res, 's3:ListMultipartUploadParts', bucket, key)) {
+      return;
+    }
+
+    const maxParts = parseListLimit(maxPartsParam);
+    const partNumberMarker = parseInt(partNumberMarkerParam, 10);
+    if (maxParts === null || !Number.isInteger(partNumberMarker) || partNumberMarker < 0) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'max-parts and part-number-marker must be non-negative integers');
+    }
+
+    const upload = await findUpload(uploadId, bucket, key);
+    if (!upload) {
+      return sendNoSuchUpload(req, res);
+    }
+
+    const parts = await listMultipartParts(uploadId, {
+      partNumberMarker,
+      maxParts: maxParts + 1 // Get one extra to check if there are more
+    });
+
+    const isTruncated = parts.length > maxParts;
+    const returnParts = isTruncated ? parts.slice(0, maxParts) : parts;
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListPartsResult', {
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      Initiator: OWNER,
+      Owner: OWNER,
+      StorageClass: 'STANDARD',
+      PartNumberMarker: partNumberMarker,
+      NextPartNumberMarker: isTruncated ? returnParts[returnParts.length - 1].part_number : undefined,
+      MaxParts: maxParts,
+      IsTruncated: isTruncated,
+      Part: returnParts.map(part => ({
+        PartNumber: part.part_number,
+        LastModified: new Date(part.last_modified).toISOString(),
+        ETag: part.etag,
+        Size: part.size,
+        ...checksumFields(part)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error in listParts:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list parts', error.message);
+  }
+}
+
+/**
+ * S3-compatible ListMultipartUploads operation
+ * List in-progress multipart uploads in a bucket
+ */
+export async function listMultipartUploads(req, res) {
+  try {
+    const { bucket } = req.params;
+    const {
+      prefix = '',
+      'key-marker': keyMarker = '',
+      'upload-id-marker': uploadIdMarker = '',
+      'max-uploads': maxUploadsParam = '1000'
+    } = req.query;
+
+    if (!await authorize(req, res, 's3:ListBucketMultipartUploads', bucket, prefix)) {
+      return;
+    }
+
+    const maxUploads = parseListLimit(maxUploadsParam);
+    if (maxUploads === null) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'max-uploads must be a non-negative integer');
+    }
+
+    const uploads = await listMultipartUploadRecords(bucket, {
+      prefix,
+      keyMarker,
+      uploadIdMarker,
+      maxUploads: maxUploads + 1 // Get one extra to check if there are more
+    });
+
+    const isTruncated = uploads.length > maxUploads;
+    const returnUploads = isTruncated ? uploads.slice(0, maxUploads) : uploads;
+    const last = returnUploads[returnUploads.length - 1];
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListMultipartUploadsResult', {
+      Bucket: bucket,
+      KeyMarker: keyMarker,
+      UploadIdMarker: uploadIdMarker,
+      NextKeyMarker: isTruncated ? last.key : undefined,
+      NextUploadIdMarker: isTruncated ? last.upload_id : undefined,
+      Prefix: prefix,
+      MaxUploads: maxUploads,
+      IsTruncated: isTruncated,
+      Upload: returnUploads.map(upload => ({
+        Key: upload.key,
+        UploadId: upload.upload_id,
+        Initiator: OWNER,
+        Owner: OWNER,
+        StorageClass: 'STANDARD',
+        Initiated: new Date(upload.initiated_at).toISOString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error in listMultipartUploads:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list multipart uploads', error.message);
+  }
+}
+
+/**
+ * Look up a multipart upload belonging to the given bucket and key
+ * @param {string} uploadId - Upload ID
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Upload record or null
+ */
+async function findUpload(uploadId, bucket, key) {
+  if (!uploadId) {
+    return null;
+  }
+  const upload = await getMultipartUpload(uploadId);
+  if (!upload || upload.bucket !== bucket || upload.key !== key) {
+    return null;
+  }
+  return upload;
+}
+
+function sendNoSuchUpload(req, res) {
+  return sendS3Error(req, res, 404, 'NoSuchUpload', 'The specified multipart upload does not exist. The upload ID might be invalid, or the multipart upload might have been aborted or completed.');
+}
+
+function sendUploadCompleting(req, res) {
+  return sendS3Error(req, res, 409, 'OperationAborted', 'A conflicting conditional operation is currently in progress against this resource. Try again.');
+}
+
+/**
+ * Report an upload that stopped being open after it was looked up: it is either being
+ * completed by another request or gone
+ */
+async function sendUploadGone(req, res, uploadId, bucket, key) {
+  return await findUpload(uploadId, bucket, key)
+    ? sendUploadCompleting(req, res)
+    : sendNoSuchUpload(req, res);
+}
+
+function parsePartNumber(value) {
+  if (!/^\d+$/.test(String(value ?? ''))) {
+    return null;
+  }
+  const partNumber = parseInt(value, 10);
+  return partNumber >= 1 && partNumber <= MAX_PART_NUMBER ? partNumber : null;
+}
+
+function parseListLimit(value) {
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  return Math.min(parseInt(value, 10), 1000);
+}
+
+/**
+ * Read the `ChecksumCRC32`, `ChecksumSHA256`, ... elements of a CompleteMultipartUpload part
+ * @param {Object} part - Parsed Part element
+ * @returns {Object} Checksum values keyed by algorithm
+ */
+function readPartChecksums(part) {
+  const checksums = {};
+  Object.entries(CHECKSUM_ALGORITHMS).forEach(([algorithm, { name }]) => {
+    if (part[`Checksum${name}`] !== undefined) {
+      checksums[algorithm] = String(part[`Checksum${name}`]).trim();
+    }
+  });
+  return checksums;
+}
+
+/**
+ * Whether the checksums listed for a part in CompleteMultipartUpload match the staged part
+ * @param {Object} staged - Staged part record
+ * @param {Object} checksums - Checksum values keyed by algorithm
+ * @returns {boolean} True if every listed checksum matches
+ */
+function partChecksumsMatch(staged, checksums) {
+  return Object.entries(checksums).every(([algorithm, value]) =>
+    staged.checksum_algorithm === algorithm && staged.checksum === value
+  );
+}
+
+function normalizeEtag(etag) {
+  return String(etag ?? '').replace(/"/g, '').replace(/&quot;/g, '').trim();
+}
@@ -0,0 +1,166 @@
+import mime from 'mime-types';
+import { v4 as uuidv4 } from 'uuid';
+import { findPrincipal, isAuthenticationRequired } from '../lib/credentials.js';
+import { verifyPostPolicySignature, SigV4Error } from '../lib/sigv4.js';
+import {
+  PostPolicyError,
+  readFormFields,
+  parsePostPolicy,
+  checkPostPolicy,
+  checkPostContentLength
+} from '../lib/postPolicy.js';
+import { authorize } from '../lib/authorization.js';
+import { sendS3Result, sendS3Error, objectLocation } from '../lib/s3Response.js';
+import { extractMetadata, versionHeaders } from '../lib/objectMetadata.js';
+import { parseTaggingDocument, TaggingError } from '../lib/objectTagging.js';
+import { storeUploadedObject } from './s3Controller.js';
+
+const SUCCESS_STATUSES = ['200', '201', '204'];
+
+/**
+ * Check a browser form upload (POST /{bucket}) once the fields before its file are read
+ * Passed to handleRawUpload as acceptFile, so nothing is stored for a form that may not upload.
+ * A form with a policy acts as the access key that signed it and must meet the policy's
+ * conditions; one without is anonymous, so only a bucket policy can allow it. Object tags come
+ * as a Tagging document in the `tagging` field.
+ * Sets `req.postForm` to `{ fields, key, sizeRange, tagging }`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} file - File part multer is about to read
+ * @returns {Promise<boolean>} True to accept the file; false once an error has been sent
+ */
+export async function acceptPostForm(req, res, file) {
+  try {
+    const { bucket } = req.params;
+    const fields = readFormFields(req.body);
+
+    if (!fields.key) {
+      return sendFormError(req, res, new PostPolicyError('InvalidArgument', 'Bucket POST must contain a field named \'key\'.  If it is specified, please check the order of the fields.', 400));
+    }
+    const key = fields.key.replaceAll('${filename}', file.originalname);
+    fields.key = key;
+
+    let sizeRange = null;
+    if (fields.policy !== undefined) {
+      // Without credentials configured there is no secret to check the signature with
+      if (await isAuthenticationRequired()) {
+        let principal = null;
+        await verifyPostPolicySignature(fields, {
+          lookupSecret: async (accessKeyId) => {
+            principal = await findPrincipal(accessKeyId);
+            return principal?.secretAccessKey || null;
+          }
+        });
+        const { secretAccessKey, ...identity } = principal;
+        req.principal = identity;
+      }
+      sizeRange = checkPostPolicy(parsePostPolicy(fields.policy), fields, bucket);
+    }
+
+    req.params.key = key;
+    if (!await authorize(req, res, 's3:PutObject', bucket, key)) {
+      return false;
+    }
+
+    const tagging = fields.tagging === undefined ? {} : parseTaggingDocument(fields.tagging);
+    if (Object.keys(tagging).length && !await authorize(req, res, 's3:PutObjectTagging', bucket, key)) {
+      return false;
+    }
+
+    req.postForm = { fields, key, sizeRange, tagging };
+    return true;
+
+  } catch (error) {
+    if (error instanceof PostPolicyError || error instanceof SigV4Error || error instanceof TaggingError) {
+      return sendFormError(req, res, error);
+    }
+    console.error('Error in acceptPostForm:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to check upload form', error.message);
+    return false;
+  }
+}
+
+/**
+ * S3-compatible postObject operation: store the file of a browser form upload
+ * Responds as the form asks: a 303 to success_action_redirect with the bucket, key and ETag
+ * in its query string, otherwise success_action_status (200, 201 with a PostResponse
+ * document, or the default 204)
+ */
+export async function postObject(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!req.postForm || !req.upload) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'POST requires exactly one file upload per request.');
+    }
+
+    const { fields, key, sizeRange, tagging } = req.postForm;
+    checkPostContentLength(sizeRange, req.upload.size);
+
+    const contentType = fields['content-type'] || mime.lookup(key) || 'application/octet-stream';
+    const { objectRecord, irysReceipt } = await storeUploadedObject(
+      bucket,
+      key,
+      req.upload,
+      contentType,
+      extractMetadata(fields),
+      tagging
+    );
+
+    const location = objectLocation(req, bucket, key);
+    res.set({
+      'ETag': objectRecord.etag,
+      'Location': location,
+      'x-amz-request-id': uuidv4(),
+      ...(irysReceipt
+        ? { 'x-irys-transaction-id': irysReceipt.id }
+        : { 'x-irys-upload-status': 'pending' }),
+      ...versionHeaders(objectRecord)
+    });
+
+    const redirect = parseRedirect(fields.success_action_redirect || fields.redirect);
+    if (redirect) {
+      redirect.searchParams.set('bucket', bucket);
+      redirect.searchParams.set('key', key);
+      redirect.searchParams.set('etag', objectRecord.etag);
+      return res.redirect(303, redirect.toString());
+    }
+
+    const status = SUCCESS_STATUSES.includes(fields.success_action_status)
+      ? Number(fields.success_action_status)
+      : 204;
+    if (status === 201) {
+      return sendS3Result(req, res, 'PostResponse', {
+        Location: location,
+        Bucket: bucket,
+        Key: key,
+        ETag: objectRecord.etag
+      }, undefined, 201);
+    }
+    res.status(status).send();
+
+  } catch (error) {
+    if (error instanceof PostPolicyError) {
+      return sendFormError(req, res, error);
+    }
+    console.error('Error in postObject:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to upload object', error.message);
+  }
+}
+
+function sendFormError(req, res, error) {
+  sendS3Error(req, res, error.status, error.code, error.message);
+  return false;
+}
+
+/**
+ * @returns {URL|null} The redirect URL, or null if there is none or it is not an http(s) URL
+ */
+function parseRedirect(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,59 @@
+import { getObjectMapping } from '../lib/database.js';
+import { getUploadQuote } from '../lib/irysClient.js';
+import { sendS3Result, sendS3Error } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+
+/**
+ * Quote the cost of uploading to a key (GET /{bucket}/{key}?quote)
+ * Prices `?bytes=` with the bucket's wallet, or the size of the current object when omitted
+ */
+export async function quoteUpload(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:PutObject', bucket, key)) {
+      return;
+    }
+
+    let bytes = parseByteCount(req.query.bytes);
+    if (bytes === undefined) {
+      const objectRecord = await getObjectMapping(bucket, key);
+      if (!objectRecord) {
+        return sendS3Error(req, res, 400, 'InvalidArgument', 'The bytes parameter is required when the key does not exist.');
+      }
+      bytes = objectRecord.size;
+    }
+    if (bytes === null) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'The bytes parameter must be a non-negative integer.');
+    }
+
+    const quote = await getUploadQuote(bytes, { bucket });
+
+    sendS3Result(req, res, 'UploadQuote', {
+      Bucket: bucket,
+      Key: key,
+      Bytes: quote.bytes,
+      Wallet: quote.wallet,
+      Token: quote.token,
+      Price: quote.atomic,
+      Amount: quote.amount,
+      Ticker: quote.ticker
+    });
+
+  } catch (error) {
+    console.error('Error in quoteUpload:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to quote upload', error.message);
+  }
+}
+
+/**
+ * Parse a byte count query parameter
+ * @param {string|undefined} value - Raw parameter value
+ * @returns {number|null|undefined} Byte count, null if invalid, undefined if absent
+ */
+export function parseByteCount(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return /^\d+$/.test(value) && Number.isSafeInteger(Number(value)) ? Number(value) : null;
+}
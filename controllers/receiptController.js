@@ -0,0 +1,60 @@
+import { getReceipt } from '../lib/database.js';
+import { isPendingUpload } from '../lib/uploadQueue.js';
+import { sendS3Result, sendS3Error } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+import { resolveObjectRecord } from './s3Controller.js';
+
+/**
+ * Get the signed Irys receipt of an object (GET /{bucket}/{key}?receipt[&versionId=])
+ * The receipt proves when Irys committed to storing the object's transaction
+ */
+export async function getObjectReceipt(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:GetObject', bucket, key)) {
+      return;
+    }
+
+    const objectRecord = await resolveObjectRecord(req, res, bucket, key);
+    if (!objectRecord) {
+      return;
+    }
+
+    if (isPendingUpload(objectRecord.irys_id)) {
+      return sendS3Error(req, res, 404, 'NoSuchReceipt', 'The object has not been uploaded to Irys yet.');
+    }
+
+    const record = await getReceipt(objectRecord.irys_id);
+    if (!record) {
+      return sendS3Error(req, res, 404, 'NoSuchReceipt', 'No receipt is stored for this object.');
+    }
+
+    const { receipt } = record;
+    const body = {
+      Bucket: bucket,
+      Key: key,
+      VersionId: objectRecord.version_id,
+      TransactionId: objectRecord.irys_id,
+      Status: record.status,
+      VerifiedAt: new Date(record.verified_at).toISOString(),
+      Receipt: receipt
+    };
+
+    sendS3Result(req, res, 'ObjectReceipt', body, {
+      ...body,
+      Receipt: {
+        Id: receipt.id,
+        Timestamp: receipt.timestamp,
+        Version: receipt.version,
+        DeadlineHeight: receipt.deadlineHeight,
+        PublicKey: receipt.public,
+        Signature: receipt.signature
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getObjectReceipt:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get object receipt', error.message);
+  }
+}
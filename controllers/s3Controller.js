@@ -1,15 +1,40 @@
-import axios from 'axios';
 import mime from 'mime-types';
+import { pipeline } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
-import { uploadToIrys } from '../lib/irysClient.js';
+import { uploadFileToIrys, fetchFromIrys, getObjectUrl } from '../lib/irysClient.js';
+import { openCachedObject, createCachingStream, prewarmCache } from '../lib/contentCache.js';
+import { enqueueUpload, isPendingUpload, openSpooledObject } from '../lib/uploadQueue.js';
+import config from '../config/config.js';
 import { 
   storeObjectMapping, 
   getObjectMapping, 
   deleteObjectMapping, 
+  getObjectVersion,
+  getLatestObjectVersion,
+  deleteObjectVersion,
+  deleteObjects as deleteObjectRecords,
   listObjects,
-  listBuckets 
+  listBuckets,
+  getBucket,
+  NULL_VERSION_ID
 } from '../lib/database.js';
-import config from '../config/config.js';
+import { sendS3Result, sendS3Error, objectLocation } from '../lib/s3Response.js';
+import { authorize, isAuthorized } from '../lib/authorization.js';
+import { parseXml } from '../lib/xml.js';
+import { extractMetadata, buildObjectTags, versionHeaders } from '../lib/objectMetadata.js';
+import { parseTaggingHeader, TaggingError } from '../lib/objectTagging.js';
+import { checksumHeaders, checksumFields, storedChecksum } from '../lib/checksums.js';
+import {
+  readConditionHeaders,
+  evaluatePreconditions,
+  parseRange,
+  createRangeSlicer,
+  NOT_MODIFIED,
+  PRECONDITION_FAILED,
+  RANGE_NOT_SATISFIABLE
+} from '../lib/conditionalRequest.js';
+
+const MAX_DELETE_OBJECTS = 1000;
 
 /**
  * S3-compatible putObject operation
@@ -22,91 +47,311 @@ export async function putObject(req, res) {
     const fullKey = key;
     
     if (!bucket || !fullKey) {
-      return res.status(400).json({
-        error: 'MissingParameter',
-        message: 'Bucket and Key parameters are required'
-      });
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket and Key parameters are required');
     }
 
-    if (!req.file && !req.body) {
-      return res.status(400).json({
-        error: 'MissingBody',
-        message: 'Request body is empty'
-      });
+    if (!await authorize(req, res, 's3:PutObject', bucket, fullKey)) {
+      return;
     }
 
-    let fileBuffer;
-    let contentType;
-    let originalName;
-
-    if (req.file) {
-      fileBuffer = req.file.buffer;
-      contentType = req.file.mimetype;
-      originalName = req.file.originalname;
-    } else {
-      fileBuffer = req.body;
-      contentType = req.get('Content-Type') || mime.lookup(fullKey) || 'application/octet-stream';
-      originalName = fullKey;
-    }
-
-    const customTags = [
-      { name: 'Bucket', value: bucket },
-      { name: 'Key', value: fullKey },
-      { name: 'Upload-Timestamp', value: new Date().toISOString() }
-    ];
-
-    const metadata = {};
-    Object.keys(req.headers).forEach(header => {
-      if (header.startsWith('x-amz-meta-')) {
-        const metaKey = header.replace('x-amz-meta-', '');
-        metadata[metaKey] = req.headers[header];
-        customTags.push({ name: `Meta-${metaKey}`, value: req.headers[header] });
-      }
-    });
+    const tagging = await readTaggingHeader(req, res, bucket, fullKey);
+    if (!tagging) {
+      return;
+    }
 
-    console.log(`Uploading ${fullKey} to Irys (${fileBuffer.length} bytes)`);
+    if (!req.upload) {
+      return sendS3Error(req, res, 400, 'MissingBody', 'Request body is empty');
+    }
 
-    const irysReceipt = await uploadToIrys(fileBuffer, contentType, customTags);
-    const objectRecord = await storeObjectMapping(
-      bucket, 
-      fullKey, 
-      irysReceipt, 
-      contentType, 
-      fileBuffer.length, 
-      metadata
+    // The body has been streamed to a temp file by handleRawUpload, which verified
+    // Content-MD5 and any x-amz-checksum-* value against it
+    const contentType = req.file
+      ? req.file.mimetype
+      : req.get('Content-Type') || mime.lookup(fullKey) || 'application/octet-stream';
+
+    const { objectRecord, irysReceipt } = await storeUploadedObject(
+      bucket,
+      fullKey,
+      req.upload,
+      contentType,
+      extractMetadata(req.headers),
+      tagging
     );
 
-    const gatewayUrl = `${config.irys.gatewayUrl}/${irysReceipt.id}`;
+    if (!irysReceipt) {
+      res.set({
+        'ETag': objectRecord.etag,
+        'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
+        'x-amz-request-id': uuidv4(),
+        'x-irys-upload-status': 'pending',
+        ...checksumHeaders(objectRecord),
+        ...versionHeaders(objectRecord)
+      });
+
+      return res.status(200).json({
+        ETag: objectRecord.etag,
+        ...checksumFields(objectRecord),
+        Bucket: bucket,
+        Key: fullKey,
+        VersionId: objectRecord.version_id,
+        UploadStatus: 'pending'
+      });
+    }
+
+    const objectUrl = getObjectUrl(irysReceipt.id) || objectLocation(req, bucket, fullKey);
 
     res.set({
       'ETag': objectRecord.etag,
       'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
-      'Location': gatewayUrl,
+      'Location': objectUrl,
       'x-amz-request-id': uuidv4(),
-      'x-irys-transaction-id': irysReceipt.id
+      'x-irys-transaction-id': irysReceipt.id,
+      ...checksumHeaders(objectRecord),
+      ...versionHeaders(objectRecord)
     });
 
     res.status(200).json({
       ETag: objectRecord.etag,
-      Location: gatewayUrl,
+      ...checksumFields(objectRecord),
+      Location: objectUrl,
       Bucket: bucket,
       Key: fullKey,
+      VersionId: objectRecord.version_id,
       IrysTransactionId: irysReceipt.id
     });
 
   } catch (error) {
     console.error('Error in putObject:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to upload object',
-      details: error.message
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to upload object', error.message);
+  }
+}
+
+/**
+ * Send a body handleRawUpload received to Irys, or queue it when the upload queue is enabled,
+ * and record the object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {Object} upload - Uploaded body (`req.upload`)
+ * @param {string} contentType - Content type of the object
+ * @param {Object} metadata - User metadata
+ * @param {Object} [tagging] - Object tags, also written to Irys
+ * @returns {Promise<Object>} `{ objectRecord, irysReceipt }`; irysReceipt is null when the
+ * upload was queued
+ */
+export async function storeUploadedObject(bucket, key, upload, contentType, metadata, tagging = {}) {
+  const { path: filePath, size, md5, checksum = null } = upload;
+  const etag = `"${md5}"`;
+  const customTags = buildObjectTags(bucket, key, metadata, tagging);
+
+  if (config.uploadQueue.enabled) {
+    // The upload worker sends the body to Irys later and swaps in the transaction ID
+    const objectRecord = await enqueueUpload({
+      bucket,
+      key,
+      filePath,
+      size,
+      contentType,
+      metadata,
+      tagging,
+      tags: customTags,
+      etag,
+      checksum
+    });
+    return { objectRecord, irysReceipt: null };
+  }
+
+  console.log(`Uploading ${key} to Irys (${size} bytes)`);
+
+  const irysReceipt = await uploadFileToIrys(filePath, size, contentType, customTags, { bucket });
+  await prewarmCache(irysReceipt.id, filePath, size);
+  const objectRecord = await storeObjectMapping(
+    bucket, 
+    key, 
+    irysReceipt, 
+    contentType, 
+    size, 
+    metadata,
+    { etag, checksum, tagging }
+  );
+
+  return { objectRecord, irysReceipt };
+}
+
+/**
+ * Read the tags an upload gives its object in the x-amz-tagging header, checking that the
+ * caller may tag the object. Sends the S3 error response when the tags are invalid or not allowed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Tag key to value (empty without the header), or null if an
+ * error response was sent
+ */
+export async function readTaggingHeader(req, res, bucket, key) {
+  let tagging;
+  try {
+    tagging = parseTaggingHeader(req.get('x-amz-tagging'));
+  } catch (error) {
+    if (!(error instanceof TaggingError)) {
+      throw error;
+    }
+    sendS3Error(req, res, error.status, error.code, error.message);
+    return null;
+  }
+
+  if (Object.keys(tagging).length && !await authorize(req, res, 's3:PutObjectTagging', bucket, key)) {
+    return null;
+  }
+  return tagging;
+}
+
+/**
+ * S3-compatible copyObject operation
+ * Point the destination key at the source object's Irys transaction; nothing is re-uploaded
+ */
+export async function copyObject(req, res) {
+  try {
+    const { bucket, key } = req.params;
+    // With :key+ pattern, the entire path is captured in key parameter
+    const fullKey = key;
+
+    if (!await authorize(req, res, 's3:PutObject', bucket, fullKey)) {
+      return;
+    }
+
+    const source = parseCopySource(req.get('x-amz-copy-source'));
+    if (!source) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Copy Source must mention the source bucket and key: sourcebucket/sourcekey');
+    }
+    if (!await authorize(req, res, 's3:GetObject', source.bucket, source.key)) {
+      return;
+    }
+
+    const directive = (req.get('x-amz-metadata-directive') || 'COPY').toUpperCase();
+    if (directive !== 'COPY' && directive !== 'REPLACE') {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Unknown metadata directive.');
+    }
+    const taggingDirective = (req.get('x-amz-tagging-directive') || 'COPY').toUpperCase();
+    if (taggingDirective !== 'COPY' && taggingDirective !== 'REPLACE') {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Unknown tagging directive.');
+    }
+
+    let replacementTagging = null;
+    if (taggingDirective === 'REPLACE') {
+      replacementTagging = await readTaggingHeader(req, res, bucket, fullKey);
+      if (!replacementTagging) {
+        return;
+      }
+    }
+
+    if (!await getBucket(source.bucket)) {
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    let sourceRecord;
+    if (source.versionId !== undefined) {
+      sourceRecord = await getObjectVersion(source.bucket, source.key, source.versionId);
+      if (!sourceRecord) {
+        return sendS3Error(req, res, 404, 'NoSuchVersion', 'The specified version does not exist.');
+      }
+      if (sourceRecord.is_delete_marker) {
+        return sendS3Error(req, res, 400, 'InvalidRequest', 'The source of a copy request may not specifically refer to a delete marker by version id.');
+      }
+    } else {
+      sourceRecord = await getObjectMapping(source.bucket, source.key);
+      if (!sourceRecord) {
+        return sendS3Error(req, res, 404, 'NoSuchKey', 'The specified key does not exist');
+      }
+    }
+
+    // Any failed copy-source condition is a 412, including ones that would be a 304 on GET
+    const outcome = evaluatePreconditions(readConditionHeaders(req, 'x-amz-copy-source-'), {
+      etag: sourceRecord.etag,
+      lastModified: new Date(sourceRecord.last_modified)
+    });
+    if (outcome) {
+      return sendS3Error(req, res, 412, 'PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+    }
+
+    if (source.bucket === bucket && source.key === fullKey && source.versionId === undefined && directive === 'COPY' && taggingDirective === 'COPY') {
+      return sendS3Error(req, res, 400, 'InvalidRequest', 'This copy request is illegal because it is trying to copy an object to itself without changing the object\'s metadata, storage class, website redirect location or encryption attributes.');
+    }
+
+    const replace = directive === 'REPLACE';
+    const contentType = replace ? req.get('Content-Type') || sourceRecord.content_type : sourceRecord.content_type;
+    const metadata = replace ? extractMetadata(req.headers) : sourceRecord.metadata;
+
+    const objectRecord = await storeObjectMapping(
+      bucket,
+      fullKey,
+      { id: sourceRecord.irys_id },
+      contentType,
+      sourceRecord.size,
+      metadata,
+      {
+        etag: sourceRecord.etag,
+        checksum: storedChecksum(sourceRecord),
+        tagging: replacementTagging || sourceRecord.tagging
+      }
+    );
+
+    console.log(`Copied ${source.bucket}/${source.key} to ${bucket}/${fullKey} (${sourceRecord.irys_id})`);
+
+    res.set({
+      'x-amz-request-id': uuidv4(),
+      'x-irys-transaction-id': objectRecord.irys_id,
+      ...versionHeaders(objectRecord)
+    });
+    if (sourceRecord.version_id && sourceRecord.version_id !== NULL_VERSION_ID) {
+      res.set('x-amz-copy-source-version-id', sourceRecord.version_id);
+    }
+
+    sendS3Result(req, res, 'CopyObjectResult', {
+      ETag: objectRecord.etag,
+      LastModified: new Date(objectRecord.last_modified).toISOString(),
+      ...checksumFields(objectRecord)
     });
+
+  } catch (error) {
+    console.error('Error in copyObject:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to copy object', error.message);
+  }
+}
+
+/**
+ * Parse the x-amz-copy-source header ("[/]bucket/key[?versionId=...]", URL-encoded)
+ * @param {string} header - Header value
+ * @returns {Object|null} `{ bucket, key, versionId }`, or null if malformed
+ */
+function parseCopySource(header) {
+  if (!header) {
+    return null;
+  }
+
+  const [pathPart, query = ''] = header.split('?');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathPart).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+
+  const slash = decoded.indexOf('/');
+  if (slash <= 0 || slash === decoded.length - 1) {
+    return null;
   }
+
+  const versionId = new URLSearchParams(query).get('versionId');
+  return {
+    bucket: decoded.slice(0, slash),
+    key: decoded.slice(slash + 1),
+    versionId: versionId === null ? undefined : versionId
+  };
 }
 
 /**
  * S3-compatible getObject operation
- * Retrieve a file from Irys via gateway
+ * Retrieve a file from Irys via gateway, honouring Range and conditional headers
  */
 export async function getObject(req, res) {
   try {
@@ -115,115 +360,267 @@ export async function getObject(req, res) {
     const fullKey = key;
 
     if (!bucket || !fullKey) {
-      return res.status(400).json({
-        error: 'MissingParameter',
-        message: 'Bucket and Key parameters are required'
-      });
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket and Key parameters are required');
     }
 
-    const objectRecord = await getObjectMapping(bucket, fullKey);
+    if (!await authorize(req, res, 's3:GetObject', bucket, fullKey)) {
+      return;
+    }
+
+    let objectRecord = await resolveObjectRecord(req, res, bucket, fullKey);
     
     if (!objectRecord) {
-      return res.status(404).json({
-        error: 'NoSuchKey',
-        message: 'The specified key does not exist'
-      });
+      return;
     }
 
-    const gatewayUrl = `${config.irys.gatewayUrl}/${objectRecord.irys_id}`;
-
-    try {
-      console.log(`Fetching ${fullKey} from Irys Gateway: ${gatewayUrl}`);
-      const response = await axios.get(gatewayUrl, {
-        responseType: 'stream',
-        timeout: 30000
-      });
+    if (!checkPreconditions(req, res, objectRecord)) {
+      return;
+    }
 
-      res.set({
-        'Content-Type': objectRecord.content_type,
-        'Content-Length': objectRecord.size,
-        'ETag': objectRecord.etag,
-        'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
-        'Accept-Ranges': 'bytes',
-        'x-amz-request-id': uuidv4(),
-        'x-irys-transaction-id': objectRecord.irys_id
-      });
+    const range = parseRange(req.get('Range'), objectRecord.size);
+    if (range === RANGE_NOT_SATISFIABLE) {
+      res.set('Content-Range', `bytes */${objectRecord.size}`);
+      return sendS3Error(req, res, 416, 'InvalidRange', 'The requested range is not satisfiable');
+    }
 
-      if (objectRecord.metadata) {
-        Object.keys(objectRecord.metadata).forEach(metaKey => {
-          res.set(`x-amz-meta-${metaKey}`, objectRecord.metadata[metaKey]);
+    if (isPendingUpload(objectRecord.irys_id)) {
+      const spooled = await openSpooledObject(objectRecord.irys_id, range);
+      if (spooled) {
+        setContentHeaders(req, res, objectRecord, range);
+        return pipeline(spooled, res, (err) => {
+          if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Error streaming spooled object:', err);
+          }
         });
       }
 
-      response.data.pipe(res);
-
-    } catch (fetchError) {
-      console.error('Error fetching from Irys Gateway:', fetchError);
-      
-      if (fetchError.response?.status === 404) {
-        return res.status(404).json({
-          error: 'NoSuchKey',
-          message: 'The specified key does not exist on Irys'
-        });
+      // The worker may have finished the upload and removed the spool file since the record
+      // was read, in which case the object is now served like any other
+      objectRecord = await resolveObjectRecord(req, res, bucket, fullKey);
+      if (!objectRecord) {
+        return;
       }
-      
-      throw fetchError;
+      if (isPendingUpload(objectRecord.irys_id)) {
+        return sendS3Error(req, res, 404, 'NoSuchKey', 'The specified key is pending upload but its spooled body is missing');
+      }
+    }
+
+    const cached = await openCachedObject(objectRecord.irys_id, range);
+    if (cached) {
+      setContentHeaders(req, res, objectRecord, range);
+      return pipeline(cached, res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('Error streaming cached object:', err);
+        }
+      });
+    }
+
+    console.log(`Fetching ${fullKey} from Irys: ${objectRecord.irys_id}`);
+    const body = await fetchFromIrys(objectRecord.irys_id, range);
+
+    if (!body) {
+      return sendS3Error(req, res, 404, 'NoSuchKey', 'The specified key does not exist on Irys');
+    }
+
+    setContentHeaders(req, res, objectRecord, range);
+    // The slicer ends the response early, so stop reading from the source then
+    res.on('close', () => body.stream.destroy());
+
+    // Full responses fill the cache as they stream; ranges are sliced
+    // locally if the source ignored the requested range
+    const streams = [body.stream];
+    if (!range) {
+      streams.push(createCachingStream(objectRecord.irys_id, objectRecord.size));
+    } else if (!body.partial) {
+      streams.push(createRangeSlicer(range.start, range.end));
     }
 
+    pipeline(...streams, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming object from Irys:', err);
+      }
+    });
+
   } catch (error) {
     console.error('Error in getObject:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to retrieve object',
-      details: error.message
-    });
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to retrieve object', error.message);
   }
 }
 
 /**
  * S3-compatible deleteObject operation
- * Soft delete object mapping (Irys data is immutable)
+ * Remove the object mapping (Irys data is immutable). In a versioned bucket this adds
+ * a delete marker; with ?versionId the given version is removed permanently
  */
 export async function deleteObject(req, res) {
   try {
     const { bucket, key } = req.params;
+    const { versionId } = req.query;
     // With :key+ pattern, the entire path is captured in key parameter
     const fullKey = key;
 
     if (!bucket || !fullKey) {
-      return res.status(400).json({
-        error: 'MissingParameter',
-        message: 'Bucket and Key parameters are required'
-      });
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket and Key parameters are required');
     }
 
-    const objectRecord = await getObjectMapping(bucket, fullKey);
-    
-    if (!objectRecord) {
+    if (!await authorize(req, res, 's3:DeleteObject', bucket, fullKey)) {
+      return;
+    }
+
+    res.set('x-amz-request-id', uuidv4());
+
+    if (versionId !== undefined) {
+      const removed = await deleteObjectVersion(bucket, fullKey, versionId);
+
+      if (removed) {
+        console.log(`Deleted version ${versionId} of ${bucket}/${fullKey}`);
+        res.set('x-amz-version-id', versionId);
+        if (removed.is_delete_marker) {
+          res.set('x-amz-delete-marker', 'true');
+        } else {
+          res.set('x-irys-transaction-id', removed.irys_id);
+        }
+      }
+
       return res.status(204).send();
     }
 
-    const deleted = await deleteObjectMapping(bucket, fullKey);
-    
-    if (deleted) {
-      console.log(`Soft deleted object: ${bucket}/${fullKey}`);
+    const objectRecord = await getObjectMapping(bucket, fullKey);
+    const result = await deleteObjectMapping(bucket, fullKey);
+
+    if (result.deleteMarker) {
+      console.log(`Added delete marker ${result.versionId} for ${bucket}/${fullKey}`);
+      res.set({
+        'x-amz-delete-marker': 'true',
+        'x-amz-version-id': result.versionId
+      });
+    } else if (objectRecord) {
+      console.log(`Deleted object: ${bucket}/${fullKey}`);
     }
 
-    res.set({
-      'x-amz-request-id': uuidv4(),
-      'x-irys-transaction-id': objectRecord.irys_id
-    });
+    if (objectRecord) {
+      res.set('x-irys-transaction-id', objectRecord.irys_id);
+    }
 
     res.status(204).send();
 
   } catch (error) {
     console.error('Error in deleteObject:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to delete object',
-      details: error.message
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to delete object', error.message);
+  }
+}
+
+/**
+ * S3-compatible DeleteObjects operation (POST /{bucket}?delete)
+ * Delete up to 1000 keys or versions, all in one transaction. Keys the caller may not delete
+ * are reported as errors without failing the rest; in quiet mode only errors are listed
+ */
+export async function deleteObjects(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    let quiet = false;
+    let requested;
+    try {
+      const document = parseXml(req.body, { arrays: ['Object'] });
+      quiet = String(document.Delete?.Quiet).toLowerCase() === 'true';
+      requested = (document.Delete?.Object || []).map(object => ({
+        key: object.Key,
+        versionId: object.VersionId || undefined
+      }));
+    } catch (parseError) {
+      requested = null;
+    }
+
+    if (!requested || requested.length === 0 || requested.some(object => typeof object.key !== 'string' || !object.key)) {
+      return sendS3Error(req, res, 400, 'MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+    }
+    if (requested.length > MAX_DELETE_OBJECTS) {
+      return sendS3Error(req, res, 400, 'MalformedXML', `The request may not contain more than ${MAX_DELETE_OBJECTS} keys.`);
+    }
+
+    const allowed = [];
+    const errors = [];
+    for (const object of requested) {
+      if (await isAuthorized(req, 's3:DeleteObject', bucket, object.key)) {
+        allowed.push(object);
+      } else {
+        errors.push({ Key: object.key, VersionId: object.versionId, Code: 'AccessDenied', Message: 'Access Denied' });
+      }
+    }
+
+    const outcomes = await deleteObjectRecords(bucket, allowed);
+    console.log(`Deleted ${allowed.length} of ${requested.length} requested objects in ${bucket}`);
+
+    const deleted = allowed.map(({ key, versionId }, index) => {
+      const outcome = outcomes[index];
+      // Removing a delete marker by version reports it the way adding one does
+      const deleteMarker = versionId === undefined ? outcome.deleteMarker : Boolean(outcome.removed?.is_delete_marker);
+      return {
+        Key: key,
+        VersionId: versionId,
+        DeleteMarker: deleteMarker || undefined,
+        DeleteMarkerVersionId: deleteMarker ? versionId ?? outcome.versionId : undefined
+      };
+    });
+
+    sendS3Result(req, res, 'DeleteResult', {
+      Deleted: quiet ? undefined : deleted,
+      Error: errors
     });
+
+  } catch (error) {
+    console.error('Error in deleteObjects:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to delete objects', error.message);
+  }
+}
+
+/**
+ * Resolve the object (or object version, with ?versionId) addressed by a GET or HEAD request
+ * Sends the S3 error response when there is nothing to return
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Object record, or null if an error response was sent
+ */
+export async function resolveObjectRecord(req, res, bucket, key) {
+  const { versionId } = req.query;
+
+  if (versionId !== undefined) {
+    const version = await getObjectVersion(bucket, key, versionId);
+
+    if (!version) {
+      sendS3Error(req, res, 404, 'NoSuchVersion', 'The specified version does not exist.');
+      return null;
+    }
+    if (version.is_delete_marker) {
+      res.set({
+        'x-amz-delete-marker': 'true',
+        'x-amz-version-id': version.version_id,
+        'Last-Modified': new Date(version.last_modified).toUTCString()
+      });
+      sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+      return null;
+    }
+    return version;
   }
+
+  const objectRecord = await getObjectMapping(bucket, key);
+
+  if (!objectRecord) {
+    const latest = await getLatestObjectVersion(bucket, key);
+    if (latest?.is_delete_marker) {
+      res.set({
+        'x-amz-delete-marker': 'true',
+        'x-amz-version-id': latest.version_id
+      });
+    }
+    sendS3Error(req, res, 404, 'NoSuchKey', 'The specified key does not exist');
+    return null;
+  }
+
+  return objectRecord;
 }
 
 /**
@@ -237,68 +634,189 @@ export async function listObjectsV1(req, res) {
       prefix = '',
       marker = '',
       'max-keys': maxKeysParam = '1000',
-      delimiter = ''
+      delimiter = '',
+      'encoding-type': encodingType
     } = req.query;
 
     if (!bucket) {
-      return res.status(400).json({
-        error: 'MissingParameter',
-        message: 'Bucket parameter is required'
-      });
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket parameter is required');
+    }
+
+    if (!await authorize(req, res, 's3:ListBucket', bucket, prefix)) {
+      return;
     }
 
-    const maxKeys = Math.min(parseInt(maxKeysParam, 10), 1000);
+    const maxKeys = parseMaxKeys(maxKeysParam);
+    if (maxKeys === null) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Provided max-keys not an integer or within integer range');
+    }
+    if (encodingType && encodingType !== 'url') {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Invalid Encoding Method specified in Request');
+    }
 
-    const objects = await listObjects(bucket, {
+    const result = await listObjects(bucket, {
       prefix,
       marker,
-      maxKeys: maxKeys + 1, // Get one extra to check if there are more
+      maxKeys,
       delimiter
     });
 
-    const isTruncated = objects.length > maxKeys;
-    const returnObjects = isTruncated ? objects.slice(0, maxKeys) : objects;
-    
-    const nextMarker = isTruncated ? returnObjects[returnObjects.length - 1].key : null;
+    const encode = (value) => encodeListValue(value, encodingType);
 
     const response = {
       Name: bucket,
-      Prefix: prefix,
-      Marker: marker,
+      Prefix: encode(prefix),
+      Marker: encode(marker),
       MaxKeys: maxKeys,
-      IsTruncated: isTruncated,
-      Contents: returnObjects.map(obj => ({
-        Key: obj.key,
-        LastModified: new Date(obj.last_modified).toISOString(),
-        ETag: obj.etag,
-        Size: obj.size,
-        StorageClass: 'STANDARD',
-        Owner: {
-          DisplayName: 'irys-user',
-          ID: 'irys-user'
-        }
-      }))
+      Delimiter: delimiter ? encode(delimiter) : undefined,
+      IsTruncated: result.isTruncated,
+      EncodingType: encodingType,
+      Contents: result.contents.map(obj => formatListEntry(obj, encode, true)),
+      CommonPrefixes: result.commonPrefixes.map(commonPrefix => ({ Prefix: encode(commonPrefix) }))
     };
 
-    if (nextMarker) {
-      response.NextMarker = nextMarker;
+    if (result.nextMarker) {
+      response.NextMarker = encode(result.nextMarker);
     }
 
-    res.set({
-      'Content-Type': 'application/xml',
-      'x-amz-request-id': uuidv4()
-    });
-
-    res.status(200).json(response);
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListBucketResult', response);
 
   } catch (error) {
     console.error('Error in listObjects:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to list objects',
-      details: error.message
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list objects', error.message);
+  }
+}
+
+/**
+ * S3-compatible listObjectsV2 operation
+ * List objects in a bucket using opaque continuation tokens
+ */
+export async function listObjectsV2(req, res) {
+  try {
+    const { bucket } = req.params;
+    const {
+      prefix = '',
+      'continuation-token': continuationToken,
+      'start-after': startAfter = '',
+      'max-keys': maxKeysParam = '1000',
+      delimiter = '',
+      'fetch-owner': fetchOwner,
+      'encoding-type': encodingType
+    } = req.query;
+
+    if (!bucket) {
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket parameter is required');
+    }
+
+    if (!await authorize(req, res, 's3:ListBucket', bucket, prefix)) {
+      return;
+    }
+
+    const maxKeys = parseMaxKeys(maxKeysParam);
+    if (maxKeys === null) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Provided max-keys not an integer or within integer range');
+    }
+    if (encodingType && encodingType !== 'url') {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Invalid Encoding Method specified in Request');
+    }
+
+    let marker = startAfter;
+    if (continuationToken !== undefined) {
+      marker = decodeContinuationToken(continuationToken);
+      if (marker === null) {
+        return sendS3Error(req, res, 400, 'InvalidArgument', 'The continuation token provided is incorrect');
+      }
+    }
+
+    const result = await listObjects(bucket, {
+      prefix,
+      marker,
+      maxKeys,
+      delimiter
     });
+
+    const encode = (value) => encodeListValue(value, encodingType);
+
+    const response = {
+      Name: bucket,
+      Prefix: encode(prefix),
+      Delimiter: delimiter ? encode(delimiter) : undefined,
+      MaxKeys: maxKeys,
+      KeyCount: result.contents.length + result.commonPrefixes.length,
+      IsTruncated: result.isTruncated,
+      EncodingType: encodingType,
+      ContinuationToken: continuationToken,
+      NextContinuationToken: result.nextMarker ? encodeContinuationToken(result.nextMarker) : undefined,
+      StartAfter: startAfter ? encode(startAfter) : undefined,
+      Contents: result.contents.map(obj => formatListEntry(obj, encode, fetchOwner === 'true')),
+      CommonPrefixes: result.commonPrefixes.map(commonPrefix => ({ Prefix: encode(commonPrefix) }))
+    };
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListBucketResult', response);
+
+  } catch (error) {
+    console.error('Error in listObjectsV2:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list objects', error.message);
+  }
+}
+
+/**
+ * Parse the max-keys query parameter
+ * @param {string} value - Raw parameter value
+ * @returns {number|null} Max keys capped at 1000, or null if invalid
+ */
+function parseMaxKeys(value) {
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  return Math.min(parseInt(value, 10), 1000);
+}
+
+/**
+ * Apply `encoding-type=url` to a key or prefix in a listing
+ * @param {string} value - Raw value
+ * @param {string} encodingType - Requested encoding type
+ * @returns {string} Encoded value
+ */
+function encodeListValue(value, encodingType) {
+  if (encodingType !== 'url') {
+    return value;
+  }
+  return encodeURIComponent(value).replace(/%2F/g, '/').replace(/%20/g, '+');
+}
+
+function encodeContinuationToken(key) {
+  return Buffer.from(key, 'utf8').toString('base64url');
+}
+
+function decodeContinuationToken(token) {
+  if (!/^[A-Za-z0-9_-]*$/.test(token)) {
+    return null;
   }
+  return Buffer.from(token, 'base64url').toString('utf8');
+}
+
+/**
+ * Format an object record as a listing Contents entry
+ * @param {Object} obj - Object record
+ * @param {Function} encode - Key encoder
+ * @param {boolean} includeOwner - Whether to include the Owner element
+ * @returns {Object} Contents entry
+ */
+function formatListEntry(obj, encode, includeOwner) {
+  return {
+    Key: encode(obj.key),
+    LastModified: new Date(obj.last_modified).toISOString(),
+    ETag: obj.etag,
+    Size: obj.size,
+    StorageClass: 'STANDARD',
+    Owner: includeOwner ? {
+      DisplayName: 'irys-user',
+      ID: 'irys-user'
+    } : undefined
+  };
 }
 
 /**
@@ -307,6 +825,10 @@ export async function listObjectsV1(req, res) {
  */
 export async function listAllBuckets(req, res) {
   try {
+    if (!await authorize(req, res, 's3:ListAllMyBuckets')) {
+      return;
+    }
+
     const buckets = await listBuckets();
 
     const response = {
@@ -320,26 +842,21 @@ export async function listAllBuckets(req, res) {
       }))
     };
 
-    res.set({
-      'Content-Type': 'application/xml',
-      'x-amz-request-id': uuidv4()
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListAllMyBucketsResult', response, {
+      Owner: response.Owner,
+      Buckets: { Bucket: response.Buckets }
     });
 
-    res.status(200).json(response);
-
   } catch (error) {
     console.error('Error in listBuckets:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to list buckets',
-      details: error.message
-    });
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list buckets', error.message);
   }
 }
 
 /**
  * HEAD operation for objects
- * Return object metadata without body
+ * Return object metadata without body, honouring conditional headers
  */
 export async function headObject(req, res) {
   try {
@@ -348,45 +865,129 @@ export async function headObject(req, res) {
     const fullKey = key;
 
     if (!bucket || !fullKey) {
-      return res.status(400).json({
-        error: 'MissingParameter',
-        message: 'Bucket and Key parameters are required'
-      });
+      return sendS3Error(req, res, 400, 'MissingParameter', 'Bucket and Key parameters are required');
     }
 
-    const objectRecord = await getObjectMapping(bucket, fullKey);
+    if (!await authorize(req, res, 's3:GetObject', bucket, fullKey)) {
+      return;
+    }
+
+    const objectRecord = await resolveObjectRecord(req, res, bucket, fullKey);
     
     if (!objectRecord) {
-      return res.status(404).json({
-        error: 'NoSuchKey',
-        message: 'The specified key does not exist'
-      });
+      return;
     }
 
-    res.set({
-      'Content-Type': objectRecord.content_type,
-      'Content-Length': objectRecord.size,
-      'ETag': objectRecord.etag,
-      'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
-      'Accept-Ranges': 'bytes',
-      'x-amz-request-id': uuidv4(),
-      'x-irys-transaction-id': objectRecord.irys_id
-    });
-
-    if (objectRecord.metadata) {
-      Object.keys(objectRecord.metadata).forEach(metaKey => {
-        res.set(`x-amz-meta-${metaKey}`, objectRecord.metadata[metaKey]);
-      });
+    if (!checkPreconditions(req, res, objectRecord)) {
+      return;
     }
 
+    setObjectHeaders(res, objectRecord);
+    setChecksumHeaders(req, res, objectRecord);
+    res.set('Content-Length', objectRecord.size);
+
     res.status(200).send();
 
   } catch (error) {
     console.error('Error in headObject:', error);
-    res.status(500).json({
-      error: 'InternalError',
-      message: 'Failed to get object metadata',
-      details: error.message
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get object metadata', error.message);
+  }
+}
+
+/**
+ * Set the entity headers describing an object (everything but Content-Length)
+ * @param {Object} res - Express response object
+ * @param {Object} objectRecord - Object or version record
+ */
+function setObjectHeaders(res, objectRecord) {
+  res.set({
+    'Content-Type': objectRecord.content_type,
+    'ETag': objectRecord.etag,
+    'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
+    'Accept-Ranges': 'bytes',
+    'x-amz-request-id': uuidv4(),
+    ...(isPendingUpload(objectRecord.irys_id)
+      ? { 'x-irys-upload-status': 'pending' }
+      : { 'x-irys-transaction-id': objectRecord.irys_id }),
+    ...versionHeaders(objectRecord)
+  });
+
+  if (objectRecord.metadata) {
+    Object.keys(objectRecord.metadata).forEach(metaKey => {
+      res.set(`x-amz-meta-${metaKey}`, objectRecord.metadata[metaKey]);
+    });
+  }
+
+  const tagCount = Object.keys(objectRecord.tagging || {}).length;
+  if (tagCount) {
+    res.set('x-amz-tagging-count', String(tagCount));
+  }
+}
+
+/**
+ * Set the stored checksum headers when the client asks for them with `x-amz-checksum-mode: ENABLED`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} objectRecord - Object or version record
+ */
+function setChecksumHeaders(req, res, objectRecord) {
+  if ((req.get('x-amz-checksum-mode') || '').toUpperCase() === 'ENABLED') {
+    res.set(checksumHeaders(objectRecord));
+  }
+}
+
+/**
+ * Set the headers for a full (200) or partial (206) object body
+ * Checksums describe the whole object, so they are only sent with full bodies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} objectRecord - Object or version record
+ * @param {Object|null} range - Inclusive byte range being served, if any
+ */
+function setContentHeaders(req, res, objectRecord, range) {
+  setObjectHeaders(res, objectRecord);
+
+  if (!range) {
+    setChecksumHeaders(req, res, objectRecord);
+    res.set('Content-Length', objectRecord.size);
+    return;
+  }
+
+  res.status(206).set({
+    'Content-Length': range.end - range.start + 1,
+    'Content-Range': `bytes ${range.start}-${range.end}/${objectRecord.size}`
+  });
+}
+
+/**
+ * Evaluate If-Match, If-None-Match, If-Modified-Since and If-Unmodified-Since
+ * Sends 304 Not Modified or 412 Precondition Failed when a condition applies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} objectRecord - Object or version record
+ * @returns {boolean} True if the request should proceed
+ */
+function checkPreconditions(req, res, objectRecord) {
+  const outcome = evaluatePreconditions(readConditionHeaders(req), {
+    etag: objectRecord.etag,
+    lastModified: new Date(objectRecord.last_modified)
+  });
+
+  if (outcome === NOT_MODIFIED) {
+    res.set({
+      'ETag': objectRecord.etag,
+      'Last-Modified': new Date(objectRecord.last_modified).toUTCString(),
+      'x-amz-request-id': uuidv4(),
+      ...versionHeaders(objectRecord)
     });
+    res.status(304).end();
+    return false;
   }
-}
\ No newline at end of file
+
+  if (outcome === PRECONDITION_FAILED) {
+    sendS3Error(req, res, 412, 'PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,109 @@
+import { v4 as uuidv4 } from 'uuid';
+import { setObjectTagging } from '../lib/database.js';
+import { sendS3Result, sendS3Error } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+import { versionHeaders } from '../lib/objectMetadata.js';
+import { parseTaggingDocument, formatTagSet, TaggingError } from '../lib/objectTagging.js';
+import { resolveObjectRecord } from './s3Controller.js';
+
+/**
+ * S3-compatible GetObjectTagging operation
+ * Return the tags of an object, or of the version given with ?versionId
+ */
+export async function getObjectTagging(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:GetObjectTagging', bucket, key)) {
+      return;
+    }
+
+    const objectRecord = await resolveObjectRecord(req, res, bucket, key);
+    if (!objectRecord) {
+      return;
+    }
+
+    res.set({
+      'x-amz-request-id': uuidv4(),
+      ...versionHeaders(objectRecord)
+    });
+    sendS3Result(req, res, 'Tagging', formatTagSet(objectRecord.tagging));
+
+  } catch (error) {
+    console.error('Error in getObjectTagging:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get object tagging', error.message);
+  }
+}
+
+/**
+ * S3-compatible PutObjectTagging operation
+ * Replace the tags of an object (or version) with the Tagging document in the body. The change
+ * is kept in the database; the tags written to Irys with the upload stay as they were
+ */
+export async function putObjectTagging(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:PutObjectTagging', bucket, key)) {
+      return;
+    }
+
+    let tagging;
+    try {
+      tagging = parseTaggingDocument(req.body);
+    } catch (error) {
+      if (!(error instanceof TaggingError)) {
+        throw error;
+      }
+      return sendS3Error(req, res, error.status, error.code, error.message);
+    }
+
+    await replaceTagging(req, res, bucket, key, tagging, 200);
+
+  } catch (error) {
+    console.error('Error in putObjectTagging:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to set object tagging', error.message);
+  }
+}
+
+/**
+ * S3-compatible DeleteObjectTagging operation
+ * Remove every tag from an object (or version)
+ */
+export async function deleteObjectTagging(req, res) {
+  try {
+    const { bucket, key } = req.params;
+
+    if (!await authorize(req, res, 's3:DeleteObjectTagging', bucket, key)) {
+      return;
+    }
+
+    await replaceTagging(req, res, bucket, key, {}, 204);
+
+  } catch (error) {
+    console.error('Error in deleteObjectTagging:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to delete object tagging', error.message);
+  }
+}
+
+/**
+ * Store new tags for the object or version a request addresses and send an empty response
+ */
+async function replaceTagging(req, res, bucket, key, tagging, status) {
+  const objectRecord = await resolveObjectRecord(req, res, bucket, key);
+  if (!objectRecord) {
+    return;
+  }
+
+  // The version may have been deleted since it was resolved
+  if (!await setObjectTagging(bucket, key, objectRecord.version_id, tagging)) {
+    return sendS3Error(req, res, 404, 'NoSuchKey', 'The specified key does not exist');
+  }
+  console.log(`Set ${Object.keys(tagging).length} tags on ${bucket}/${key} (version ${objectRecord.version_id})`);
+
+  res.set({
+    'x-amz-request-id': uuidv4(),
+    ...versionHeaders(objectRecord)
+  });
+  res.status(status).send();
+}
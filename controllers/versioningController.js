@@ -0,0 +1,163 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  getBucketVersioning as getBucketVersioningStatus,
+  setBucketVersioning,
+  listObjectVersions as listObjectVersionRecords
+} from '../lib/database.js';
+import { sendS3Result, sendS3Error } from '../lib/s3Response.js';
+import { authorize } from '../lib/authorization.js';
+import { parseXml } from '../lib/xml.js';
+
+const VERSIONING_STATES = ['Enabled', 'Suspended'];
+
+const OWNER = {
+  DisplayName: 'irys-user',
+  ID: 'irys-user'
+};
+
+/**
+ * S3-compatible GetBucketVersioning operation
+ * Return the versioning state of a bucket (no Status if it was never enabled)
+ */
+export async function getBucketVersioning(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:GetBucketVersioning', bucket)) {
+      return;
+    }
+
+    const status = await getBucketVersioningStatus(bucket);
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'VersioningConfiguration', {
+      Status: status || undefined
+    });
+
+  } catch (error) {
+    console.error('Error in getBucketVersioning:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to get bucket versioning', error.message);
+  }
+}
+
+/**
+ * S3-compatible PutBucketVersioning operation
+ * Enable or suspend versioning on a bucket. Once enabled a bucket can only be suspended,
+ * since every earlier version still exists on Irys.
+ */
+export async function putBucketVersioning(req, res) {
+  try {
+    const { bucket } = req.params;
+
+    if (!await authorize(req, res, 's3:PutBucketVersioning', bucket)) {
+      return;
+    }
+
+    let status;
+    try {
+      const document = parseXml(req.body);
+      status = document.VersioningConfiguration?.Status;
+    } catch (parseError) {
+      status = null;
+    }
+
+    if (!VERSIONING_STATES.includes(status)) {
+      return sendS3Error(req, res, 400, 'MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+    }
+
+    await setBucketVersioning(bucket, status);
+    console.log(`Set versioning on bucket ${bucket} to ${status}`);
+
+    res.set('x-amz-request-id', uuidv4());
+    res.status(200).send();
+
+  } catch (error) {
+    console.error('Error in putBucketVersioning:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to set bucket versioning', error.message);
+  }
+}
+
+/**
+ * S3-compatible ListObjectVersions operation
+ * List every version and delete marker in a bucket, newest first within each key
+ */
+export async function listObjectVersions(req, res) {
+  try {
+    const { bucket } = req.params;
+    const {
+      prefix = '',
+      'key-marker': keyMarker = '',
+      'version-id-marker': versionIdMarker = '',
+      'max-keys': maxKeysParam = '1000',
+      delimiter = '',
+      'encoding-type': encodingType
+    } = req.query;
+
+    if (!await authorize(req, res, 's3:ListBucketVersions', bucket, prefix)) {
+      return;
+    }
+
+    if (!/^\d+$/.test(maxKeysParam)) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Provided max-keys not an integer or within integer range');
+    }
+    if (versionIdMarker && !keyMarker) {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'A version-id marker cannot be specified without a key marker.');
+    }
+    if (encodingType && encodingType !== 'url') {
+      return sendS3Error(req, res, 400, 'InvalidArgument', 'Invalid Encoding Method specified in Request');
+    }
+
+    const maxKeys = Math.min(parseInt(maxKeysParam, 10), 1000);
+
+    const result = await listObjectVersionRecords(bucket, {
+      prefix,
+      keyMarker,
+      versionIdMarker,
+      maxKeys,
+      delimiter
+    });
+
+    const encode = (value) => encodingType === 'url'
+      ? encodeURIComponent(value).replace(/%2F/g, '/').replace(/%20/g, '+')
+      : value;
+
+    const versions = result.versions.filter(version => !version.is_delete_marker);
+    const deleteMarkers = result.versions.filter(version => version.is_delete_marker);
+
+    res.set('x-amz-request-id', uuidv4());
+    sendS3Result(req, res, 'ListVersionsResult', {
+      Name: bucket,
+      Prefix: encode(prefix),
+      KeyMarker: encode(keyMarker),
+      VersionIdMarker: versionIdMarker,
+      NextKeyMarker: result.nextKeyMarker !== null ? encode(result.nextKeyMarker) : undefined,
+      NextVersionIdMarker: result.nextVersionIdMarker || undefined,
+      MaxKeys: maxKeys,
+      Delimiter: delimiter ? encode(delimiter) : undefined,
+      IsTruncated: result.isTruncated,
+      EncodingType: encodingType,
+      Version: versions.map(version => ({
+        Key: encode(version.key),
+        VersionId: version.version_id,
+        IsLatest: version.is_latest,
+        LastModified: new Date(version.last_modified).toISOString(),
+        ETag: version.etag,
+        Size: version.size,
+        StorageClass: 'STANDARD',
+        Owner: OWNER
+      })),
+      DeleteMarker: deleteMarkers.map(marker => ({
+        Key: encode(marker.key),
+        VersionId: marker.version_id,
+        IsLatest: marker.is_latest,
+        LastModified: new Date(marker.last_modified).toISOString(),
+        Owner: OWNER
+      })),
+      CommonPrefixes: result.commonPrefixes.map(commonPrefix => ({ Prefix: encode(commonPrefix) }))
+    });
+
+  } catch (error) {
+    console.error('Error in listObjectVersions:', error);
+    sendS3Error(req, res, 500, 'InternalError', 'Failed to list object versions', error.message);
+  }
+}
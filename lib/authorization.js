@@ -0,0 +1,149 @@
+import { sendS3Error } from './s3Response.js';
+import { ACTIONS, MAX_WILDCARDS, matchesWildcard, countWildcards } from './s3Actions.js';
+import { parseBucketPolicy, evaluateBucketPolicy, getRequestContext } from './bucketPolicy.js';
+import { getBucketPolicy } from './database.js';
+
+const POLICY_ACTIONS = ['s3:GetBucketPolicy', 's3:PutBucketPolicy', 's3:DeleteBucketPolicy'];
+
+const MAX_GRANTS = 100;
+
+/**
+ * Validate and normalize the grants of an access key
+ * A grant is `{ bucket, prefix, actions }`: bucket is a name or a `*` pattern, prefix
+ * (optional) limits it to keys starting with it, and actions are entries of ACTIONS or
+ * `*` patterns such as "s3:*" or "s3:Get*"
+ * @param {*} grants - Grants as received
+ * @returns {Array<Object>} Normalized grants
+ * @throws {Error} Describing the first invalid grant
+ */
+export function normalizeGrants(grants) {
+  if (!Array.isArray(grants)) {
+    throw new Error('grants must be an array');
+  }
+  if (grants.length > MAX_GRANTS) {
+    throw new Error(`At most ${MAX_GRANTS} grants are allowed`);
+  }
+
+  return grants.map((grant, index) => {
+    const { bucket, prefix = '', actions } = grant || {};
+
+    if (typeof bucket !== 'string' || !bucket) {
+      throw new Error(`grants[${index}].bucket must be a bucket name or pattern`);
+    }
+    if (typeof prefix !== 'string') {
+      throw new Error(`grants[${index}].prefix must be a string`);
+    }
+    if (!Array.isArray(actions) || !actions.length) {
+      throw new Error(`grants[${index}].actions must be a non-empty array`);
+    }
+    for (const action of actions) {
+      if (typeof action !== 'string' || !ACTIONS.some(known => matchesWildcard(action, known))) {
+        throw new Error(`grants[${index}] names an unknown action: ${action}`);
+      }
+    }
+    if ([bucket, ...actions].some(pattern => countWildcards(pattern) > MAX_WILDCARDS)) {
+      throw new Error(`grants[${index}] has more than ${MAX_WILDCARDS} wildcards in one pattern`);
+    }
+
+    return { bucket, prefix, actions: [...new Set(actions)] };
+  });
+}
+
+/**
+ * Check whether a principal's own permissions allow an action: root principals may do
+ * anything, others what their grants allow. Object actions apply to keys under a grant's
+ * prefix and listings to listed prefixes under it; the other bucket actions (and HeadBucket,
+ * which needs s3:ListBucket) ignore it. Versions of an object need the same action as the object
+ * @param {Object} principal - Authenticated principal (`req.principal`)
+ * @param {string} action - Action from ACTIONS
+ * @param {string} [bucket] - Bucket the request addresses
+ * @param {string} [key] - Object key or listed prefix; omitted for bucket actions
+ * @returns {boolean} True if allowed
+ */
+export function isAllowed(principal, action, bucket, key) {
+  if (!principal) {
+    return false;
+  }
+  if (principal.root) {
+    return true;
+  }
+
+  return principal.grants.some(grant => {
+    if (!grant.actions.some(pattern => matchesWildcard(pattern, action))) {
+      return false;
+    }
+    // Listing every bucket is not tied to any one of them
+    if (bucket === undefined) {
+      return true;
+    }
+    if (!matchesWildcard(grant.bucket, bucket)) {
+      return false;
+    }
+    return key === undefined || key.startsWith(grant.prefix);
+  });
+}
+
+/**
+ * Load the policy of a bucket, once per request
+ * @param {Object} req - Express request object
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<Object|null>} Parsed policy, or null if the bucket has none
+ */
+async function loadBucketPolicy(req, bucket) {
+  req.bucketPolicies ??= new Map();
+  if (!req.bucketPolicies.has(bucket)) {
+    const document = await getBucketPolicy(bucket);
+    req.bucketPolicies.set(bucket, document ? parseBucketPolicy(document, bucket) : null);
+  }
+  return req.bucketPolicies.get(bucket);
+}
+
+/**
+ * Check a request against the principal authenticateRequest attached to it and the policy of
+ * the bucket it addresses
+ * A Deny in the bucket policy always wins. Otherwise the request is allowed if the principal's
+ * own permissions or an Allow in the policy cover it, which is how anonymous requests get in.
+ * Root principals can always manage the policy itself, so a bad policy cannot lock them out
+ * @param {Object} req - Express request object
+ * @param {string} action - Action from ACTIONS
+ * @param {string} [bucket] - Bucket the request addresses
+ * @param {string} [key] - Object key or listed prefix; omitted for bucket actions
+ * @returns {Promise<boolean>} True if the action is allowed
+ */
+export async function isAuthorized(req, action, bucket, key) {
+  const { principal } = req;
+  let allowed = isAllowed(principal, action, bucket, key);
+
+  const managesPolicy = principal?.root && POLICY_ACTIONS.includes(action);
+  if (bucket !== undefined && !managesPolicy) {
+    const policy = await loadBucketPolicy(req, bucket);
+    const decision = policy && evaluateBucketPolicy(policy, {
+      principal,
+      action,
+      bucket,
+      key,
+      context: getRequestContext(req)
+    });
+    allowed = decision !== 'Deny' && (allowed || decision === 'Allow');
+  }
+
+  return allowed;
+}
+
+/**
+ * Authorize a request (see isAuthorized), sending 403 AccessDenied when the action is not allowed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - Action from ACTIONS
+ * @param {string} [bucket] - Bucket the request addresses
+ * @param {string} [key] - Object key or listed prefix; omitted for bucket actions
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+export async function authorize(req, res, action, bucket, key) {
+  if (await isAuthorized(req, action, bucket, key)) {
+    return true;
+  }
+
+  sendS3Error(req, res, 403, 'AccessDenied', 'Access Denied');
+  return false;
+}
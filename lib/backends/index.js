@@ -0,0 +1,49 @@
+import config from '../../config/config.js';
+import { createIrysBackend } from './irysBackend.js';
+import { createLocalBackend } from './localBackend.js';
+
+/**
+ * Storage backends, selected with STORAGE_BACKEND (or IRYS_NETWORK=local)
+ *
+ * Every backend implements:
+ * - name: Backend name
+ * - init(): Connect, or prepare local storage
+ * - getAddress(wallet): Address of a wallet uploads are paid from
+ * - upload(data, tags, wallet): Store a Buffer or Readable, resolving to a signed receipt
+ *   (`id`, `timestamp`, `version`, `deadlineHeight`, `public`, `signature`)
+ * - fetch(id, range): Resolve to `{ stream, partial }`, or null if the id is unknown;
+ *   `partial` is false when the range was ignored and the whole object is returned
+ * - getSize(id): Size in bytes of an uploaded object, or null if the id is unknown
+ * - verifyReceipt(receipt, wallet): Check a receipt's signature, resolving to true if it is valid
+ * - getPrice(bytes, wallet): Upload price in atomic units, as a string
+ * - getBalance(wallet): Account balance in atomic units, as a string
+ * - fund(amount, wallet): Transfer an atomic amount into the account, resolving to `{ id, quantity }`
+ * - toDecimal(atomic, wallet): Convert an atomic amount to `{ amount, ticker }` in whole tokens
+ * - getUrl(id): Public URL of an uploaded object, or null if the backend has none
+ *
+ * `wallet` is a wallet name from lib/wallets.js; when omitted the default wallet is used
+ */
+const backends = {
+  irys: createIrysBackend,
+  local: createLocalBackend
+};
+
+let backend = null;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} Storage backend
+ */
+export function getStorageBackend() {
+  if (backend) {
+    return backend;
+  }
+
+  const create = backends[config.storage.backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend: ${config.storage.backend}`);
+  }
+
+  backend = create();
+  return backend;
+}
@@ -0,0 +1,167 @@
+import axios from 'axios';
+import { createRequire } from 'module';
+import { Uploader } from '@irys/upload';
+import * as evmTokens from '@irys/upload-ethereum';
+import config from '../../config/config.js';
+import { DEFAULT_WALLET, getWallet, listWallets } from '../wallets.js';
+
+const require = createRequire(import.meta.url);
+
+// EVM tokens supported by @irys/upload-ethereum, by IRYS_TOKEN name
+const EVM_TOKENS = {
+  ethereum: 'Ethereum',
+  matic: 'Matic',
+  polygon: 'Matic',
+  bnb: 'BNB',
+  avalanche: 'Avalanche',
+  'base-eth': 'BaseEth',
+  arbitrum: 'Arbitrum',
+  'usdc-eth': 'USDCEth',
+  'usdc-polygon': 'USDCPolygon',
+  chainlink: 'Chainlink',
+  berachain: 'Bera',
+  'scroll-eth': 'ScrollEth',
+  'linea-eth': 'LineaEth',
+  iotex: 'Iotex'
+};
+
+// Other chains go through the node build of @irys/sdk
+const SDK_TOKENS = ['solana', 'arweave', 'aptos', 'near', 'algorand'];
+
+/**
+ * Create an uploader for a wallet
+ * @param {Object} wallet - Wallet from lib/wallets.js
+ * @returns {Promise<Object>} Irys uploader
+ */
+async function createUploader(wallet) {
+  if (!EVM_TOKENS[wallet.token] && !SDK_TOKENS.includes(wallet.token)) {
+    throw new Error(`Unsupported Irys token for wallet ${wallet.name}: ${wallet.token}`);
+  }
+  if (!wallet.key) {
+    throw new Error(`No private key configured for Irys wallet ${wallet.name}`);
+  }
+
+  if (EVM_TOKENS[wallet.token]) {
+    let uploader = Uploader(evmTokens[EVM_TOKENS[wallet.token]]).withWallet(wallet.key);
+    if (wallet.providerUrl) {
+      uploader = uploader.withRpc(wallet.providerUrl);
+    }
+    if (config.irys.network === 'devnet') {
+      uploader = uploader.devnet();
+    }
+    return await uploader;
+  }
+
+  // The ESM build of @irys/sdk does not load under Node, so use the CommonJS one
+  const { NodeIrys } = require('@irys/sdk');
+  const uploader = new NodeIrys({
+    network: config.irys.network === 'devnet' ? 'devnet' : 'mainnet',
+    token: wallet.token,
+    key: wallet.key,
+    config: wallet.providerUrl ? { providerUrl: wallet.providerUrl } : undefined
+  });
+  await uploader.ready();
+  return uploader;
+}
+
+/**
+ * Storage backend that uploads to the Irys network and reads through the Irys gateway
+ * Each configured wallet gets its own uploader, created on first use
+ * @returns {Object} Storage backend
+ */
+export function createIrysBackend() {
+  const uploaders = new Map();
+
+  function getUploader(walletName = DEFAULT_WALLET) {
+    if (!uploaders.has(walletName)) {
+      const wallet = getWallet(walletName);
+      const pending = createUploader(wallet).then(uploader => {
+        console.log(`Connected to Irys with ${wallet.token} wallet ${wallet.name} from address ${uploader.address}`);
+        return uploader;
+      });
+      // Drop failed connections so the next request retries
+      pending.catch(() => uploaders.delete(walletName));
+      uploaders.set(walletName, pending);
+    }
+    return uploaders.get(walletName);
+  }
+
+  return {
+    name: 'irys',
+
+    async init() {
+      for (const wallet of listWallets()) {
+        await getUploader(wallet.name);
+      }
+    },
+
+    async getAddress(wallet) {
+      return (await getUploader(wallet)).address;
+    },
+
+    async upload(data, tags, wallet) {
+      return (await getUploader(wallet)).upload(data, { tags });
+    },
+
+    async fetch(id, range = null) {
+      try {
+        const response = await axios.get(this.getUrl(id), {
+          responseType: 'stream',
+          timeout: 30000,
+          headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {}
+        });
+        return {
+          stream: response.data,
+          partial: response.status === 206
+        };
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async getSize(id) {
+      try {
+        const response = await axios.head(this.getUrl(id), { timeout: 30000 });
+        return parseInt(response.headers['content-length'], 10);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async verifyReceipt(receipt, wallet) {
+      return (await getUploader(wallet)).verifyReceipt(receipt);
+    },
+
+    async getPrice(bytes, wallet) {
+      return (await (await getUploader(wallet)).getPrice(bytes)).toString();
+    },
+
+    async getBalance(wallet) {
+      const uploader = await getUploader(wallet);
+      return (await uploader.getBalance(uploader.address)).toString();
+    },
+
+    async fund(amount, wallet) {
+      const { id, quantity } = await (await getUploader(wallet)).fund(amount);
+      return { id, quantity: quantity.toString() };
+    },
+
+    async toDecimal(atomic, wallet) {
+      const uploader = await getUploader(wallet);
+      return {
+        amount: uploader.utils.fromAtomic(atomic).toFixed(),
+        ticker: uploader.tokenConfig.ticker
+      };
+    },
+
+    getUrl(id) {
+      return `${config.irys.gatewayUrl}/${id}`;
+    }
+  };
+}
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../../config/config.js';
+
+// Flat price, with 18 decimals like ETH, so funding checks can be exercised offline
+const PRICE_PER_BYTE = 1n;
+const DECIMALS = 18;
+const TICKER = 'LOCAL';
+const RECEIPT_VERSION = '1.0.0';
+
+/**
+ * Bytes a receipt signature covers: the same fields Irys signs, in the same order
+ * @param {Object} receipt - Receipt
+ * @returns {Buffer} Signed message
+ */
+function receiptMessage({ version, id, deadlineHeight, timestamp }) {
+  return Buffer.from(JSON.stringify(['Bundlr', version, id, String(deadlineHeight), String(timestamp)]));
+}
+
+/**
+ * Offline storage backend that keeps uploads on the local filesystem
+ * Transaction ids are derived from the tags and content (43 base64url characters,
+ * like Arweave ids), so the same upload always gets the same id
+ * @returns {Object} Storage backend
+ */
+export function createLocalBackend() {
+  const dir = config.storage.localDir;
+
+  const dataPath = (id) => path.join(dir, id.replace(/[^A-Za-z0-9_-]/g, '_'));
+
+  // Ed25519 key that signs receipts, kept with the data so receipts verify across restarts
+  let signingKey = null;
+  async function getSigningKey() {
+    if (signingKey) {
+      return signingKey;
+    }
+    const keyPath = path.join(dir, 'receipt-signing-key.pem');
+    try {
+      signingKey = crypto.createPrivateKey(await fs.readFile(keyPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+      await fs.writeFile(keyPath, signingKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    }
+    return signingKey;
+  }
+
+  // In-memory balance per wallet: uploads are charged and funding adds to it
+  const balances = new Map();
+  const balanceOf = (wallet = 'default') => balances.get(wallet) ?? BigInt(config.storage.localBalance);
+
+  return {
+    name: 'local',
+
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+      console.log(`Using local storage backend in ${dir}`);
+    },
+
+    async getAddress() {
+      return 'local';
+    },
+
+    async upload(data, tags, wallet) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const hash = crypto.createHash('sha256');
+      hash.update(JSON.stringify(tags));
+      let size = 0;
+
+      const tempPath = path.join(dir, `${uuidv4()}.tmp`);
+      try {
+        await pipeline(
+          Buffer.isBuffer(data) ? Readable.from([data]) : data,
+          new Transform({
+            transform(chunk, encoding, cb) {
+              hash.update(chunk);
+              size += chunk.length;
+              cb(null, chunk);
+            }
+          }),
+          createWriteStream(tempPath)
+        );
+
+        const id = hash.digest('base64url');
+        await fs.rename(tempPath, dataPath(id));
+        balances.set(wallet || 'default', balanceOf(wallet) - BigInt(size) * PRICE_PER_BYTE);
+
+        const key = await getSigningKey();
+        const receipt = {
+          id,
+          timestamp: Date.now(),
+          version: RECEIPT_VERSION,
+          deadlineHeight: 0,
+          public: crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('base64url'),
+          size,
+          tags
+        };
+        receipt.signature = crypto.sign(null, receiptMessage(receipt), key).toString('base64url');
+        await fs.writeFile(`${dataPath(id)}.json`, JSON.stringify(receipt));
+
+        return receipt;
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async fetch(id, range = null) {
+      try {
+        await fs.access(dataPath(id));
+      } catch (error) {
+        return null;
+      }
+
+      return {
+        stream: createReadStream(dataPath(id), range ? { start: range.start, end: range.end } : {}),
+        partial: Boolean(range)
+      };
+    },
+
+    async getSize(id) {
+      try {
+        return (await fs.stat(dataPath(id))).size;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async verifyReceipt(receipt) {
+      const publicKey = crypto.createPublicKey({
+        key: Buffer.from(receipt.public, 'base64url'),
+        format: 'der',
+        type: 'spki'
+      });
+      return crypto.verify(null, receiptMessage(receipt), publicKey, Buffer.from(receipt.signature, 'base64url'));
+    },
+
+    async getPrice(bytes) {
+      return (BigInt(bytes) * PRICE_PER_BYTE).toString();
+    },
+
+    async getBalance(wallet) {
+      return balanceOf(wallet).toString();
+    },
+
+    async fund(amount, wallet) {
+      balances.set(wallet || 'default', balanceOf(wallet) + BigInt(amount));
+      return { id: uuidv4(), quantity: BigInt(amount).toString() };
+    },
+
+    async toDecimal(atomic) {
+      const value = BigInt(atomic);
+      const sign = value < 0n ? '-' : '';
+      const digits = (value < 0n ? -value : value).toString().padStart(DECIMALS + 1, '0');
+      const fraction = digits.slice(-DECIMALS).replace(/0+$/, '');
+      return {
+        amount: `${sign}${digits.slice(0, -DECIMALS)}${fraction ? `.${fraction}` : ''}`,
+        ticker: TICKER
+      };
+    },
+
+    // There is no public gateway: objects are only served through the S3 API
+    getUrl() {
+      return null;
+    }
+  };
+}
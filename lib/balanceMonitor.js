@@ -0,0 +1,172 @@
+import axios from 'axios';
+import config from '../config/config.js';
+import { listFundingEvents } from './database.js';
+import { fundAccount, getBalance, getUploadPrice } from './irysClient.js';
+import { listWallets } from './wallets.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let monitorTimer = null;
+let checking = null;
+
+// Last check result per wallet name
+const walletStates = new Map();
+
+/**
+ * Sum the successful automatic top-ups of a wallet over the last 24 hours
+ * @param {string} wallet - Wallet name
+ * @returns {Promise<bigint>} Amount in atomic units
+ */
+async function getAutoFundedToday(wallet) {
+  const events = await listFundingEvents({ wallet, since: new Date(Date.now() - DAY_MS) });
+  return events
+    .filter(event => event.reason === 'auto' && event.status === 'success')
+    .reduce((total, event) => total + BigInt(event.amount), 0n);
+}
+
+/**
+ * Send a low-balance alert to the log and, when configured, the alert webhook
+ * @param {Object} state - Wallet state that triggered the alert
+ */
+async function sendLowBalanceAlert(state) {
+  console.warn(`Irys wallet ${state.wallet} (${state.token}) is low: balance ${state.balance} is below ${state.lowWater} atomic units`);
+
+  if (!config.funding.alertWebhookUrl) {
+    return;
+  }
+
+  try {
+    await axios.post(config.funding.alertWebhookUrl, {
+      event: 'irys.balance.low',
+      ...state
+    }, { timeout: 10000 });
+  } catch (error) {
+    console.error('Error sending low-balance alert:', error.message);
+  }
+}
+
+/**
+ * Check one wallet's balance, alert when it drops below the low-water mark and top it up
+ * to the target when auto-funding is enabled and the daily cap allows
+ * @param {Object} wallet - Wallet from lib/wallets.js
+ * @returns {Promise<Object>} Wallet state
+ */
+async function checkWallet(wallet) {
+  const [balance, lowWater, target] = await Promise.all([
+    getBalance(wallet.name),
+    getUploadPrice(config.funding.lowWaterBytes, { wallet: wallet.name }),
+    getUploadPrice(config.funding.targetBytes, { wallet: wallet.name })
+  ]);
+
+  const wasLow = walletStates.get(wallet.name)?.low;
+  const state = {
+    wallet: wallet.name,
+    token: wallet.token,
+    balance,
+    lowWater,
+    target,
+    low: BigInt(balance) < BigInt(lowWater),
+    fundedToday: (await getAutoFundedToday(wallet.name)).toString(),
+    dailyCap: wallet.dailyCap,
+    checkedAt: new Date().toISOString(),
+    error: null
+  };
+
+  if (!state.low) {
+    return state;
+  }
+  if (!wasLow) {
+    await sendLowBalanceAlert(state);
+  }
+  if (!config.funding.autoFund) {
+    return state;
+  }
+  if (!wallet.dailyCap) {
+    console.warn(`Not auto-funding Irys wallet ${wallet.name}: no daily cap configured`);
+    return state;
+  }
+
+  const remaining = BigInt(wallet.dailyCap) - BigInt(state.fundedToday);
+  const shortfall = BigInt(target) - BigInt(balance);
+  const amount = shortfall < remaining ? shortfall : remaining;
+  if (amount <= 0n) {
+    console.warn(`Not auto-funding Irys wallet ${wallet.name}: daily cap of ${wallet.dailyCap} reached`);
+    return state;
+  }
+
+  try {
+    await fundAccount(amount.toString(), wallet.name, { reason: 'auto', balanceBefore: balance });
+    state.fundedToday = (BigInt(state.fundedToday) + amount).toString();
+  } catch (error) {
+    state.error = error.message;
+  }
+  return state;
+}
+
+/**
+ * Check every wallet once
+ * A wallet that cannot be checked keeps its last known balance and reports the error
+ * @returns {Promise<Array<Object>>} Wallet states
+ */
+export async function checkBalances() {
+  if (checking) {
+    return checking;
+  }
+
+  checking = (async () => {
+    for (const wallet of listWallets()) {
+      try {
+        walletStates.set(wallet.name, await checkWallet(wallet));
+      } catch (error) {
+        console.error(`Error checking balance of Irys wallet ${wallet.name}:`, error);
+        walletStates.set(wallet.name, {
+          ...walletStates.get(wallet.name),
+          wallet: wallet.name,
+          token: wallet.token,
+          checkedAt: new Date().toISOString(),
+          error: error.message
+        });
+      }
+    }
+    return [...walletStates.values()];
+  })();
+
+  try {
+    return await checking;
+  } finally {
+    checking = null;
+  }
+}
+
+/**
+ * Get the monitor settings and the last check result of every wallet
+ * @returns {Object} Monitor status
+ */
+export function getBalanceMonitorStatus() {
+  return {
+    enabled: config.funding.monitorEnabled,
+    autoFund: config.funding.autoFund,
+    lowWaterBytes: config.funding.lowWaterBytes,
+    targetBytes: config.funding.targetBytes,
+    wallets: [...walletStates.values()]
+  };
+}
+
+/**
+ * Start the periodic balance check when BALANCE_MONITOR_ENABLED is set
+ */
+export function startBalanceMonitor() {
+  if (monitorTimer || !config.funding.monitorEnabled) {
+    return;
+  }
+
+  const run = () => {
+    checkBalances().catch(error => {
+      console.error('Error checking balances:', error);
+    });
+  };
+
+  run();
+  monitorTimer = setInterval(run, config.funding.checkIntervalMinutes * 60 * 1000);
+  monitorTimer.unref();
+}
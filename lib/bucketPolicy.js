@@ -0,0 +1,279 @@
+import net from 'net';
+import { ACTIONS, OBJECT_ACTIONS, MAX_WILDCARDS, matchesWildcard, countWildcards } from './s3Actions.js';
+
+// Largest policy document S3 accepts, in bytes
+const MAX_POLICY_SIZE = 20 * 1024;
+
+const POLICY_VERSIONS = ['2012-10-17', '2008-10-17'];
+
+// Condition operators, with the keys each can test
+const CONDITION_OPERATORS = {
+  IpAddress: ['aws:SourceIp'],
+  NotIpAddress: ['aws:SourceIp'],
+  StringEquals: ['aws:Referer', 'aws:UserAgent', 's3:prefix'],
+  StringNotEquals: ['aws:Referer', 'aws:UserAgent', 's3:prefix'],
+  StringLike: ['aws:Referer', 'aws:UserAgent', 's3:prefix'],
+  StringNotLike: ['aws:Referer', 'aws:UserAgent', 's3:prefix'],
+  Bool: ['aws:SecureTransport']
+};
+
+/**
+ * Error for a policy document that cannot be used, reported as MalformedPolicy
+ */
+export class MalformedPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MalformedPolicyError';
+  }
+}
+
+const toArray = value => Array.isArray(value) ? value : [value];
+
+/**
+ * Parse and validate a bucket policy document
+ * Supported: Effect Allow/Deny; Principal `*`, `{ "AWS": "*" }` or `{ "AWS": [access key ids] }`;
+ * Action and Resource with `*` wildcards; and the condition operators in CONDITION_OPERATORS.
+ * NotPrincipal, NotAction and NotResource are not
+ * @param {string|Buffer} document - Policy JSON
+ * @param {string} bucket - Bucket the policy is for; every resource must be in it
+ * @returns {Object} `{ statements }`, each `{ effect, principals, actions, resources, conditions }`
+ * @throws {MalformedPolicyError} If the document is not a valid policy
+ */
+export function parseBucketPolicy(document, bucket) {
+  const text = document.toString('utf8');
+  if (Buffer.byteLength(text) > MAX_POLICY_SIZE) {
+    throw new MalformedPolicyError('Policies must be no larger than 20 KB');
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(text);
+  } catch (error) {
+    throw new MalformedPolicyError('Policies must be valid JSON');
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new MalformedPolicyError('Policies must be JSON objects');
+  }
+  if (policy.Version !== undefined && !POLICY_VERSIONS.includes(policy.Version)) {
+    throw new MalformedPolicyError(`Unsupported policy version: ${policy.Version}`);
+  }
+  if (!policy.Statement || (Array.isArray(policy.Statement) && !policy.Statement.length)) {
+    throw new MalformedPolicyError('Missing required field Statement');
+  }
+
+  return {
+    statements: toArray(policy.Statement).map(statement => parseStatement(statement, bucket))
+  };
+}
+
+function parseStatement(statement, bucket) {
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    throw new MalformedPolicyError('Statements must be JSON objects');
+  }
+  for (const field of ['NotPrincipal', 'NotAction', 'NotResource']) {
+    if (field in statement) {
+      throw new MalformedPolicyError(`${field} is not supported`);
+    }
+  }
+
+  const { Effect: effect, Principal: principal, Action: action, Resource: resource, Condition: condition } = statement;
+  if (effect !== 'Allow' && effect !== 'Deny') {
+    throw new MalformedPolicyError('Effect must be Allow or Deny');
+  }
+
+  return {
+    effect,
+    principals: parsePrincipal(principal),
+    actions: parseActions(action),
+    resources: parseResources(resource, bucket),
+    conditions: parseConditions(condition)
+  };
+}
+
+/**
+ * @returns {Array<string>|null} Access key ids, or null for everyone (anonymous requests included)
+ */
+function parsePrincipal(principal) {
+  if (principal === '*') {
+    return null;
+  }
+
+  const ids = principal && typeof principal === 'object' ? principal.AWS : undefined;
+  if (ids === '*') {
+    return null;
+  }
+  if (ids === undefined || !toArray(ids).length || !toArray(ids).every(id => typeof id === 'string' && id)) {
+    throw new MalformedPolicyError('Principal must be "*" or { "AWS": access key ids }');
+  }
+  return toArray(ids);
+}
+
+function parseActions(action) {
+  const actions = action === undefined ? [] : toArray(action);
+  if (!actions.length) {
+    throw new MalformedPolicyError('Missing required field Action');
+  }
+
+  for (const pattern of actions) {
+    if (typeof pattern !== 'string' || !ACTIONS.some(known => matchesWildcard(pattern, known, true))) {
+      throw new MalformedPolicyError(`Policy has an invalid action: ${pattern}`);
+    }
+    checkWildcards(pattern);
+  }
+  return actions;
+}
+
+function parseResources(resource, bucket) {
+  const resources = resource === undefined ? [] : toArray(resource);
+  if (!resources.length) {
+    throw new MalformedPolicyError('Missing required field Resource');
+  }
+
+  const bucketArn = `arn:aws:s3:::${bucket}`;
+  for (const arn of resources) {
+    if (typeof arn !== 'string' || (arn !== bucketArn && !arn.startsWith(`${bucketArn}/`))) {
+      throw new MalformedPolicyError(`Policy has an invalid resource: ${arn}`);
+    }
+    checkWildcards(arn);
+  }
+  return resources;
+}
+
+function checkWildcards(pattern) {
+  if (countWildcards(pattern) > MAX_WILDCARDS) {
+    throw new MalformedPolicyError(`Policy has more than ${MAX_WILDCARDS} wildcards in one pattern: ${pattern}`);
+  }
+}
+
+/**
+ * @returns {Array<Object>} `{ operator, key, values }`, all of which must hold
+ */
+function parseConditions(condition) {
+  if (condition === undefined) {
+    return [];
+  }
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new MalformedPolicyError('Condition must be a JSON object');
+  }
+
+  return Object.entries(condition).flatMap(([operator, tests]) => {
+    const keys = CONDITION_OPERATORS[operator];
+    if (!keys) {
+      throw new MalformedPolicyError(`Unsupported condition operator: ${operator}`);
+    }
+    if (!tests || typeof tests !== 'object' || Array.isArray(tests)) {
+      throw new MalformedPolicyError(`Condition ${operator} must be a JSON object`);
+    }
+
+    return Object.entries(tests).map(([key, value]) => {
+      const knownKey = keys.find(name => name.toLowerCase() === key.toLowerCase());
+      if (!knownKey) {
+        throw new MalformedPolicyError(`Unsupported condition key for ${operator}: ${key}`);
+      }
+
+      const values = toArray(value).map(String);
+      if (!values.length) {
+        throw new MalformedPolicyError(`Condition ${operator} ${key} has no values`);
+      }
+      if (knownKey === 'aws:SourceIp') {
+        return { operator, key: knownKey, values, blockList: createBlockList(values) };
+      }
+      if (operator.endsWith('Like')) {
+        values.forEach(checkWildcards);
+      }
+      return { operator, key: knownKey, values };
+    });
+  });
+}
+
+/**
+ * Build a net.BlockList from IPv4/IPv6 addresses and CIDR ranges
+ * @param {Array<string>} ranges - Addresses or CIDR ranges
+ * @returns {net.BlockList} Matcher
+ */
+function createBlockList(ranges) {
+  const blockList = new net.BlockList();
+  for (const range of ranges) {
+    const [address, bits, extra] = range.split('/');
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const maxBits = family === 'ipv4' ? 32 : 128;
+    const prefix = bits === undefined ? maxBits : Number(bits);
+    if (!family || extra !== undefined || (bits !== undefined && !/^\d+$/.test(bits)) || prefix > maxBits) {
+      throw new MalformedPolicyError(`Invalid IP address or range: ${range}`);
+    }
+    blockList.addSubnet(address, prefix, family);
+  }
+  return blockList;
+}
+
+/**
+ * Collect the values condition keys take for a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Condition key to value (undefined when the request has none)
+ */
+export function getRequestContext(req) {
+  const ip = (req.ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  return {
+    'aws:SourceIp': ip || undefined,
+    'aws:SecureTransport': String(req.secure),
+    'aws:Referer': req.get('Referer'),
+    'aws:UserAgent': req.get('User-Agent'),
+    's3:prefix': req.query.prefix
+  };
+}
+
+function conditionHolds({ operator, key, values, blockList }, context) {
+  const value = context[key];
+  const negated = operator.startsWith('Not');
+
+  // A test on a key the request has no value for only holds for the negated operators
+  if (value === undefined) {
+    return negated;
+  }
+
+  let matched;
+  if (blockList) {
+    matched = blockList.check(value, net.isIPv4(value) ? 'ipv4' : 'ipv6');
+  } else if (operator === 'Bool') {
+    matched = values.some(expected => expected.toLowerCase() === value);
+  } else if (operator.endsWith('Like')) {
+    matched = values.some(pattern => matchesWildcard(pattern, value));
+  } else {
+    matched = values.includes(value);
+  }
+  return negated ? !matched : matched;
+}
+
+/**
+ * Evaluate a bucket policy for a request
+ * @param {Object} policy - Parsed policy (see parseBucketPolicy)
+ * @param {Object} request
+ * @param {Object} request.principal - Authenticated principal (`req.principal`)
+ * @param {string} request.action - Action from ACTIONS
+ * @param {string} request.bucket - Bucket name
+ * @param {string} [request.key] - Object key, for object actions
+ * @param {Object} request.context - Condition key values (see getRequestContext)
+ * @returns {string|null} "Deny" if a Deny statement applies, otherwise "Allow" if an Allow
+ * statement does, otherwise null
+ */
+export function evaluateBucketPolicy(policy, { principal, action, bucket, key, context }) {
+  const resource = OBJECT_ACTIONS.includes(action)
+    ? `arn:aws:s3:::${bucket}/${key}`
+    : `arn:aws:s3:::${bucket}`;
+
+  let decision = null;
+  for (const statement of policy.statements) {
+    const applies = (!statement.principals || statement.principals.includes(principal?.accessKeyId))
+      && statement.actions.some(pattern => matchesWildcard(pattern, action, true))
+      && statement.resources.some(pattern => matchesWildcard(pattern, resource))
+      && statement.conditions.every(condition => conditionHolds(condition, context));
+
+    if (applies && statement.effect === 'Deny') {
+      return 'Deny';
+    }
+    if (applies) {
+      decision = 'Allow';
+    }
+  }
+  return decision;
+}
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+
+/**
+ * Additional checksum algorithms S3 clients may send alongside an upload
+ * Values are base64 encoded; the key is the suffix of the `x-amz-checksum-*` header
+ */
+export const CHECKSUM_ALGORITHMS = {
+  crc32: { name: 'CRC32', bytes: 4 },
+  crc32c: { name: 'CRC32C', bytes: 4 },
+  sha1: { name: 'SHA1', bytes: 20 },
+  sha256: { name: 'SHA256', bytes: 32 }
+};
+
+const CRC_TABLES = {
+  crc32: createCrcTable(0xEDB88320),
+  crc32c: createCrcTable(0x82F63B78)
+};
+
+function createCrcTable(polynomial) {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? (c >>> 1) ^ polynomial : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+}
+
+/**
+ * Incremental reflected CRC-32 with the given lookup table, exposing the hash interface
+ * (`update`, `digest`) so it can be used like a crypto hash
+ */
+class Crc32 {
+  constructor(table) {
+    this.table = table;
+    this.crc = 0xFFFFFFFF;
+  }
+
+  update(data) {
+    let crc = this.crc;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    this.crc = crc;
+    return this;
+  }
+
+  digest(encoding) {
+    const result = Buffer.alloc(4);
+    result.writeUInt32BE((this.crc ^ 0xFFFFFFFF) >>> 0);
+    return encoding ? result.toString(encoding) : result;
+  }
+}
+
+/**
+ * Create a hash for a checksum algorithm
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @returns {Object} Hash with `update(data)` and `digest(encoding)`
+ */
+export function createChecksum(algorithm) {
+  return CRC_TABLES[algorithm] ? new Crc32(CRC_TABLES[algorithm]) : crypto.createHash(algorithm);
+}
+
+/**
+ * Compute a checksum of a buffer
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @param {Buffer} data - Data to checksum
+ * @returns {string} Base64 checksum
+ */
+export function computeChecksum(algorithm, data) {
+  return createChecksum(algorithm).update(data).digest('base64');
+}
+
+/**
+ * Whether a value is a well-formed base64 checksum for an algorithm
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @param {string} value - Base64 value
+ * @returns {boolean} True if the value decodes to a digest of the right length
+ */
+export function isValidChecksum(algorithm, value) {
+  return /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+    Buffer.from(value, 'base64').length === CHECKSUM_ALGORITHMS[algorithm].bytes;
+}
+
+/**
+ * Read the checksum a request declares for its body
+ * The value comes from an `x-amz-checksum-*` header, or is announced in `x-amz-trailer` and sent
+ * after an aws-chunked body. `x-amz-sdk-checksum-algorithm` alone asks for the checksum to be
+ * computed and stored without anything to compare it with.
+ * @param {Object} headers - Request headers
+ * @returns {Object|null} `{ algorithm, value, trailer }`, where value is null when there is
+ * nothing to compare and trailer is true when the value follows the body; or null when no
+ * checksum is declared
+ * @throws {Error} With `code` and `message` for S3 when the declaration is invalid
+ */
+export function readDeclaredChecksum(headers) {
+  const declared = Object.keys(CHECKSUM_ALGORITHMS).filter(algorithm => headers[`x-amz-checksum-${algorithm}`] !== undefined);
+  const trailer = (headers['x-amz-trailer'] || '').trim().toLowerCase();
+
+  if (declared.length > 1 || (declared.length && trailer)) {
+    throw checksumError('InvalidRequest', 'Expecting a single x-amz-checksum- header. Multiple checksum Types are not allowed.');
+  }
+
+  if (declared.length) {
+    const [algorithm] = declared;
+    const value = headers[`x-amz-checksum-${algorithm}`];
+    if (!isValidChecksum(algorithm, value)) {
+      throw checksumError('InvalidRequest', `Value for x-amz-checksum-${algorithm} header is invalid.`);
+    }
+    return { algorithm, value, trailer: false };
+  }
+
+  if (trailer) {
+    const algorithm = trailer.replace(/^x-amz-checksum-/, '');
+    if (!trailer.startsWith('x-amz-checksum-') || !CHECKSUM_ALGORITHMS[algorithm]) {
+      throw checksumError('InvalidRequest', `The value specified in the x-amz-trailer header is not supported: ${trailer}`);
+    }
+    return { algorithm, value: null, trailer: true };
+  }
+
+  const sdkAlgorithm = (headers['x-amz-sdk-checksum-algorithm'] || '').toLowerCase();
+  if (sdkAlgorithm) {
+    if (!CHECKSUM_ALGORITHMS[sdkAlgorithm]) {
+      throw checksumError('InvalidRequest', `Checksum algorithm ${sdkAlgorithm.toUpperCase()} is not supported.`);
+    }
+    return { algorithm: sdkAlgorithm, value: null, trailer: false };
+  }
+
+  return null;
+}
+
+/**
+ * The checksum stored on a record, in the form storeObjectMapping takes
+ * @param {Object} record - Object, version or part record
+ * @returns {Object|null} `{ algorithm, value }`, or null if none is stored
+ */
+export function storedChecksum(record) {
+  return record.checksum_algorithm && record.checksum
+    ? { algorithm: record.checksum_algorithm, value: record.checksum }
+    : null;
+}
+
+/**
+ * Response headers carrying a stored checksum
+ * @param {Object} record - Object, version or part record with `checksum_algorithm` and `checksum`
+ * @returns {Object} Headers to set
+ */
+export function checksumHeaders(record) {
+  if (!record.checksum_algorithm || !record.checksum) {
+    return {};
+  }
+  return {
+    [`x-amz-checksum-${record.checksum_algorithm}`]: record.checksum,
+    'x-amz-checksum-type': record.checksum.includes('-') ? 'COMPOSITE' : 'FULL_OBJECT'
+  };
+}
+
+/**
+ * Response document fields carrying a stored checksum (`ChecksumCRC32`, ...)
+ * @param {Object} record - Object, version or part record
+ * @returns {Object} Fields to merge into the document
+ */
+export function checksumFields(record) {
+  if (!record.checksum_algorithm || !record.checksum) {
+    return {};
+  }
+  return { [`Checksum${CHECKSUM_ALGORITHMS[record.checksum_algorithm].name}`]: record.checksum };
+}
+
+function checksumError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,155 @@
+import { Transform } from 'stream';
+
+export const NOT_MODIFIED = 'not-modified';
+export const PRECONDITION_FAILED = 'precondition-failed';
+export const RANGE_NOT_SATISFIABLE = 'range-not-satisfiable';
+
+/**
+ * Read conditional request headers
+ * @param {Object} req - Express request object
+ * @param {string} prefix - Header prefix (e.g. "x-amz-copy-source-" for CopyObject)
+ * @returns {Object} `{ ifMatch, ifNoneMatch, ifModifiedSince, ifUnmodifiedSince }`
+ */
+export function readConditionHeaders(req, prefix = '') {
+  return {
+    ifMatch: req.get(`${prefix}if-match`),
+    ifNoneMatch: req.get(`${prefix}if-none-match`),
+    ifModifiedSince: req.get(`${prefix}if-modified-since`),
+    ifUnmodifiedSince: req.get(`${prefix}if-unmodified-since`)
+  };
+}
+
+/**
+ * Evaluate conditional request headers against an object (RFC 7232 section 6)
+ * If-Match takes precedence over If-Unmodified-Since and If-None-Match over If-Modified-Since
+ * @param {Object} conditions - Conditions from readConditionHeaders
+ * @param {Object} object - Current object state
+ * @param {string} object.etag - Quoted entity tag
+ * @param {Date} object.lastModified - Last modification time
+ * @returns {string|null} NOT_MODIFIED, PRECONDITION_FAILED, or null to proceed
+ */
+export function evaluatePreconditions(conditions, { etag, lastModified }) {
+  const { ifMatch, ifNoneMatch, ifModifiedSince, ifUnmodifiedSince } = conditions;
+
+  if (ifMatch) {
+    if (!matchesEtag(ifMatch, etag)) {
+      return PRECONDITION_FAILED;
+    }
+  } else if (ifUnmodifiedSince) {
+    const since = parseHttpDate(ifUnmodifiedSince);
+    if (since !== null && toSeconds(lastModified) > since) {
+      return PRECONDITION_FAILED;
+    }
+  }
+
+  if (ifNoneMatch) {
+    if (matchesEtag(ifNoneMatch, etag)) {
+      return NOT_MODIFIED;
+    }
+  } else if (ifModifiedSince) {
+    const since = parseHttpDate(ifModifiedSince);
+    if (since !== null && toSeconds(lastModified) <= since) {
+      return NOT_MODIFIED;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a single-range `Range` header
+ * Multiple ranges and malformed headers are ignored, so the whole object is served
+ * @param {string} header - Range header value
+ * @param {number} size - Object size in bytes
+ * @returns {Object|string|null} `{ start, end }` (inclusive), RANGE_NOT_SATISFIABLE, or null
+ */
+export function parseRange(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0 || size === 0) {
+      return RANGE_NOT_SATISFIABLE;
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (match[2] !== '' && parseInt(match[2], 10) < start) {
+      return null;
+    }
+    if (start >= size) {
+      return RANGE_NOT_SATISFIABLE;
+    }
+  }
+
+  return { start, end };
+}
+
+/**
+ * Create a stream that passes through only bytes start..end (inclusive) of its input
+ * and ends as soon as the range is complete, for sources that ignored the Range header
+ * @param {number} start - First byte offset
+ * @param {number} end - Last byte offset
+ * @returns {Transform} Slicing stream
+ */
+export function createRangeSlicer(start, end) {
+  let offset = 0;
+  let done = false;
+
+  return new Transform({
+    transform(chunk, encoding, cb) {
+      if (done) {
+        return cb();
+      }
+
+      const chunkStart = offset;
+      offset += chunk.length;
+
+      if (offset > start) {
+        const from = Math.max(start - chunkStart, 0);
+        const to = Math.min(end + 1 - chunkStart, chunk.length);
+        this.push(chunk.subarray(from, to));
+      }
+
+      if (offset > end) {
+        done = true;
+        this.push(null);
+      }
+      cb();
+    }
+  });
+}
+
+function matchesEtag(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  const current = normalizeEtag(etag);
+  return header.split(',').some(candidate => normalizeEtag(candidate) === current);
+}
+
+function normalizeEtag(etag) {
+  return String(etag ?? '').trim().replace(/^W\//, '').replace(/"/g, '');
+}
+
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+function toSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
@@ -0,0 +1,261 @@
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+
+// irys_id -> size in bytes, in least to most recently used order
+const entries = new Map();
+let totalSize = 0;
+let initialized = null;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  evictions: 0
+};
+
+/**
+ * Load the cache index from disk
+ * Irys data is immutable by transaction id, so cached files never need invalidating;
+ * entries are ordered by modification time, which is refreshed on every hit
+ * @returns {Promise<void>}
+ */
+export function initContentCache() {
+  if (!initialized) {
+    initialized = loadIndex();
+  }
+  return initialized;
+}
+
+async function loadIndex() {
+  if (!config.cache.enabled) {
+    return;
+  }
+
+  try {
+    await fs.mkdir(config.cache.dir, { recursive: true });
+
+    const files = [];
+    for (const name of await fs.readdir(config.cache.dir)) {
+      const filePath = path.join(config.cache.dir, name);
+      if (name.endsWith('.tmp')) {
+        // Left over from a fill that never completed
+        await fs.rm(filePath, { force: true });
+        continue;
+      }
+      const stat = await fs.stat(filePath);
+      files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+    }
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    files.forEach(file => addEntry(file.name, file.size));
+    await evict();
+
+    console.log(`Content cache loaded: ${entries.size} objects, ${totalSize} bytes`);
+  } catch (error) {
+    console.error('Error loading content cache:', error);
+    throw new Error('Failed to load content cache');
+  }
+}
+
+/**
+ * Open a cached object for reading
+ * Counts a hit or a miss; returns null on a miss
+ * @param {string} irysId - Irys transaction ID
+ * @param {Object|null} range - Optional inclusive byte range `{ start, end }`
+ * @returns {Promise<Readable|null>} Stream of the cached bytes, or null
+ */
+export async function openCachedObject(irysId, range = null) {
+  if (!config.cache.enabled) {
+    return null;
+  }
+  await initContentCache();
+
+  if (!entries.has(irysId)) {
+    stats.misses++;
+    return null;
+  }
+
+  const filePath = cachePath(irysId);
+  try {
+    // Open eagerly so a file removed underneath us counts as a miss
+    const handle = await fs.open(filePath, 'r');
+    touch(irysId);
+    stats.hits++;
+    return createReadStream(null, {
+      fd: handle,
+      start: range ? range.start : undefined,
+      end: range ? range.end : undefined
+    });
+  } catch (error) {
+    removeEntry(irysId);
+    stats.misses++;
+    return null;
+  }
+}
+
+/**
+ * Create a pass-through stream that also writes what it reads into the cache
+ * The entry is only added once the full expected size has been seen
+ * @param {string} irysId - Irys transaction ID
+ * @param {number} size - Expected object size in bytes
+ * @returns {Transform} Stream to place between the gateway response and the client
+ */
+export function createCachingStream(irysId, size) {
+  if (!isCacheable(irysId, size)) {
+    return new Transform({
+      transform(chunk, encoding, cb) {
+        cb(null, chunk);
+      }
+    });
+  }
+
+  const tempPath = `${cachePath(irysId)}.${uuidv4()}.tmp`;
+  const file = createWriteStream(tempPath);
+  let written = 0;
+  let failed = false;
+
+  file.on('error', (error) => {
+    if (!failed) {
+      console.error('Error writing content cache file:', error);
+    }
+    failed = true;
+  });
+
+  const discard = () => {
+    failed = true;
+    file.destroy();
+    fs.rm(tempPath, { force: true }).catch(() => {});
+  };
+
+  const stream = new Transform({
+    transform(chunk, encoding, cb) {
+      if (failed) {
+        return cb(null, chunk);
+      }
+      written += chunk.length;
+      if (file.write(chunk)) {
+        return cb(null, chunk);
+      }
+      file.once('drain', () => cb(null, chunk));
+    },
+    flush(cb) {
+      if (failed || written !== size) {
+        discard();
+        return cb();
+      }
+      file.end(() => {
+        commit(irysId, tempPath, size).catch(error => {
+          console.error('Error adding object to content cache:', error);
+        });
+      });
+      cb();
+    }
+  });
+
+  stream.on('close', () => {
+    if (!stream.writableFinished) {
+      // Client went away or the gateway failed mid-stream
+      discard();
+    }
+  });
+
+  return stream;
+}
+
+/**
+ * Prewarm the cache with a freshly uploaded object
+ * Failures are logged and otherwise ignored, the cache is best effort
+ * @param {string} irysId - Irys transaction ID
+ * @param {string} filePath - Path of the uploaded body
+ * @param {number} size - Object size in bytes
+ */
+export async function prewarmCache(irysId, filePath, size) {
+  if (!isCacheable(irysId, size)) {
+    return;
+  }
+
+  const tempPath = `${cachePath(irysId)}.${uuidv4()}.tmp`;
+  try {
+    await initContentCache();
+    await fs.copyFile(filePath, tempPath);
+    await commit(irysId, tempPath, size);
+  } catch (error) {
+    console.error('Error prewarming content cache:', error);
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Hit/miss counters and current usage
+ */
+export function getCacheStats() {
+  return {
+    enabled: config.cache.enabled,
+    hits: stats.hits,
+    misses: stats.misses,
+    evictions: stats.evictions,
+    objects: entries.size,
+    size: totalSize,
+    maxSize: config.cache.maxSize
+  };
+}
+
+function isCacheable(irysId, size) {
+  return config.cache.enabled && Boolean(irysId) && size <= config.cache.maxSize;
+}
+
+function cachePath(irysId) {
+  // Transaction ids are base64url, but never trust them as path components
+  return path.join(config.cache.dir, irysId.replace(/[^A-Za-z0-9_-]/g, '_'));
+}
+
+/**
+ * Move a completed temp file into place and account for it
+ * @param {string} irysId - Irys transaction ID
+ * @param {string} tempPath - Completed temp file
+ * @param {number} size - File size in bytes
+ */
+async function commit(irysId, tempPath, size) {
+  await fs.rename(tempPath, cachePath(irysId));
+  addEntry(irysId, size);
+  await evict();
+}
+
+function addEntry(irysId, size) {
+  removeEntry(irysId);
+  entries.set(irysId, size);
+  totalSize += size;
+}
+
+function removeEntry(irysId) {
+  if (entries.has(irysId)) {
+    totalSize -= entries.get(irysId);
+    entries.delete(irysId);
+  }
+}
+
+function touch(irysId) {
+  const size = entries.get(irysId);
+  entries.delete(irysId);
+  entries.set(irysId, size);
+
+  const now = new Date();
+  fs.utimes(cachePath(irysId), now, now).catch(() => {});
+}
+
+/**
+ * Remove least recently used entries until the cache fits its size limit
+ */
+async function evict() {
+  for (const irysId of entries.keys()) {
+    if (totalSize <= config.cache.maxSize) {
+      break;
+    }
+    removeEntry(irysId);
+    stats.evictions++;
+    await fs.rm(cachePath(irysId), { force: true });
+  }
+}
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import {
+  createAccessKey,
+  getAccessKey,
+  hasActiveAccessKeys,
+  updateAccessKeySecret
+} from './database.js';
+
+// Alphabet of generated access key ids, as in AWS ("AKIA" followed by 16 of these)
+const ACCESS_KEY_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+let accessKeys = null;
+
+/**
+ * Load the configured access keys
+ * ACCESS_KEYS is a comma-separated list of `accessKeyId:secretAccessKey` pairs
+ * @returns {Map<string, string>} Access key id to secret map
+ */
+function loadAccessKeys() {
+  if (accessKeys) {
+    return accessKeys;
+  }
+
+  accessKeys = new Map();
+  (config.auth.accessKeys || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const index = entry.indexOf(':');
+      if (index <= 0) {
+        console.warn('Ignoring malformed ACCESS_KEYS entry (expected accessKeyId:secret)');
+        return;
+      }
+      accessKeys.set(entry.slice(0, index), entry.slice(index + 1));
+    });
+
+  return accessKeys;
+}
+
+/**
+ * Look up the principal an access key id belongs to
+ * Keys from ACCESS_KEYS are root principals with access to everything; keys issued through
+ * the admin API are limited to their grants (see lib/authorization.js)
+ * @param {string} accessKeyId - Access key id
+ * @returns {Promise<Object|null>} `{ accessKeyId, name, root, grants, secretAccessKey }`, or
+ * null if the key is unknown or revoked
+ */
+export async function findPrincipal(accessKeyId) {
+  const configuredSecret = loadAccessKeys().get(accessKeyId);
+  if (configuredSecret) {
+    return { accessKeyId, name: accessKeyId, root: true, grants: [], secretAccessKey: configuredSecret };
+  }
+
+  const record = await getAccessKey(accessKeyId);
+  if (!record || record.status !== 'active') {
+    return null;
+  }
+  return {
+    accessKeyId,
+    name: record.name,
+    root: false,
+    grants: record.grants,
+    secretAccessKey: record.secret_access_key
+  };
+}
+
+/**
+ * Look up the secret for an access key id
+ * @param {string} accessKeyId - Access key id
+ * @returns {Promise<string|null>} Secret access key or null if unknown
+ */
+export async function getSecretAccessKey(accessKeyId) {
+  const principal = await findPrincipal(accessKeyId);
+  return principal?.secretAccessKey || null;
+}
+
+/**
+ * Whether root credentials are configured (ACCESS_KEYS or the legacy API key)
+ * Only these can use the admin endpoints
+ * @returns {boolean} True if root credentials are configured
+ */
+export function hasRootCredentials() {
+  return loadAccessKeys().size > 0 || Boolean(config.api.apiKey);
+}
+
+/**
+ * Whether any credentials exist: root credentials or active access keys in the database
+ * @returns {Promise<boolean>} True if requests must be authenticated
+ */
+export async function isAuthenticationRequired() {
+  return hasRootCredentials() || hasActiveAccessKeys();
+}
+
+/**
+ * Issue an access key with its own grants
+ * @param {Object} options
+ * @param {string} options.name - Who or what the key is for
+ * @param {Array} options.grants - Normalized grants (see lib/authorization.js)
+ * @returns {Promise<Object>} Stored access key record, including the secret
+ */
+export async function issueAccessKey({ name, grants }) {
+  let accessKeyId;
+  do {
+    accessKeyId = generateAccessKeyId();
+  } while (loadAccessKeys().has(accessKeyId) || await getAccessKey(accessKeyId));
+
+  return createAccessKey({ accessKeyId, secretAccessKey: generateSecretAccessKey(), name, grants });
+}
+
+/**
+ * Give an active access key a new secret; the old one stops working immediately
+ * @param {string} accessKeyId - Access key id
+ * @returns {Promise<string|null>} New secret, or null if the key is unknown or revoked
+ */
+export async function rotateAccessKey(accessKeyId) {
+  const secretAccessKey = generateSecretAccessKey();
+  return await updateAccessKeySecret(accessKeyId, secretAccessKey) ? secretAccessKey : null;
+}
+
+function generateAccessKeyId() {
+  const suffix = [...crypto.randomBytes(16)].map(byte => ACCESS_KEY_ID_ALPHABET[byte % 32]).join('');
+  return `AKIA${suffix}`;
+}
+
+function generateSecretAccessKey() {
+  return crypto.randomBytes(30).toString('base64');
+}
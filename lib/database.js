@@ -1,122 +1,100 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
-import { promises as fs } from 'fs';
-import path from 'path';
-import config from '../config/config.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createDatabaseDriver } from './db/index.js';
+import { migrateDatabase, getSchemaVersion } from './db/migrate.js';
 
 let db = null;
+let opening = null;
+
+// Version ID of objects written while versioning is not enabled, as in S3
+export const NULL_VERSION_ID = 'null';
 
 /**
- * Initialize SQLite database
- * @returns {Promise<Object>} Database instance
+ * Initialize the metadata database (SQLite or PostgreSQL, see lib/db/index.js)
+ * and apply pending schema migrations
+ * @returns {Promise<Object>} Database driver
  */
 export async function initDatabase() {
   if (db) {
     return db;
   }
 
-  try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(config.database.path);
-    await fs.mkdir(dataDir, { recursive: true });
-
-    // Open database connection
-    db = await open({
-      filename: config.database.path,
-      driver: sqlite3.Database
-    });
+  if (!opening) {
+    opening = (async () => {
+      const driver = await createDatabaseDriver();
+      try {
+        await migrateDatabase(driver);
+      } catch (error) {
+        await driver.close();
+        throw error;
+      }
+      console.log(`Database initialized successfully (${driver.dialect})`);
+      return driver;
+    })();
+  }
 
-    // Create tables
-    await createTables();
-    
-    console.log('Database initialized successfully');
+  try {
+    db = await opening;
     return db;
   } catch (error) {
+    opening = null;
     console.error('Error initializing database:', error);
     throw new Error('Failed to initialize database');
   }
 }
 
-/**
- * Create database tables
- */
-async function createTables() {
-  const createObjectsTable = `
-    CREATE TABLE IF NOT EXISTS objects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      bucket TEXT NOT NULL,
-      key TEXT NOT NULL,
-      irys_id TEXT NOT NULL UNIQUE,
-      content_type TEXT,
-      size INTEGER,
-      etag TEXT,
-      last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
-      metadata TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      is_deleted INTEGER DEFAULT 0
-    )
-  `;
-
-  const createBucketsTable = `
-    CREATE TABLE IF NOT EXISTS buckets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      is_deleted INTEGER DEFAULT 0
-    )
-  `;
-
-  // Create indexes for better performance
-  const createIndexes = [
-    'CREATE INDEX IF NOT EXISTS idx_bucket_key ON objects(bucket, key)',
-    'CREATE INDEX IF NOT EXISTS idx_irys_id ON objects(irys_id)',
-    'CREATE INDEX IF NOT EXISTS idx_bucket_name ON buckets(name)',
-    'CREATE INDEX IF NOT EXISTS idx_last_modified ON objects(last_modified)'
-  ];
-
-  await db.exec(createObjectsTable);
-  await db.exec(createBucketsTable);
-  
-  for (const indexSql of createIndexes) {
-    await db.exec(indexSql);
-  }
-}
-
 /**
  * Store object mapping in database
+ * Each upload is recorded as a new version of the key; in buckets without
+ * versioning enabled it replaces the key's "null" version
  * @param {string} bucket - Bucket name
  * @param {string} key - Object key
  * @param {Object} irysReceipt - Irys upload receipt
  * @param {string} contentType - MIME type
  * @param {number} size - File size in bytes
  * @param {Object} metadata - Additional metadata
+ * @param {Object} options - Storage options
+ * @param {string} options.etag - Quoted ETag; defaults to the Irys transaction ID
+ * @param {Object} [options.checksum] - Additional checksum `{ algorithm, value }` (see lib/checksums.js)
+ * @param {Object} [options.tagging] - Object tags, tag key to value (see lib/objectTagging.js)
+ * @param {Date} [options.lastModified] - Modification time, when restoring an earlier upload; defaults to now
  * @returns {Promise<Object>} Stored object record
  */
-export async function storeObjectMapping(bucket, key, irysReceipt, contentType, size, metadata = {}) {
+export async function storeObjectMapping(bucket, key, irysReceipt, contentType, size, metadata = {}, options = {}) {
   const database = await initDatabase();
   
   try {
     // First ensure bucket exists
     await ensureBucketExists(bucket);
     
-    // Generate ETag (using Irys transaction ID)
-    const etag = `"${irysReceipt.id}"`;
-    
-    const result = await database.run(
-      `INSERT OR REPLACE INTO objects 
-       (bucket, key, irys_id, content_type, size, etag, metadata, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-      [
-        bucket,
-        key,
-        irysReceipt.id,
-        contentType,
-        size,
-        etag,
-        JSON.stringify(metadata)
-      ]
-    );
+    // Fall back to the Irys transaction ID when no content-based ETag is given
+    const etag = options.etag || `"${irysReceipt.id}"`;
+
+    await database.transaction(async (tx) => {
+      await lockKey(tx, bucket, key);
+      const versionId = await allocateVersionId(tx, bucket, key);
+
+      await tx.run(
+        `INSERT INTO object_versions 
+         (bucket, key, version_id, irys_id, content_type, size, etag, metadata, tagging, checksum_algorithm, checksum, last_modified) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+        [
+          bucket,
+          key,
+          versionId,
+          irysReceipt.id,
+          contentType,
+          size,
+          etag,
+          JSON.stringify(metadata),
+          JSON.stringify(options.tagging || {}),
+          options.checksum?.algorithm || null,
+          options.checksum?.value || null,
+          options.lastModified ? toSqlTimestamp(options.lastModified) : null
+        ]
+      );
+
+      await syncCurrentObject(tx, bucket, key);
+    });
 
     return await getObjectMapping(bucket, key);
   } catch (error) {
@@ -125,6 +103,15 @@ export async function storeObjectMapping(bucket, key, irysReceipt, contentType,
   }
 }
 
+/**
+ * Format a date the way CURRENT_TIMESTAMP is stored (UTC, second precision)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
 /**
  * Get object mapping from database
  * @param {string} bucket - Bucket name
@@ -146,7 +133,8 @@ export async function getObjectMapping(bucket, key) {
 
     return {
       ...object,
-      metadata: object.metadata ? JSON.parse(object.metadata) : {}
+      metadata: object.metadata ? JSON.parse(object.metadata) : {},
+      tagging: object.tagging ? JSON.parse(object.tagging) : {}
     };
   } catch (error) {
     console.error('Error getting object mapping:', error);
@@ -155,131 +143,1598 @@ export async function getObjectMapping(bucket, key) {
 }
 
 /**
- * Delete object mapping (soft delete)
+ * Delete object mapping
+ * In a versioned bucket a delete marker is added and earlier versions are kept;
+ * otherwise the key's "null" version is removed (the Irys data itself is immutable)
  * @param {string} bucket - Bucket name
  * @param {string} key - Object key
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<Object>} `{ deleteMarker, versionId }` describing the outcome
  */
 export async function deleteObjectMapping(bucket, key) {
   const database = await initDatabase();
   
   try {
-    const result = await database.run(
-      'UPDATE objects SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE bucket = ? AND key = ? AND is_deleted = 0',
+    return await database.transaction(tx => deleteKey(tx, bucket, key));
+  } catch (error) {
+    console.error('Error deleting object mapping:', error);
+    throw new Error('Failed to delete object mapping');
+  }
+}
+
+/**
+ * Delete several objects or object versions in one transaction (DeleteObjects)
+ * Each entry is deleted as deleteObjectMapping does, or as deleteObjectVersion does when it
+ * has a version ID. Keys are locked in sorted order so overlapping batches cannot deadlock
+ * @param {string} bucket - Bucket name
+ * @param {Array<Object>} objects - `{ key, versionId }`, versionId being optional
+ * @returns {Promise<Array<Object>>} Outcome of each entry, in the order given: `{ deleteMarker,
+ * versionId }` for keys, `{ removed }` (the removed version record, or null) for versions
+ */
+export async function deleteObjects(bucket, objects) {
+  const database = await initDatabase();
+
+  try {
+    const order = objects
+      .map((object, index) => ({ ...object, index }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : a.index - b.index));
+
+    return await database.transaction(async (tx) => {
+      const results = new Array(objects.length);
+      for (const { key, versionId, index } of order) {
+        results[index] = versionId === undefined
+          ? await deleteKey(tx, bucket, key)
+          : { removed: await deleteVersion(tx, bucket, key, versionId) };
+      }
+      return results;
+    });
+  } catch (error) {
+    console.error('Error deleting objects:', error);
+    throw new Error('Failed to delete objects');
+  }
+}
+
+/**
+ * Delete the current object of a key within a transaction (see deleteObjectMapping)
+ * @param {Object} tx - Transaction handle
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object>} `{ deleteMarker, versionId }`
+ */
+async function deleteKey(tx, bucket, key) {
+  await lockKey(tx, bucket, key);
+  // Read through the transaction after taking the key lock, as allocateVersionId does
+  const bucketRow = await tx.get(
+    'SELECT versioning FROM buckets WHERE name = ? AND is_deleted = 0',
+    [bucket]
+  );
+  if (!bucketRow?.versioning) {
+    await tx.run(
+      'DELETE FROM object_versions WHERE bucket = ? AND key = ? AND version_id = ?',
+      [bucket, key, NULL_VERSION_ID]
+    );
+    await syncCurrentObject(tx, bucket, key);
+    return { deleteMarker: false, versionId: null };
+  }
+
+  const versionId = await allocateVersionId(tx, bucket, key);
+  await tx.run(
+    `INSERT INTO object_versions (bucket, key, version_id, is_delete_marker)
+     VALUES (?, ?, ?, 1)`,
+    [bucket, key, versionId]
+  );
+  await syncCurrentObject(tx, bucket, key);
+
+  return { deleteMarker: true, versionId };
+}
+
+/**
+ * Remove a version of a key within a transaction (see deleteObjectVersion)
+ * @param {Object} tx - Transaction handle
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} Removed version record or null if it did not exist
+ */
+async function deleteVersion(tx, bucket, key, versionId) {
+  await lockKey(tx, bucket, key);
+  const version = await tx.get(
+    'SELECT * FROM object_versions WHERE bucket = ? AND key = ? AND version_id = ?',
+    [bucket, key, versionId]
+  );
+  if (!version) {
+    return null;
+  }
+
+  await tx.run('DELETE FROM object_versions WHERE id = ?', [version.id]);
+  await syncCurrentObject(tx, bucket, key);
+  return parseVersion(version);
+}
+
+/**
+ * Get a specific version of an object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version ID ("null" for the unversioned version)
+ * @returns {Promise<Object|null>} Version record or null
+ */
+export async function getObjectVersion(bucket, key, versionId) {
+  const database = await initDatabase();
+
+  try {
+    const version = await database.get(
+      'SELECT * FROM object_versions WHERE bucket = ? AND key = ? AND version_id = ?',
+      [bucket, key, versionId]
+    );
+
+    return version ? parseVersion(version) : null;
+  } catch (error) {
+    console.error('Error getting object version:', error);
+    throw new Error('Failed to get object version');
+  }
+}
+
+/**
+ * Get the latest version of an object, which may be a delete marker
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} Version record or null
+ */
+export async function getLatestObjectVersion(bucket, key) {
+  const database = await initDatabase();
+
+  try {
+    const version = await database.get(
+      'SELECT * FROM object_versions WHERE bucket = ? AND key = ? ORDER BY id DESC LIMIT 1',
       [bucket, key]
     );
 
-    return result.changes > 0;
+    return version ? parseVersion(version) : null;
   } catch (error) {
-    console.error('Error deleting object mapping:', error);
-    throw new Error('Failed to delete object mapping');
+    console.error('Error getting latest object version:', error);
+    throw new Error('Failed to get latest object version');
   }
 }
 
 /**
- * List objects in a bucket
+ * Permanently remove a version (or delete marker) of an object
+ * If it was the latest version, the previous one becomes current again
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} Removed version record or null if it did not exist
+ */
+export async function deleteObjectVersion(bucket, key, versionId) {
+  const database = await initDatabase();
+
+  try {
+    return await database.transaction(tx => deleteVersion(tx, bucket, key, versionId));
+  } catch (error) {
+    console.error('Error deleting object version:', error);
+    throw new Error('Failed to delete object version');
+  }
+}
+
+/**
+ * Replace the tags of a version of an object
+ * Tags live only in the database: those written to Irys with the upload cannot be changed
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version ID
+ * @param {Object} tagging - Tag key to value; empty to remove every tag
+ * @returns {Promise<boolean>} False if the version does not exist or is a delete marker
+ */
+export async function setObjectTagging(bucket, key, versionId, tagging) {
+  const database = await initDatabase();
+
+  try {
+    return await database.transaction(async (tx) => {
+      await lockKey(tx, bucket, key);
+      const { changes } = await tx.run(
+        `UPDATE object_versions SET tagging = ?
+         WHERE bucket = ? AND key = ? AND version_id = ? AND is_delete_marker = 0`,
+        [JSON.stringify(tagging), bucket, key, versionId]
+      );
+      if (!changes) {
+        return false;
+      }
+
+      await tx.run(
+        `UPDATE objects SET tagging = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE bucket = ? AND key = ? AND version_id = ? AND is_deleted = 0`,
+        [JSON.stringify(tagging), bucket, key, versionId]
+      );
+      return true;
+    });
+  } catch (error) {
+    console.error('Error setting object tagging:', error);
+    throw new Error('Failed to set object tagging');
+  }
+}
+
+/**
+ * List object versions and delete markers in a bucket, ordered by key and newest first
+ * Keys sharing a prefix up to the delimiter are rolled up into common prefixes
  * @param {string} bucket - Bucket name
  * @param {Object} options - List options
- * @returns {Promise<Array>} Array of object records
+ * @param {string} options.prefix - Only return keys starting with this prefix
+ * @param {string} options.keyMarker - Key to start listing after
+ * @param {string} options.versionIdMarker - Version of keyMarker to start listing after
+ * @param {number} options.maxKeys - Maximum number of versions and common prefixes
+ * @param {string} options.delimiter - Character used to group keys
+ * @returns {Promise<Object>} Versions, common prefixes and truncation state
  */
-export async function listObjects(bucket, options = {}) {
+export async function listObjectVersions(bucket, options = {}) {
   const database = await initDatabase();
-  
+
   const {
     prefix = '',
-    marker = '',
+    keyMarker = '',
+    versionIdMarker = '',
     maxKeys = 1000,
     delimiter = ''
   } = options;
 
   try {
-    let sql = 'SELECT * FROM objects WHERE bucket = ? AND is_deleted = 0';
-    const params = [bucket];
+    const versions = [];
+    const commonPrefixes = [];
+    let isTruncated = false;
+    let lastEntry = null;
 
-    if (prefix) {
-      sql += ' AND key LIKE ?';
-      params.push(`${prefix}%`);
-    }
+    // Cursor is a key plus, when resuming inside a key, the row id to continue below
+    let cursor = keyMarker;
+    let cursorId = null;
+    let inclusive = false;
 
-    if (marker) {
-      sql += ' AND key > ?';
-      params.push(marker);
+    const markerPrefix = commonPrefixFor(keyMarker, prefix, delimiter);
+    if (markerPrefix) {
+      cursor = prefixUpperBound(markerPrefix);
+      inclusive = true;
+    } else if (keyMarker && versionIdMarker) {
+      const markerVersion = await getObjectVersion(bucket, keyMarker, versionIdMarker);
+      cursorId = markerVersion ? markerVersion.id : null;
     }
 
-    sql += ' ORDER BY key';
+    const batchSize = Math.min(Math.max(maxKeys, 0) + 1, 1000);
+
+    scan:
+    while (true) {
+      let sql = `SELECT v.*, CASE WHEN v.id = (
+          SELECT MAX(latest.id) FROM object_versions latest
+          WHERE latest.bucket = v.bucket AND latest.key = v.key
+        ) THEN 1 ELSE 0 END AS is_latest
+        FROM object_versions v WHERE v.bucket = ?`;
+      const params = [bucket];
+
+      if (prefix) {
+        sql += ' AND v.key >= ? AND substr(v.key, 1, length(?)) = ?';
+        params.push(prefix, prefix, prefix);
+      }
 
-    if (maxKeys > 0) {
-      sql += ' LIMIT ?';
-      params.push(maxKeys);
+      if (cursor && cursorId !== null) {
+        sql += ' AND (v.key > ? OR (v.key = ? AND v.id < ?))';
+        params.push(cursor, cursor, cursorId);
+      } else if (cursor) {
+        sql += inclusive ? ' AND v.key >= ?' : ' AND v.key > ?';
+        params.push(cursor);
+      }
+
+      sql += ' ORDER BY v.key, v.id DESC LIMIT ?';
+      params.push(batchSize);
+
+      const rows = await database.all(sql, params);
+
+      for (const row of rows) {
+        if (versions.length + commonPrefixes.length >= maxKeys) {
+          isTruncated = true;
+          break scan;
+        }
+
+        const rolledUp = commonPrefixFor(row.key, prefix, delimiter);
+        if (rolledUp) {
+          commonPrefixes.push(rolledUp);
+          lastEntry = { key: rolledUp, versionId: null };
+          cursor = prefixUpperBound(rolledUp);
+          cursorId = null;
+          inclusive = true;
+          continue scan;
+        }
+
+        versions.push({
+          ...parseVersion(row),
+          is_latest: row.is_latest === 1
+        });
+        lastEntry = { key: row.key, versionId: row.version_id };
+        cursor = row.key;
+        cursorId = row.id;
+      }
+
+      if (rows.length < batchSize) {
+        break;
+      }
     }
 
-    const objects = await database.all(sql, params);
+    return {
+      versions,
+      commonPrefixes,
+      isTruncated,
+      nextKeyMarker: isTruncated ? lastEntry.key : null,
+      nextVersionIdMarker: isTruncated ? lastEntry.versionId : null
+    };
+  } catch (error) {
+    console.error('Error listing object versions:', error);
+    throw new Error('Failed to list object versions');
+  }
+}
+
+/**
+ * Get the versioning state of a bucket
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<string|null>} "Enabled", "Suspended", or null if never enabled
+ */
+export async function getBucketVersioning(bucket) {
+  const database = await initDatabase();
 
-    return objects.map(obj => ({
-      ...obj,
-      metadata: obj.metadata ? JSON.parse(obj.metadata) : {}
-    }));
+  try {
+    const row = await database.get(
+      'SELECT versioning FROM buckets WHERE name = ? AND is_deleted = 0',
+      [bucket]
+    );
+    return row?.versioning || null;
   } catch (error) {
-    console.error('Error listing objects:', error);
-    throw new Error('Failed to list objects');
+    console.error('Error getting bucket versioning:', error);
+    throw new Error('Failed to get bucket versioning');
   }
 }
 
 /**
- * Ensure bucket exists in database
- * @param {string} bucketName - Bucket name
+ * Set the versioning state of a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string} status - "Enabled" or "Suspended"
  */
-async function ensureBucketExists(bucketName) {
+export async function setBucketVersioning(bucket, status) {
   const database = await initDatabase();
-  
+
   try {
+    await ensureBucketExists(bucket);
     await database.run(
-      'INSERT OR IGNORE INTO buckets (name) VALUES (?)',
-      [bucketName]
+      'UPDATE buckets SET versioning = ? WHERE name = ?',
+      [status, bucket]
     );
   } catch (error) {
-    console.error('Error ensuring bucket exists:', error);
-    throw new Error('Failed to ensure bucket exists');
+    console.error('Error setting bucket versioning:', error);
+    throw new Error('Failed to set bucket versioning');
   }
 }
 
 /**
- * List all buckets
- * @returns {Promise<Array>} Array of bucket records
+ * Get the policy document of a bucket
+ * @param {string} bucket - Bucket name
+ * @returns {Promise<string|null>} Policy JSON as it was set, or null if the bucket has none
  */
-export async function listBuckets() {
+export async function getBucketPolicy(bucket) {
   const database = await initDatabase();
-  
+
   try {
-    const buckets = await database.all(
-      'SELECT * FROM buckets WHERE is_deleted = 0 ORDER BY name'
+    const row = await database.get(
+      'SELECT policy FROM buckets WHERE name = ? AND is_deleted = 0',
+      [bucket]
     );
-    return buckets;
+    return row?.policy || null;
   } catch (error) {
-    console.error('Error listing buckets:', error);
-    throw new Error('Failed to list buckets');
+    console.error('Error getting bucket policy:', error);
+    throw new Error('Failed to get bucket policy');
   }
 }
 
 /**
- * Get database statistics
- * @returns {Promise<Object>} Database statistics
+ * Set or remove the policy document of a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string|null} policy - Validated policy JSON, or null to remove the policy
  */
-export async function getStats() {
+export async function setBucketPolicy(bucket, policy) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      'UPDATE buckets SET policy = ? WHERE name = ? AND is_deleted = 0',
+      [policy, bucket]
+    );
+  } catch (error) {
+    console.error('Error setting bucket policy:', error);
+    throw new Error('Failed to set bucket policy');
+  }
+}
+
+/**
+ * Keep other writers of a key out until the transaction ends, so concurrent writes (possibly
+ * from other replicas) cannot both insert a live object row. SQLite transactions already run
+ * one at a time
+ * @param {Object} tx - Transaction handle
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ */
+async function lockKey(tx, bucket, key) {
+  if (tx.dialect === 'postgres') {
+    await tx.get('SELECT pg_advisory_xact_lock(hashtext(?))', [`${bucket}/${key}`]);
+  }
+}
+
+/**
+ * Pick the version ID for a new version of a key
+ * Outside of an Enabled bucket the new version replaces the "null" version
+ * @param {Object} tx - Transaction handle
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<string>} Version ID
+ */
+async function allocateVersionId(tx, bucket, key) {
+  // Read through the transaction: a second connection could wait on the pool forever
+  const bucketRow = await tx.get(
+    'SELECT versioning FROM buckets WHERE name = ? AND is_deleted = 0',
+    [bucket]
+  );
+  if (bucketRow?.versioning === 'Enabled') {
+    return uuidv4().replace(/-/g, '');
+  }
+
+  await tx.run(
+    'DELETE FROM object_versions WHERE bucket = ? AND key = ? AND version_id = ?',
+    [bucket, key, NULL_VERSION_ID]
+  );
+  return NULL_VERSION_ID;
+}
+
+/**
+ * Point the objects table at the latest version of a key,
+ * or leave the key without a current object if that is a delete marker
+ * A key keeps a single row: its live object, updated in place, or once it has none, a
+ * tombstone recording when it was deleted (see listDeletedKeys)
+ * @param {Object} tx - Transaction handle
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ */
+async function syncCurrentObject(tx, bucket, key) {
+  const latest = await tx.get(
+    'SELECT * FROM object_versions WHERE bucket = ? AND key = ? ORDER BY id DESC LIMIT 1',
+    [bucket, key]
+  );
+  // The live row if there is one, otherwise the newest tombstone
+  const row = await tx.get(
+    'SELECT id, is_deleted FROM objects WHERE bucket = ? AND key = ? ORDER BY is_deleted, id DESC LIMIT 1',
+    [bucket, key]
+  );
+
+  if (!latest || latest.is_delete_marker) {
+    if (row && !row.is_deleted) {
+      await tx.run(
+        'UPDATE objects SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [row.id]
+      );
+    }
+  } else {
+    const values = [
+      latest.irys_id,
+      latest.content_type,
+      latest.size,
+      latest.etag,
+      latest.metadata,
+      latest.tagging,
+      latest.version_id,
+      latest.last_modified,
+      latest.checksum_algorithm,
+      latest.checksum
+    ];
+
+    if (row) {
+      await tx.run(
+        `UPDATE objects SET
+           irys_id = ?, content_type = ?, size = ?, etag = ?, metadata = ?, tagging = ?, version_id = ?,
+           last_modified = ?, checksum_algorithm = ?, checksum = ?, is_deleted = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...values, row.id]
+      );
+    } else {
+      await tx.run(
+        `INSERT INTO objects 
+         (irys_id, content_type, size, etag, metadata, tagging, version_id, last_modified, checksum_algorithm, checksum, bucket, key, updated_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [...values, bucket, key]
+      );
+    }
+  }
+}
+
+function parseVersion(version) {
+  return {
+    ...version,
+    is_delete_marker: version.is_delete_marker === 1,
+    metadata: version.metadata ? JSON.parse(version.metadata) : {},
+    tagging: version.tagging ? JSON.parse(version.tagging) : {}
+  };
+}
+
+/**
+ * List objects in a bucket
+ * Keys sharing a prefix up to the delimiter are rolled up into common prefixes,
+ * each counting once towards maxKeys as in S3
+ * @param {string} bucket - Bucket name
+ * @param {Object} options - List options
+ * @param {string} options.prefix - Only return keys starting with this prefix
+ * @param {string} options.marker - Only return keys (or prefixes) after this value
+ * @param {number} options.maxKeys - Maximum number of keys and common prefixes
+ * @param {string} options.delimiter - Character used to group keys
+ * @returns {Promise<Object>} Contents, common prefixes and truncation state
+ */
+export async function listObjects(bucket, options = {}) {
   const database = await initDatabase();
   
+  const {
+    prefix = '',
+    marker = '',
+    maxKeys = 1000,
+    delimiter = ''
+  } = options;
+
   try {
-    const [objectCount, bucketCount] = await Promise.all([
-      database.get('SELECT COUNT(*) as count FROM objects WHERE is_deleted = 0'),
-      database.get('SELECT COUNT(*) as count FROM buckets WHERE is_deleted = 0')
-    ]);
+    const contents = [];
+    const commonPrefixes = [];
+    let isTruncated = false;
+    let lastEntry = null;
+
+    // Position the cursor after the marker; a marker inside a common prefix
+    // skips the whole prefix since it was already returned
+    let cursor = marker;
+    let inclusive = false;
+    const markerPrefix = commonPrefixFor(marker, prefix, delimiter);
+    if (markerPrefix) {
+      cursor = prefixUpperBound(markerPrefix);
+      inclusive = true;
+    }
+
+    const batchSize = Math.min(Math.max(maxKeys, 0) + 1, 1000);
+
+    scan:
+    while (true) {
+      let sql = 'SELECT * FROM objects WHERE bucket = ? AND is_deleted = 0';
+      const params = [bucket];
+
+      if (prefix) {
+        // Exact prefix comparison: LIKE treats % and _ as wildcards and ignores case
+        sql += ' AND key >= ? AND substr(key, 1, length(?)) = ?';
+        params.push(prefix, prefix, prefix);
+      }
+
+      if (cursor) {
+        sql += inclusive ? ' AND key >= ?' : ' AND key > ?';
+        params.push(cursor);
+      }
+
+      sql += ' ORDER BY key LIMIT ?';
+      params.push(batchSize);
+
+      const rows = await database.all(sql, params);
+
+      for (const row of rows) {
+        if (contents.length + commonPrefixes.length >= maxKeys) {
+          isTruncated = true;
+          break scan;
+        }
+
+        const rolledUp = commonPrefixFor(row.key, prefix, delimiter);
+        if (rolledUp) {
+          commonPrefixes.push(rolledUp);
+          lastEntry = rolledUp;
+          cursor = prefixUpperBound(rolledUp);
+          inclusive = true;
+          continue scan;
+        }
+
+        contents.push({
+          ...row,
+          metadata: row.metadata ? JSON.parse(row.metadata) : {}
+        });
+        lastEntry = row.key;
+        cursor = row.key;
+        inclusive = false;
+      }
+
+      if (rows.length < batchSize) {
+        break;
+      }
+    }
 
     return {
-      objects: objectCount.count,
-      buckets: bucketCount.count
+      contents,
+      commonPrefixes,
+      isTruncated,
+      nextMarker: isTruncated ? lastEntry : null
     };
   } catch (error) {
-    console.error('Error getting stats:', error);
-    throw new Error('Failed to get database statistics');
+    console.error('Error listing objects:', error);
+    throw new Error('Failed to list objects');
+  }
+}
+
+/**
+ * Get the common prefix a key rolls up into
+ * @param {string} key - Object key
+ * @param {string} prefix - Listing prefix
+ * @param {string} delimiter - Listing delimiter
+ * @returns {string|null} Common prefix including the delimiter, or null
+ */
+function commonPrefixFor(key, prefix, delimiter) {
+  if (!delimiter || !key.startsWith(prefix)) {
+    return null;
   }
-}
\ No newline at end of file
+  const index = key.indexOf(delimiter, prefix.length);
+  return index === -1 ? null : key.slice(0, index + delimiter.length);
+}
+
+/**
+ * Smallest string sorting after every string that starts with the given prefix
+ * @param {string} value - Prefix
+ * @returns {string} Exclusive upper bound
+ */
+function prefixUpperBound(value) {
+  const last = value.charCodeAt(value.length - 1);
+  return value.slice(0, -1) + String.fromCharCode(last + 1);
+}
+
+/**
+ * Ensure bucket exists in database
+ * @param {string} bucketName - Bucket name
+ */
+async function ensureBucketExists(bucketName) {
+  try {
+    await createBucket(bucketName);
+  } catch (error) {
+    console.error('Error ensuring bucket exists:', error);
+    throw new Error('Failed to ensure bucket exists');
+  }
+}
+
+/**
+ * Create a bucket, reviving it if it was previously deleted
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<boolean>} True if the bucket was created, false if it already existed
+ */
+export async function createBucket(bucketName) {
+  const database = await initDatabase();
+
+  try {
+    const result = await database.run(
+      `INSERT INTO buckets (name) VALUES (?)
+       ON CONFLICT (name) DO UPDATE SET
+         is_deleted = 0,
+         versioning = NULL,
+         policy = NULL,
+         created_at = CURRENT_TIMESTAMP
+       WHERE buckets.is_deleted = 1`,
+      [bucketName]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error creating bucket:', error);
+    throw new Error('Failed to create bucket');
+  }
+}
+
+/**
+ * Get a bucket
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<Object|null>} Bucket record or null
+ */
+export async function getBucket(bucketName) {
+  const database = await initDatabase();
+
+  try {
+    const bucket = await database.get(
+      'SELECT * FROM buckets WHERE name = ? AND is_deleted = 0',
+      [bucketName]
+    );
+    return bucket || null;
+  } catch (error) {
+    console.error('Error getting bucket:', error);
+    throw new Error('Failed to get bucket');
+  }
+}
+
+/**
+ * Check whether a bucket holds anything: object versions, delete markers
+ * or in-progress multipart uploads
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<boolean>} True if the bucket is empty
+ */
+export async function isBucketEmpty(bucketName) {
+  const database = await initDatabase();
+
+  try {
+    const row = await database.get(
+      `SELECT CASE WHEN EXISTS (SELECT 1 FROM object_versions WHERE bucket = ?)
+           OR EXISTS (SELECT 1 FROM multipart_uploads WHERE bucket = ?) THEN 1 ELSE 0 END AS has_contents`,
+      [bucketName, bucketName]
+    );
+    return row.has_contents === 0;
+  } catch (error) {
+    console.error('Error checking bucket contents:', error);
+    throw new Error('Failed to check bucket contents');
+  }
+}
+
+/**
+ * Delete a bucket (soft delete)
+ * @param {string} bucketName - Bucket name
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteBucket(bucketName) {
+  const database = await initDatabase();
+
+  try {
+    const result = await database.run(
+      'UPDATE buckets SET is_deleted = 1 WHERE name = ? AND is_deleted = 0',
+      [bucketName]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error deleting bucket:', error);
+    throw new Error('Failed to delete bucket');
+  }
+}
+
+/**
+ * List all buckets
+ * @returns {Promise<Array>} Array of bucket records
+ */
+export async function listBuckets() {
+  const database = await initDatabase();
+  
+  try {
+    const buckets = await database.all(
+      'SELECT * FROM buckets WHERE is_deleted = 0 ORDER BY name'
+    );
+    return buckets;
+  } catch (error) {
+    console.error('Error listing buckets:', error);
+    throw new Error('Failed to list buckets');
+  }
+}
+
+/**
+ * Get database statistics
+ * @returns {Promise<Object>} Database statistics
+ */
+export async function getStats() {
+  const database = await initDatabase();
+  
+  try {
+    const [objectCount, bucketCount] = await Promise.all([
+      database.get('SELECT COUNT(*) as count FROM objects WHERE is_deleted = 0'),
+      database.get('SELECT COUNT(*) as count FROM buckets WHERE is_deleted = 0')
+    ]);
+
+    return {
+      objects: objectCount.count,
+      buckets: bucketCount.count,
+      driver: database.dialect,
+      schemaVersion: (await getSchemaVersion(database)).current
+    };
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    throw new Error('Failed to get database statistics');
+  }
+}
+
+/**
+ * List the current objects of every bucket, or of one bucket
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Only list this bucket
+ * @returns {Promise<Array<Object>>} `{ bucket, key, irys_id, last_modified }` rows
+ */
+export async function listLiveObjects({ bucket } = {}) {
+  const database = await initDatabase();
+
+  try {
+    return await database.all(
+      `SELECT bucket, key, irys_id, last_modified FROM objects
+       WHERE is_deleted = 0 ${bucket ? 'AND bucket = ?' : ''}
+       ORDER BY bucket, key`,
+      bucket ? [bucket] : []
+    );
+  } catch (error) {
+    console.error('Error listing live objects:', error);
+    throw new Error('Failed to list live objects');
+  }
+}
+
+/**
+ * List keys that once had an object but have none now, with when the last one went away
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Only list this bucket
+ * @returns {Promise<Array<Object>>} `{ bucket, key, deleted_at }` rows
+ */
+export async function listDeletedKeys({ bucket } = {}) {
+  const database = await initDatabase();
+
+  try {
+    return await database.all(
+      `SELECT o.bucket, o.key, MAX(o.updated_at) AS deleted_at FROM objects o
+       WHERE o.is_deleted = 1 ${bucket ? 'AND o.bucket = ?' : ''}
+         AND NOT EXISTS (
+           SELECT 1 FROM objects l WHERE l.bucket = o.bucket AND l.key = o.key AND l.is_deleted = 0
+         )
+       GROUP BY o.bucket, o.key`,
+      bucket ? [bucket] : []
+    );
+  } catch (error) {
+    console.error('Error listing deleted keys:', error);
+    throw new Error('Failed to list deleted keys');
+  }
+}
+
+/**
+ * Record a new multipart upload
+ * @param {string} uploadId - Upload ID
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string} contentType - MIME type of the final object
+ * @param {Object} metadata - Metadata of the final object
+ * @param {Object} [tagging] - Tags of the final object
+ * @returns {Promise<Object>} Upload record
+ */
+export async function createMultipartUpload(uploadId, bucket, key, contentType, metadata = {}, tagging = {}) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `INSERT INTO multipart_uploads (upload_id, bucket, key, content_type, metadata, tagging)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uploadId, bucket, key, contentType, JSON.stringify(metadata), JSON.stringify(tagging)]
+    );
+
+    return await getMultipartUpload(uploadId);
+  } catch (error) {
+    console.error('Error creating multipart upload:', error);
+    throw new Error('Failed to create multipart upload');
+  }
+}
+
+/**
+ * Get a multipart upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} Upload record or null
+ */
+export async function getMultipartUpload(uploadId) {
+  const database = await initDatabase();
+
+  try {
+    const upload = await database.get(
+      'SELECT * FROM multipart_uploads WHERE upload_id = ?',
+      [uploadId]
+    );
+
+    if (!upload) {
+      return null;
+    }
+
+    return {
+      ...upload,
+      metadata: upload.metadata ? JSON.parse(upload.metadata) : {},
+      tagging: upload.tagging ? JSON.parse(upload.tagging) : {}
+    };
+  } catch (error) {
+    console.error('Error getting multipart upload:', error);
+    throw new Error('Failed to get multipart upload');
+  }
+}
+
+/**
+ * List in-progress multipart uploads in a bucket, ordered by key then initiation
+ * @param {string} bucket - Bucket name
+ * @param {Object} options - List options
+ * @returns {Promise<Array>} Array of upload records
+ */
+export async function listMultipartUploads(bucket, options = {}) {
+  const database = await initDatabase();
+
+  const {
+    prefix = '',
+    keyMarker = '',
+    uploadIdMarker = '',
+    maxUploads = 1000
+  } = options;
+
+  try {
+    let sql = 'SELECT * FROM multipart_uploads WHERE bucket = ?';
+    const params = [bucket];
+
+    if (prefix) {
+      sql += ' AND substr(key, 1, length(?)) = ?';
+      params.push(prefix, prefix);
+    }
+
+    if (keyMarker) {
+      if (uploadIdMarker) {
+        sql += ' AND (key > ? OR (key = ? AND upload_id > ?))';
+        params.push(keyMarker, keyMarker, uploadIdMarker);
+      } else {
+        sql += ' AND key > ?';
+        params.push(keyMarker);
+      }
+    }
+
+    sql += ' ORDER BY key, upload_id LIMIT ?';
+    params.push(maxUploads);
+
+    return await database.all(sql, params);
+  } catch (error) {
+    console.error('Error listing multipart uploads:', error);
+    throw new Error('Failed to list multipart uploads');
+  }
+}
+
+/**
+ * Claim a multipart upload for CompleteMultipartUpload, moving it from "open" to "completing"
+ * Only one request can claim an upload; until it is released, parts cannot be replaced and
+ * the upload cannot be aborted
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<boolean>} False if the upload does not exist or is not open
+ */
+export async function claimMultipartUpload(uploadId) {
+  const database = await initDatabase();
+
+  try {
+    const { changes } = await database.run(
+      `UPDATE multipart_uploads SET status = 'completing', claimed_at = CURRENT_TIMESTAMP
+       WHERE upload_id = ? AND status = 'open'`,
+      [uploadId]
+    );
+    return changes > 0;
+  } catch (error) {
+    console.error('Error claiming multipart upload:', error);
+    throw new Error('Failed to claim multipart upload');
+  }
+}
+
+/**
+ * Reopen a multipart upload whose completion failed, so it can be completed again or aborted
+ * @param {string} uploadId - Upload ID
+ */
+export async function releaseMultipartUpload(uploadId) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `UPDATE multipart_uploads SET status = 'open', claimed_at = NULL
+       WHERE upload_id = ? AND status = 'completing'`,
+      [uploadId]
+    );
+  } catch (error) {
+    console.error('Error releasing multipart upload:', error);
+    throw new Error('Failed to release multipart upload');
+  }
+}
+
+/**
+ * List multipart uploads initiated before a cutoff, and uploads claimed for completion before
+ * it (left behind by a server that stopped while completing them)
+ * @param {Date} cutoff - Uploads initiated or claimed before this time are returned
+ * @returns {Promise<Array>} Array of upload records
+ */
+export async function listStaleMultipartUploads(cutoff) {
+  const database = await initDatabase();
+
+  try {
+    return await database.all(
+      `SELECT * FROM multipart_uploads
+       WHERE (status = 'open' AND initiated_at < ?) OR (status = 'completing' AND claimed_at < ?)`,
+      [toSqlTimestamp(cutoff), toSqlTimestamp(cutoff)]
+    );
+  } catch (error) {
+    console.error('Error listing stale multipart uploads:', error);
+    throw new Error('Failed to list stale multipart uploads');
+  }
+}
+
+/**
+ * Store (or replace) an uploaded part of an open multipart upload
+ * @param {string} uploadId - Upload ID
+ * @param {number} partNumber - Part number (1-10000)
+ * @param {number} size - Part size in bytes
+ * @param {string} etag - Quoted MD5 ETag of the part
+ * @param {string} partPath - Staging file path
+ * @param {Object|null} [checksum] - Additional checksum `{ algorithm, value }` of the part
+ * @returns {Promise<Object|null>} `{ previousPath }`, the staging file of the part it replaced
+ * (or null), or null if the upload is gone or being completed
+ */
+export async function storeMultipartPart(uploadId, partNumber, size, etag, partPath, checksum = null) {
+  const database = await initDatabase();
+
+  try {
+    return await database.transaction(async (tx) => {
+      // Locks the upload row, so a concurrent claim waits for this part or sees it is not open
+      const { changes } = await tx.run(
+        `UPDATE multipart_uploads SET status = status WHERE upload_id = ? AND status = 'open'`,
+        [uploadId]
+      );
+      if (!changes) {
+        return null;
+      }
+
+      const previous = await tx.get(
+        'SELECT path FROM multipart_parts WHERE upload_id = ? AND part_number = ?',
+        [uploadId, partNumber]
+      );
+      await tx.run(
+        `INSERT INTO multipart_parts (upload_id, part_number, size, etag, path, checksum_algorithm, checksum)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (upload_id, part_number) DO UPDATE SET
+           size = excluded.size,
+           etag = excluded.etag,
+           path = excluded.path,
+           checksum_algorithm = excluded.checksum_algorithm,
+           checksum = excluded.checksum,
+           last_modified = CURRENT_TIMESTAMP`,
+        [uploadId, partNumber, size, etag, partPath, checksum?.algorithm || null, checksum?.value || null]
+      );
+
+      return { previousPath: previous?.path || null };
+    });
+  } catch (error) {
+    console.error('Error storing multipart part:', error);
+    throw new Error('Failed to store multipart part');
+  }
+}
+
+/**
+ * List the parts of a multipart upload
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - List options
+ * @returns {Promise<Array>} Array of part records ordered by part number
+ */
+export async function listMultipartParts(uploadId, options = {}) {
+  const database = await initDatabase();
+
+  const {
+    partNumberMarker = 0,
+    maxParts = 10000
+  } = options;
+
+  try {
+    return await database.all(
+      `SELECT * FROM multipart_parts
+       WHERE upload_id = ? AND part_number > ?
+       ORDER BY part_number LIMIT ?`,
+      [uploadId, partNumberMarker, maxParts]
+    );
+  } catch (error) {
+    console.error('Error listing multipart parts:', error);
+    throw new Error('Failed to list multipart parts');
+  }
+}
+
+/**
+ * Delete a multipart upload and its parts, if the upload is in the given state
+ * @param {string} uploadId - Upload ID
+ * @param {string} [status] - "open" (aborted or expired) or "completing" (completed)
+ * @returns {Promise<boolean>} True if the upload existed in that state and was deleted
+ */
+export async function deleteMultipartUpload(uploadId, status = 'open') {
+  const database = await initDatabase();
+
+  try {
+    return await database.transaction(async (tx) => {
+      const { changes } = await tx.run(
+        'DELETE FROM multipart_uploads WHERE upload_id = ? AND status = ?',
+        [uploadId, status]
+      );
+      if (!changes) {
+        return false;
+      }
+
+      await tx.run('DELETE FROM multipart_parts WHERE upload_id = ?', [uploadId]);
+      return true;
+    });
+  } catch (error) {
+    console.error('Error deleting multipart upload:', error);
+    throw new Error('Failed to delete multipart upload');
+  }
+}
+
+/**
+ * Record a funding transaction, successful or not
+ * Amounts are atomic units stored as strings, since they overflow 64-bit integers
+ * @param {Object} event - Funding event
+ * @param {string} event.wallet - Wallet name
+ * @param {string} event.token - Token the wallet pays with
+ * @param {string} event.reason - Why the account was funded ("auto" or "manual")
+ * @param {string} event.status - "success" or "failed"
+ * @param {string} event.amount - Amount in atomic units
+ * @param {string} [event.txId] - Funding transaction id
+ * @param {string} [event.balanceBefore] - Balance before funding, in atomic units
+ * @param {string} [event.error] - Error message of a failed attempt
+ * @returns {Promise<Object>} Funding event record
+ */
+export async function recordFundingEvent({ wallet, token, reason, status, amount, txId = null, balanceBefore = null, error = null }) {
+  const database = await initDatabase();
+
+  try {
+    return await database.get(
+      `INSERT INTO funding_events (wallet, token, reason, status, amount, tx_id, balance_before, error)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [wallet, token, reason, status, String(amount), txId, balanceBefore, error]
+    );
+  } catch (err) {
+    console.error('Error recording funding event:', err);
+    throw new Error('Failed to record funding event');
+  }
+}
+
+/**
+ * List funding events, newest first
+ * @param {Object} options - List options
+ * @param {string} [options.wallet] - Only events of this wallet
+ * @param {Date} [options.since] - Only events at or after this time
+ * @param {number} [options.limit] - Maximum number of events
+ * @returns {Promise<Array>} Funding event records
+ */
+export async function listFundingEvents(options = {}) {
+  const database = await initDatabase();
+
+  const { wallet, since, limit } = options;
+  const conditions = [];
+  const params = [];
+
+  if (wallet) {
+    conditions.push('wallet = ?');
+    params.push(wallet);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(toSqlTimestamp(since));
+  }
+
+  try {
+    return await database.all(
+      `SELECT * FROM funding_events
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC ${limit ? 'LIMIT ?' : ''}`,
+      limit ? [...params, limit] : params
+    );
+  } catch (error) {
+    console.error('Error listing funding events:', error);
+    throw new Error('Failed to list funding events');
+  }
+}
+
+/**
+ * Queue a spooled upload for the background worker
+ * @param {Object} upload - Pending upload
+ * @param {string} upload.id - Queue id; objects point at it with a `pending:<id>` irys_id
+ * @param {string} upload.bucket - Bucket name
+ * @param {string} upload.key - Object key
+ * @param {string} upload.spoolPath - Path of the spooled body
+ * @param {string} upload.contentType - MIME type
+ * @param {number} upload.size - Size in bytes
+ * @param {Array} upload.tags - Irys tags besides Content-Type
+ */
+export async function createPendingUpload({ id, bucket, key, spoolPath, contentType, size, tags }) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `INSERT INTO pending_uploads (id, bucket, key, spool_path, content_type, size, tags)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, bucket, key, spoolPath, contentType, size, JSON.stringify(tags)]
+    );
+  } catch (error) {
+    console.error('Error creating pending upload:', error);
+    throw new Error('Failed to create pending upload');
+  }
+}
+
+/**
+ * Get a pending upload
+ * @param {string} id - Queue id
+ * @returns {Promise<Object|null>} Pending upload record or null
+ */
+export async function getPendingUpload(id) {
+  const database = await initDatabase();
+
+  try {
+    const upload = await database.get('SELECT * FROM pending_uploads WHERE id = ?', [id]);
+    return upload ? { ...upload, tags: JSON.parse(upload.tags || '[]') } : null;
+  } catch (error) {
+    console.error('Error getting pending upload:', error);
+    throw new Error('Failed to get pending upload');
+  }
+}
+
+/**
+ * List pending uploads whose next attempt is due, oldest first
+ * @param {number} limit - Maximum number of uploads
+ * @returns {Promise<Array>} Pending upload records
+ */
+export async function listDuePendingUploads(limit = 10) {
+  const database = await initDatabase();
+
+  try {
+    const uploads = await database.all(
+      `SELECT * FROM pending_uploads
+       WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY next_attempt_at, created_at LIMIT ?`,
+      [limit]
+    );
+    return uploads.map(upload => ({ ...upload, tags: JSON.parse(upload.tags || '[]') }));
+  } catch (error) {
+    console.error('Error listing pending uploads:', error);
+    throw new Error('Failed to list pending uploads');
+  }
+}
+
+/**
+ * Record a failed upload attempt
+ * @param {string} id - Queue id
+ * @param {string} errorMessage - Why the attempt failed
+ * @param {Date|null} nextAttemptAt - When to retry, or null to give up
+ */
+export async function recordPendingUploadFailure(id, errorMessage, nextAttemptAt) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `UPDATE pending_uploads
+       SET attempts = attempts + 1, last_error = ?, status = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+       WHERE id = ?`,
+      [
+        errorMessage,
+        nextAttemptAt ? 'pending' : 'failed',
+        nextAttemptAt ? toSqlTimestamp(nextAttemptAt) : null,
+        id
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording pending upload failure:', error);
+    throw new Error('Failed to record pending upload failure');
+  }
+}
+
+/**
+ * Point every object version that references a pending upload at its Irys transaction
+ * and remove it from the queue. The MD5 ETags given at enqueue time are kept
+ * @param {string} id - Queue id
+ * @param {string} irysId - Irys transaction ID
+ */
+export async function completePendingUpload(id, irysId) {
+  const database = await initDatabase();
+  const placeholder = `pending:${id}`;
+
+  try {
+    await database.transaction(async (tx) => {
+      for (const table of ['object_versions', 'objects']) {
+        await tx.run(
+          `UPDATE ${table} SET irys_id = ? WHERE irys_id = ?`,
+          [irysId, placeholder]
+        );
+      }
+      await tx.run('DELETE FROM pending_uploads WHERE id = ?', [id]);
+    });
+  } catch (error) {
+    console.error('Error completing pending upload:', error);
+    throw new Error('Failed to complete pending upload');
+  }
+}
+
+/**
+ * Count queued uploads by state
+ * @returns {Promise<Object>} `{ pending, retrying, failed, oldestPendingAt }`
+ */
+export async function getPendingUploadStats() {
+  const database = await initDatabase();
+
+  try {
+    const stats = await database.get(
+      `SELECT
+         COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pending,
+         COUNT(CASE WHEN status = 'pending' AND attempts > 0 THEN 1 END) AS retrying,
+         COUNT(CASE WHEN status = 'failed' THEN 1 END) AS failed,
+         MIN(CASE WHEN status = 'pending' THEN created_at END) AS "oldestPendingAt"
+       FROM pending_uploads`
+    );
+    return stats;
+  } catch (error) {
+    console.error('Error getting pending upload stats:', error);
+    throw new Error('Failed to get pending upload statistics');
+  }
+}
+
+/**
+ * Store the signed receipt of an Irys transaction with its verification result
+ * Copies and versions share transactions, so there is one receipt per transaction
+ * @param {string} irysId - Irys transaction ID
+ * @param {Object} receipt - Receipt returned by the upload
+ * @param {string} status - "valid", "invalid" or "error" (verification could not run)
+ * @param {string} [errorMessage] - Why verification could not run
+ */
+export async function storeReceipt(irysId, receipt, status, errorMessage = null) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `INSERT INTO receipts (irys_id, receipt, status, error)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (irys_id) DO UPDATE SET
+         receipt = excluded.receipt,
+         status = excluded.status,
+         error = excluded.error,
+         verified_at = CURRENT_TIMESTAMP`,
+      [irysId, JSON.stringify(receipt), status, errorMessage]
+    );
+  } catch (error) {
+    console.error('Error storing receipt:', error);
+    throw new Error('Failed to store receipt');
+  }
+}
+
+/**
+ * Get the stored receipt of an Irys transaction
+ * @param {string} irysId - Irys transaction ID
+ * @returns {Promise<Object|null>} `{ irys_id, receipt, status, error, verified_at }` or null
+ */
+export async function getReceipt(irysId) {
+  const database = await initDatabase();
+
+  try {
+    const record = await database.get('SELECT * FROM receipts WHERE irys_id = ?', [irysId]);
+    return record ? { ...record, receipt: JSON.parse(record.receipt) } : null;
+  } catch (error) {
+    console.error('Error getting receipt:', error);
+    throw new Error('Failed to get receipt');
+  }
+}
+
+/**
+ * List stored receipts in transaction id order, for batch processing
+ * @param {Object} options - List options
+ * @param {string} [options.after] - Only receipts after this transaction ID
+ * @param {number} [options.limit] - Maximum number of receipts
+ * @returns {Promise<Array>} Receipt records
+ */
+export async function listReceipts(options = {}) {
+  const database = await initDatabase();
+
+  const { after = '', limit = 100 } = options;
+
+  try {
+    const records = await database.all(
+      'SELECT * FROM receipts WHERE irys_id > ? ORDER BY irys_id LIMIT ?',
+      [after, limit]
+    );
+    return records.map(record => ({ ...record, receipt: JSON.parse(record.receipt) }));
+  } catch (error) {
+    console.error('Error listing receipts:', error);
+    throw new Error('Failed to list receipts');
+  }
+}
+
+/**
+ * Update the verification result of a stored receipt
+ * @param {string} irysId - Irys transaction ID
+ * @param {string} status - "valid", "invalid" or "error"
+ * @param {string} [errorMessage] - Why verification could not run
+ */
+export async function updateReceiptStatus(irysId, status, errorMessage = null) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      'UPDATE receipts SET status = ?, error = ?, verified_at = CURRENT_TIMESTAMP WHERE irys_id = ?',
+      [status, errorMessage, irysId]
+    );
+  } catch (error) {
+    console.error('Error updating receipt status:', error);
+    throw new Error('Failed to update receipt status');
+  }
+}
+
+/**
+ * List the object versions stored under transactions whose receipts did not verify
+ * @param {number} limit - Maximum number of versions
+ * @returns {Promise<Array>} `{ bucket, key, version_id, irys_id, status }` records
+ */
+export async function listUnverifiedObjectVersions(limit = 1000) {
+  const database = await initDatabase();
+
+  try {
+    return await database.all(
+      `SELECT v.bucket, v.key, v.version_id, v.irys_id, r.status
+       FROM object_versions v JOIN receipts r ON r.irys_id = v.irys_id
+       WHERE r.status != 'valid'
+       ORDER BY v.bucket, v.key, v.id LIMIT ?`,
+      [limit]
+    );
+  } catch (error) {
+    console.error('Error listing unverified object versions:', error);
+    throw new Error('Failed to list unverified object versions');
+  }
+}
+
+/**
+ * Count receipts by verification status, and transactions referenced by objects with no receipt
+ * @returns {Promise<Object>} `{ valid, invalid, error, missing }`
+ */
+export async function getReceiptStats() {
+  const database = await initDatabase();
+
+  try {
+    const [counts, missing] = await Promise.all([
+      database.get(
+        `SELECT
+           COUNT(CASE WHEN status = 'valid' THEN 1 END) AS valid,
+           COUNT(CASE WHEN status = 'invalid' THEN 1 END) AS invalid,
+           COUNT(CASE WHEN status = 'error' THEN 1 END) AS error
+         FROM receipts`
+      ),
+      database.get(
+        `SELECT COUNT(DISTINCT irys_id) AS count FROM object_versions
+         WHERE irys_id IS NOT NULL AND irys_id NOT LIKE 'pending:%'
+           AND irys_id NOT IN (SELECT irys_id FROM receipts)`
+      )
+    ]);
+    return { ...counts, missing: missing.count };
+  } catch (error) {
+    console.error('Error getting receipt stats:', error);
+    throw new Error('Failed to get receipt statistics');
+  }
+}
+
+/**
+ * Parse the stored grants of an access key record
+ * @param {Object} record - access_keys row
+ * @returns {Object} Record with `grants` as an array
+ */
+function parseAccessKey(record) {
+  return { ...record, grants: JSON.parse(record.grants) };
+}
+
+/**
+ * Store a new access key
+ * @param {Object} accessKey - Access key to store
+ * @param {string} accessKey.accessKeyId - Access key id
+ * @param {string} accessKey.secretAccessKey - Secret access key
+ * @param {string} accessKey.name - Who or what the key is for
+ * @param {Array} accessKey.grants - Grants (see lib/authorization.js)
+ * @returns {Promise<Object>} Stored access key record
+ */
+export async function createAccessKey({ accessKeyId, secretAccessKey, name, grants }) {
+  const database = await initDatabase();
+
+  try {
+    await database.run(
+      `INSERT INTO access_keys (access_key_id, secret_access_key, name, grants)
+       VALUES (?, ?, ?, ?)`,
+      [accessKeyId, secretAccessKey, name, JSON.stringify(grants)]
+    );
+    const record = await database.get('SELECT * FROM access_keys WHERE access_key_id = ?', [accessKeyId]);
+    return parseAccessKey(record);
+  } catch (error) {
+    console.error('Error creating access key:', error);
+    throw new Error('Failed to create access key');
+  }
+}
+
+/**
+ * Get a stored access key, active or revoked
+ * @param {string} accessKeyId - Access key id
+ * @returns {Promise<Object|null>} Access key record or null
+ */
+export async function getAccessKey(accessKeyId) {
+  const database = await initDatabase();
+
+  try {
+    const record = await database.get('SELECT * FROM access_keys WHERE access_key_id = ?', [accessKeyId]);
+    return record ? parseAccessKey(record) : null;
+  } catch (error) {
+    console.error('Error getting access key:', error);
+    throw new Error('Failed to get access key');
+  }
+}
+
+/**
+ * List stored access keys, oldest first, without their secrets
+ * @returns {Promise<Array>} Access key records
+ */
+export async function listAccessKeys() {
+  const database = await initDatabase();
+
+  try {
+    const records = await database.all(
+      `SELECT access_key_id, name, grants, status, created_at, rotated_at, revoked_at
+       FROM access_keys ORDER BY created_at, access_key_id`
+    );
+    return records.map(parseAccessKey);
+  } catch (error) {
+    console.error('Error listing access keys:', error);
+    throw new Error('Failed to list access keys');
+  }
+}
+
+/**
+ * Check whether any stored access key is active
+ * @returns {Promise<boolean>} True if at least one key is active
+ */
+export async function hasActiveAccessKeys() {
+  const database = await initDatabase();
+
+  try {
+    const row = await database.get("SELECT 1 AS found FROM access_keys WHERE status = 'active' LIMIT 1");
+    return Boolean(row);
+  } catch (error) {
+    console.error('Error checking access keys:', error);
+    throw new Error('Failed to check access keys');
+  }
+}
+
+/**
+ * Replace the secret of an active access key
+ * @param {string} accessKeyId - Access key id
+ * @param {string} secretAccessKey - New secret access key
+ * @returns {Promise<boolean>} True if the key was active and has been updated
+ */
+export async function updateAccessKeySecret(accessKeyId, secretAccessKey) {
+  const database = await initDatabase();
+
+  try {
+    const result = await database.run(
+      `UPDATE access_keys SET secret_access_key = ?, rotated_at = CURRENT_TIMESTAMP
+       WHERE access_key_id = ? AND status = 'active'`,
+      [secretAccessKey, accessKeyId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error rotating access key:', error);
+    throw new Error('Failed to rotate access key');
+  }
+}
+
+/**
+ * Replace the grants of an active access key
+ * @param {string} accessKeyId - Access key id
+ * @param {Array} grants - Grants (see lib/authorization.js)
+ * @returns {Promise<boolean>} True if the key was active and has been updated
+ */
+export async function updateAccessKeyGrants(accessKeyId, grants) {
+  const database = await initDatabase();
+
+  try {
+    const result = await database.run(
+      "UPDATE access_keys SET grants = ? WHERE access_key_id = ? AND status = 'active'",
+      [JSON.stringify(grants), accessKeyId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating access key grants:', error);
+    throw new Error('Failed to update access key grants');
+  }
+}
+
+/**
+ * Revoke an access key; requests signed with it are rejected from then on
+ * @param {string} accessKeyId - Access key id
+ * @returns {Promise<boolean>} True if the key was active and has been revoked
+ */
+export async function revokeAccessKey(accessKeyId) {
+  const database = await initDatabase();
+
+  try {
+    const result = await database.run(
+      `UPDATE access_keys SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+       WHERE access_key_id = ? AND status = 'active'`,
+      [accessKeyId]
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error revoking access key:', error);
+    throw new Error('Failed to revoke access key');
+  }
+}
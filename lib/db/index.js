@@ -0,0 +1,44 @@
+import config from '../../config/config.js';
+import { createSqliteDriver } from './sqliteDriver.js';
+import { createPostgresDriver } from './postgresDriver.js';
+
+/**
+ * Metadata database drivers, selected with DATABASE_DRIVER
+ *
+ * lib/database.js holds the queries; they are written in the SQL both databases understand,
+ * with `?` placeholders. Every driver implements:
+ * - dialect: "sqlite" or "postgres", for the few places (migrations, locks) that need to differ
+ * - get(sql, params): Resolve to the first row, or undefined
+ * - all(sql, params): Resolve to every row
+ * - run(sql, params): Resolve to `{ changes }`, the number of rows affected
+ * - exec(sql): Run one or more statements without parameters
+ * - transaction(fn): Run fn with a handle offering get/all/run/exec on a single connection,
+ *   committing if it resolves and rolling back if it throws. fn must query only through the
+ *   handle, and transactions do not nest
+ * - close(): Close the connection(s)
+ *
+ * Rows have the same shape with either driver: ids and counts are numbers and timestamps are
+ * UTC "YYYY-MM-DD HH:MM:SS" strings
+ */
+const drivers = {
+  sqlite: createSqliteDriver,
+  postgres: createPostgresDriver
+};
+
+/**
+ * Connect to a metadata database
+ * @param {Object} [options] - Database settings; defaults to the configured database
+ * @param {string} options.driver - "sqlite" or "postgres"
+ * @param {string} [options.path] - SQLite database file
+ * @param {string} [options.url] - PostgreSQL connection string
+ * @param {number} [options.poolSize] - Maximum number of PostgreSQL connections
+ * @returns {Promise<Object>} Database driver
+ */
+export async function createDatabaseDriver(options = config.database) {
+  const create = drivers[options.driver];
+  if (!create) {
+    throw new Error(`Unknown database driver: ${options.driver}`);
+  }
+
+  return create(options);
+}
@@ -0,0 +1,132 @@
+import migrations from './migrations/index.js';
+
+// Key of the Postgres advisory lock held while migrating, so replicas starting together
+// do not apply the same migration twice
+const MIGRATION_LOCK_KEY = 7265316;
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Run fn in a transaction that holds the migration lock, with schema_migrations in place
+ * @param {Object} driver - Database driver (see lib/db/index.js)
+ * @param {Function} fn - Called with the transaction handle and the set of applied versions
+ * @returns {Promise<*>} What fn resolves to
+ */
+function withMigrationLock(driver, fn) {
+  return driver.transaction(async (tx) => {
+    if (tx.dialect === 'postgres') {
+      await tx.get('SELECT pg_advisory_xact_lock(?)', [MIGRATION_LOCK_KEY]);
+    }
+
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const applied = new Set(
+      (await tx.all('SELECT version FROM schema_migrations')).map(row => row.version)
+    );
+
+    return fn(tx, applied);
+  });
+}
+
+/**
+ * Bring a database's schema up to date, or up to a given version
+ * Applied migrations are recorded in schema_migrations; pending ones run in version order,
+ * all in one transaction so a failure leaves the schema as it was
+ * @param {Object} driver - Database driver (see lib/db/index.js)
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version; defaults to the latest
+ * @returns {Promise<Array<number>>} Versions applied by this call
+ */
+export async function migrateDatabase(driver, { to = LATEST_VERSION } = {}) {
+  return withMigrationLock(driver, async (tx, applied) => {
+    const unknown = [...applied].filter(version => version > LATEST_VERSION);
+    if (unknown.length) {
+      console.warn(`Database has migrations this version does not know: ${unknown.join(', ')}`);
+    }
+
+    const versions = [];
+    for (const migration of migrations) {
+      if (migration.version > to || applied.has(migration.version)) {
+        continue;
+      }
+
+      await migration.up(tx);
+      await tx.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      versions.push(migration.version);
+      console.log(`Applied database migration ${migration.version}: ${migration.name}`);
+    }
+
+    return versions;
+  });
+}
+
+/**
+ * Undo applied migrations newer than a version, newest first, in one transaction
+ * @param {Object} driver - Database driver
+ * @param {Object} options
+ * @param {number} options.to - Version to roll back to; rolling back a migration without a
+ *   `down` fails
+ * @returns {Promise<Array<number>>} Versions rolled back by this call
+ */
+export async function rollbackDatabase(driver, { to }) {
+  return withMigrationLock(driver, async (tx, applied) => {
+    const versions = [];
+    for (const migration of [...migrations].reverse()) {
+      if (migration.version <= to || !applied.has(migration.version)) {
+        continue;
+      }
+      if (!migration.down) {
+        throw new Error(`Database migration ${migration.version} cannot be rolled back`);
+      }
+
+      await migration.down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      versions.push(migration.version);
+      console.log(`Rolled back database migration ${migration.version}: ${migration.name}`);
+    }
+
+    return versions;
+  });
+}
+
+/**
+ * List every known migration with when it was applied
+ * @param {Object} driver - Database driver
+ * @returns {Promise<Array<Object>>} `{ version, name, appliedAt }`, appliedAt being null for
+ * pending migrations
+ */
+export async function getMigrationStatus(driver) {
+  return withMigrationLock(driver, async (tx) => {
+    const rows = await tx.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: appliedAt.get(version) || null
+    }));
+  });
+}
+
+/**
+ * Get the schema version of a database
+ * @param {Object} driver - Database driver
+ * @returns {Promise<Object>} `{ current, latest }`: the highest applied version (0 for none)
+ * and the highest version this code knows
+ */
+export async function getSchemaVersion(driver) {
+  const row = await driver.get('SELECT MAX(version) AS version FROM schema_migrations');
+  return {
+    current: row?.version || 0,
+    latest: LATEST_VERSION
+  };
+}
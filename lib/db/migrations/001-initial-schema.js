@@ -0,0 +1,290 @@
+/**
+ * Schema as it stood when migrations were introduced
+ *
+ * SQLite databases created before then already hold some or all of it, so the SQLite version
+ * only creates what is missing and applies the upgrades createTables used to run on every
+ * start. Postgres databases always start empty.
+ *
+ * There is no `down`: on SQLite the tables may predate the migration, so it cannot tell what
+ * it created, and dropping them would throw away every mapping
+ */
+
+const SQLITE_TABLES = [
+  `CREATE TABLE IF NOT EXISTS objects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    irys_id TEXT NOT NULL,
+    content_type TEXT,
+    size INTEGER,
+    etag TEXT,
+    last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    is_deleted INTEGER DEFAULT 0
+  )`,
+  `CREATE TABLE IF NOT EXISTS buckets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    is_deleted INTEGER DEFAULT 0
+  )`,
+  `CREATE TABLE IF NOT EXISTS multipart_uploads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    upload_id TEXT NOT NULL UNIQUE,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    content_type TEXT,
+    metadata TEXT,
+    initiated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS multipart_parts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    upload_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    size INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    path TEXT NOT NULL,
+    last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (upload_id, part_number)
+  )`,
+  `CREATE TABLE IF NOT EXISTS object_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    version_id TEXT NOT NULL,
+    irys_id TEXT,
+    content_type TEXT,
+    size INTEGER,
+    etag TEXT,
+    metadata TEXT,
+    is_delete_marker INTEGER DEFAULT 0,
+    last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bucket, key, version_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS funding_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet TEXT NOT NULL,
+    token TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    tx_id TEXT,
+    balance_before TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS pending_uploads (
+    id TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    spool_path TEXT NOT NULL,
+    content_type TEXT,
+    size INTEGER NOT NULL,
+    tags TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS receipts (
+    irys_id TEXT PRIMARY KEY,
+    receipt TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    verified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// Keys sort bytewise, as in SQLite, so listings page the same way and prefix ranges hold
+const POSTGRES_TABLES = [
+  `CREATE TABLE objects (
+    id BIGSERIAL PRIMARY KEY,
+    bucket TEXT COLLATE "C" NOT NULL,
+    key TEXT COLLATE "C" NOT NULL,
+    irys_id TEXT NOT NULL,
+    content_type TEXT,
+    size BIGINT,
+    etag TEXT,
+    last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    metadata TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_deleted INTEGER DEFAULT 0,
+    version_id TEXT,
+    checksum_algorithm TEXT,
+    checksum TEXT
+  )`,
+  `CREATE TABLE buckets (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT COLLATE "C" NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_deleted INTEGER DEFAULT 0,
+    versioning TEXT
+  )`,
+  `CREATE TABLE multipart_uploads (
+    id BIGSERIAL PRIMARY KEY,
+    upload_id TEXT COLLATE "C" NOT NULL UNIQUE,
+    bucket TEXT COLLATE "C" NOT NULL,
+    key TEXT COLLATE "C" NOT NULL,
+    content_type TEXT,
+    metadata TEXT,
+    initiated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE multipart_parts (
+    id BIGSERIAL PRIMARY KEY,
+    upload_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    size BIGINT NOT NULL,
+    etag TEXT NOT NULL,
+    path TEXT NOT NULL,
+    last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checksum_algorithm TEXT,
+    checksum TEXT,
+    UNIQUE (upload_id, part_number)
+  )`,
+  `CREATE TABLE object_versions (
+    id BIGSERIAL PRIMARY KEY,
+    bucket TEXT COLLATE "C" NOT NULL,
+    key TEXT COLLATE "C" NOT NULL,
+    version_id TEXT NOT NULL,
+    irys_id TEXT,
+    content_type TEXT,
+    size BIGINT,
+    etag TEXT,
+    metadata TEXT,
+    is_delete_marker INTEGER DEFAULT 0,
+    last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checksum_algorithm TEXT,
+    checksum TEXT,
+    UNIQUE (bucket, key, version_id)
+  )`,
+  `CREATE TABLE funding_events (
+    id BIGSERIAL PRIMARY KEY,
+    wallet TEXT NOT NULL,
+    token TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    tx_id TEXT,
+    balance_before TEXT,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE pending_uploads (
+    id TEXT PRIMARY KEY,
+    bucket TEXT NOT NULL,
+    key TEXT NOT NULL,
+    spool_path TEXT NOT NULL,
+    content_type TEXT,
+    size BIGINT NOT NULL,
+    tags TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE receipts (
+    irys_id TEXT COLLATE "C" PRIMARY KEY,
+    receipt TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_bucket_key ON objects(bucket, key)',
+  'CREATE INDEX IF NOT EXISTS idx_irys_id ON objects(irys_id)',
+  'CREATE INDEX IF NOT EXISTS idx_bucket_name ON buckets(name)',
+  'CREATE INDEX IF NOT EXISTS idx_last_modified ON objects(last_modified)',
+  'CREATE INDEX IF NOT EXISTS idx_multipart_bucket_key ON multipart_uploads(bucket, key)',
+  'CREATE INDEX IF NOT EXISTS idx_multipart_initiated ON multipart_uploads(initiated_at)',
+  'CREATE INDEX IF NOT EXISTS idx_versions_bucket_key ON object_versions(bucket, key, id)',
+  'CREATE INDEX IF NOT EXISTS idx_funding_wallet_created ON funding_events(wallet, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_pending_uploads_due ON pending_uploads(status, next_attempt_at)',
+  'CREATE INDEX IF NOT EXISTS idx_receipts_status ON receipts(status)'
+];
+
+async function upSqlite(db) {
+  for (const sql of SQLITE_TABLES) {
+    await db.exec(sql);
+  }
+
+  await addColumnIfMissing(db, 'buckets', 'versioning', 'TEXT');
+  await addColumnIfMissing(db, 'objects', 'version_id', 'TEXT');
+  for (const table of ['objects', 'object_versions', 'multipart_parts']) {
+    await addColumnIfMissing(db, table, 'checksum_algorithm', 'TEXT');
+    await addColumnIfMissing(db, table, 'checksum', 'TEXT');
+  }
+  await dropIrysIdUniqueConstraint(db);
+
+  for (const sql of INDEXES) {
+    await db.exec(sql);
+  }
+
+  // Objects stored before versioning existed become the "null" version of their key
+  await db.exec(`
+    INSERT OR IGNORE INTO object_versions
+      (bucket, key, version_id, irys_id, content_type, size, etag, metadata, last_modified)
+    SELECT bucket, key, 'null', irys_id, content_type, size, etag, metadata, last_modified
+    FROM objects WHERE is_deleted = 0 AND version_id IS NULL
+    ORDER BY id DESC
+  `);
+  await db.exec(`UPDATE objects SET version_id = 'null' WHERE version_id IS NULL`);
+}
+
+/**
+ * Drop the UNIQUE constraint on objects.irys_id from databases created before it was
+ * removed, since copied objects share the transaction of their source.
+ * SQLite cannot drop constraints, so the table is rebuilt.
+ */
+async function dropIrysIdUniqueConstraint(db) {
+  const { sql } = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'objects'");
+  const uniqueColumn = /irys_id TEXT NOT NULL UNIQUE/i;
+  if (!uniqueColumn.test(sql)) {
+    return;
+  }
+
+  const rebuildSql = sql
+    .replace(uniqueColumn, 'irys_id TEXT NOT NULL')
+    .replace(/CREATE TABLE (IF NOT EXISTS )?objects/i, 'CREATE TABLE objects_rebuild');
+
+  await db.exec(rebuildSql);
+  await db.exec('INSERT INTO objects_rebuild SELECT * FROM objects');
+  await db.exec('DROP TABLE objects');
+  await db.exec('ALTER TABLE objects_rebuild RENAME TO objects');
+
+  console.log('Removed UNIQUE constraint on objects.irys_id');
+}
+
+/**
+ * Add a column to an existing table if it is not there yet
+ * @param {Object} db - Database handle
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+async function upPostgres(db) {
+  for (const sql of [...POSTGRES_TABLES, ...INDEXES]) {
+    await db.exec(sql);
+  }
+}
+
+export default {
+  version: 1,
+  name: 'initial schema',
+  up: (db) => db.dialect === 'postgres' ? upPostgres(db) : upSqlite(db)
+};
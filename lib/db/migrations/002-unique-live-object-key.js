@@ -0,0 +1,33 @@
+/**
+ * Allow only one live row per key in the objects table
+ *
+ * Writers that raced each other could leave several live rows for a key; the newest one is
+ * kept and the others are marked deleted before the index is created.
+ */
+
+async function up(db) {
+  const { changes } = await db.run(`
+    UPDATE objects SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+    WHERE is_deleted = 0 AND id < (
+      SELECT MAX(live.id) FROM objects live
+      WHERE live.bucket = objects.bucket AND live.key = objects.key AND live.is_deleted = 0
+    )
+  `);
+  if (changes) {
+    console.log(`Marked ${changes} duplicate object rows as deleted`);
+  }
+
+  await db.exec('CREATE UNIQUE INDEX idx_objects_live_key ON objects(bucket, key) WHERE is_deleted = 0');
+}
+
+// Rows marked deleted by up stay deleted
+async function down(db) {
+  await db.exec('DROP INDEX idx_objects_live_key');
+}
+
+export default {
+  version: 2,
+  name: 'unique live object key',
+  up,
+  down
+};
@@ -0,0 +1,30 @@
+/**
+ * Add the access_keys table: SigV4 credentials issued through the admin API, each with its
+ * own grants (see lib/authorization.js). Keys configured in ACCESS_KEYS are not stored here
+ */
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE access_keys (
+      access_key_id TEXT PRIMARY KEY,
+      secret_access_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      grants TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    )
+  `);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE access_keys');
+}
+
+export default {
+  version: 3,
+  name: 'access keys',
+  up,
+  down
+};
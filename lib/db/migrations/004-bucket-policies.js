@@ -0,0 +1,18 @@
+/**
+ * Add buckets.policy: the bucket policy document as the client sent it (see lib/bucketPolicy.js)
+ */
+
+async function up(db) {
+  await db.exec('ALTER TABLE buckets ADD COLUMN policy TEXT');
+}
+
+async function down(db) {
+  await db.exec('ALTER TABLE buckets DROP COLUMN policy');
+}
+
+export default {
+  version: 4,
+  name: 'bucket policies',
+  up,
+  down
+};
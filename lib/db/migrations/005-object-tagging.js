@@ -0,0 +1,25 @@
+/**
+ * Add the S3 object tags (see lib/objectTagging.js) of objects and their versions, and the tags
+ * a multipart upload gives the object it completes: JSON objects of tag key to value
+ */
+
+const TABLES = ['objects', 'object_versions', 'multipart_uploads'];
+
+async function up(db) {
+  for (const table of TABLES) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN tagging TEXT`);
+  }
+}
+
+async function down(db) {
+  for (const table of TABLES) {
+    await db.exec(`ALTER TABLE ${table} DROP COLUMN tagging`);
+  }
+}
+
+export default {
+  version: 5,
+  name: 'object tagging',
+  up,
+  down
+};
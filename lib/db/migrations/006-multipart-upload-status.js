@@ -0,0 +1,21 @@
+/**
+ * Add multipart_uploads.status and claimed_at: an upload is "open" until a
+ * CompleteMultipartUpload claims it as "completing" (see claimMultipartUpload in lib/database.js)
+ */
+
+async function up(db) {
+  await db.exec("ALTER TABLE multipart_uploads ADD COLUMN status TEXT NOT NULL DEFAULT 'open'");
+  await db.exec('ALTER TABLE multipart_uploads ADD COLUMN claimed_at TIMESTAMP');
+}
+
+async function down(db) {
+  await db.exec('ALTER TABLE multipart_uploads DROP COLUMN claimed_at');
+  await db.exec('ALTER TABLE multipart_uploads DROP COLUMN status');
+}
+
+export default {
+  version: 6,
+  name: 'multipart upload status',
+  up,
+  down
+};
@@ -0,0 +1,31 @@
+/**
+ * Keep a single row per key in the objects table
+ *
+ * Writes used to mark the live row deleted and insert a new one, leaving a dead row behind
+ * each time. Keys with a live object lose their dead rows; deleted keys keep only the
+ * newest, which records when the key was deleted.
+ */
+
+async function up(db) {
+  const { changes } = await db.run(`
+    DELETE FROM objects
+    WHERE is_deleted = 1 AND EXISTS (
+      SELECT 1 FROM objects newer
+      WHERE newer.bucket = objects.bucket AND newer.key = objects.key
+        AND (newer.is_deleted = 0 OR newer.id > objects.id)
+    )
+  `);
+  if (changes) {
+    console.log(`Removed ${changes} dead object rows`);
+  }
+}
+
+// The removed rows are not needed by earlier versions either
+async function down() {}
+
+export default {
+  version: 7,
+  name: 'single object row',
+  up,
+  down
+};
@@ -0,0 +1,25 @@
+import initialSchema from './001-initial-schema.js';
+import uniqueLiveObjectKey from './002-unique-live-object-key.js';
+import accessKeys from './003-access-keys.js';
+import bucketPolicies from './004-bucket-policies.js';
+import objectTagging from './005-object-tagging.js';
+import multipartUploadStatus from './006-multipart-upload-status.js';
+import singleObjectRow from './007-single-object-row.js';
+
+/**
+ * Schema migrations in version order
+ * Each exports `{ version, name, up(db), down(db) }`; both get a transaction handle (see
+ * lib/db/index.js) and can branch on `db.dialect`. `down` undoes `up`, so a release can be rolled
+ * back with scripts/migrate.js; the initial schema has none and cannot be rolled back.
+ * Released migrations are never edited: schema changes go in a new migration with the next
+ * version
+ */
+export default [
+  initialSchema,
+  uniqueLiveObjectKey,
+  accessKeys,
+  bucketPolicies,
+  objectTagging,
+  multipartUploadStatus,
+  singleObjectRow
+];
@@ -0,0 +1,113 @@
+import pg from 'pg';
+
+const INT8_OID = 20;
+const TIMESTAMP_OID = 1114;
+
+// Rows come back in the shapes SQLite returns them in: counts and ids as numbers, and
+// timestamps as the UTC "YYYY-MM-DD HH:MM:SS" strings CURRENT_TIMESTAMP produces there.
+// Columns keep microseconds so due times compare exactly; only the returned value is cut
+const types = {
+  getTypeParser(oid, format) {
+    if (oid === INT8_OID) {
+      return value => value === null ? null : Number(value);
+    }
+    if (oid === TIMESTAMP_OID) {
+      return value => value === null ? null : value.slice(0, 19);
+    }
+    return pg.types.getTypeParser(oid, format);
+  }
+};
+
+/**
+ * Rewrite `?` placeholders to Postgres' numbered `$n` ones, leaving quoted text alone
+ * @param {string} sql - Statement with `?` placeholders
+ * @returns {string} Statement with `$n` placeholders
+ */
+function numberPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\?/g, match => match === '?' ? `$${++index}` : match);
+}
+
+/**
+ * Wrap a pool or a checked-out client in the driver query interface
+ * @param {Object} queryable - pg Pool or PoolClient
+ * @returns {Object} `get`, `all`, `run` and `exec`
+ */
+function createQueryMethods(queryable) {
+  const query = (sql, params = []) => queryable.query(numberPlaceholders(sql), params);
+
+  return {
+    dialect: 'postgres',
+
+    async get(sql, params) {
+      const result = await query(sql, params);
+      return result.rows[0];
+    },
+
+    async all(sql, params) {
+      const result = await query(sql, params);
+      return result.rows;
+    },
+
+    async run(sql, params) {
+      const result = await query(sql, params);
+      return { changes: result.rowCount ?? 0 };
+    },
+
+    // Multiple statements are only allowed without parameters, as in SQLite's exec
+    async exec(sql) {
+      await queryable.query(sql);
+    }
+  };
+}
+
+/**
+ * Connect to a PostgreSQL database
+ * Sessions run in UTC so CURRENT_TIMESTAMP matches what SQLite stores
+ * @param {Object} options
+ * @param {string} options.url - Connection string
+ * @param {number} options.poolSize - Maximum number of connections
+ * @returns {Promise<Object>} Database driver
+ */
+export async function createPostgresDriver({ url, poolSize }) {
+  if (!url) {
+    throw new Error('DATABASE_URL is required for the postgres database driver');
+  }
+
+  const pool = new pg.Pool({
+    connectionString: url,
+    max: poolSize,
+    options: '-c TimeZone=UTC',
+    types
+  });
+
+  // Idle clients can lose their connection; without a listener that would crash the process
+  pool.on('error', error => {
+    console.error('PostgreSQL connection error:', error.message);
+  });
+
+  // Fail at startup rather than on the first request
+  const client = await pool.connect();
+  client.release();
+
+  return {
+    ...createQueryMethods(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const value = await fn(createQueryMethods(client));
+        await client.query('COMMIT');
+        return value;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    close: () => pool.end()
+  };
+}
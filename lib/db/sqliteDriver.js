@@ -0,0 +1,72 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Open a SQLite database file
+ * Everything runs on one connection, so statements and transactions are queued behind each
+ * other: a statement that ran while a transaction was open would become part of it
+ * @param {Object} options
+ * @param {string} options.path - Database file; its directory is created if needed
+ * @returns {Promise<Object>} Database driver
+ */
+export async function createSqliteDriver({ path: filename }) {
+  await fs.mkdir(path.dirname(filename), { recursive: true });
+
+  const db = await open({
+    filename,
+    driver: sqlite3.Database
+  });
+
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // Statements straight on the connection: the handle a transaction's statements run through
+  const connection = {
+    dialect: 'sqlite',
+
+    get: (sql, params = []) => db.get(sql, params),
+
+    all: (sql, params = []) => db.all(sql, params),
+
+    async run(sql, params = []) {
+      const result = await db.run(sql, params);
+      return { changes: result.changes };
+    },
+
+    exec: (sql) => db.exec(sql)
+  };
+
+  return {
+    dialect: 'sqlite',
+
+    get: (sql, params) => enqueue(() => connection.get(sql, params)),
+
+    all: (sql, params) => enqueue(() => connection.all(sql, params)),
+
+    run: (sql, params) => enqueue(() => connection.run(sql, params)),
+
+    exec: (sql) => enqueue(() => connection.exec(sql)),
+
+    transaction(fn) {
+      return enqueue(async () => {
+        await db.exec('BEGIN');
+        try {
+          const value = await fn(connection);
+          await db.exec('COMMIT');
+          return value;
+        } catch (error) {
+          await db.exec('ROLLBACK');
+          throw error;
+        }
+      });
+    },
+
+    close: () => enqueue(() => db.close())
+  };
+}
@@ -1,28 +1,22 @@
-import { Uploader } from '@irys/upload';
-import { Ethereum } from '@irys/upload-ethereum';
-import config from '../config/config.js'
+import { createReadStream, promises as fs } from 'fs';
+import { getStorageBackend } from './backends/index.js';
+import { recordFundingEvent, storeReceipt } from './database.js';
+import { DEFAULT_WALLET, getWallet, getWalletForBucket, listWallets, validateWalletConfig } from './wallets.js';
+
+// Files up to this size are read into memory and uploaded in a single request
+const INLINE_UPLOAD_LIMIT = 1024 * 1024;
 
-let irysUploader = null;
 /**
- * Get or create an Irys uploader instance
- * @returns {Promise<Object>} Irys uploader instance
+ * Connect to the configured storage backend (Irys, or the local stand-in)
+ * @returns {Promise<Object>} Storage backend
  */
-export async function getIrysUploader() {
-  if (irysUploader) {
-    return irysUploader;
-  }
-
+export async function initIrysClient() {
   try {
-    irysUploader = await Uploader(Ethereum)
-      .withWallet(config.irys.privateKey);
-    
-      if (config.irys.network === 'devnet') {
-        irysUploader = irysUploader.devnet();
-      }
-
-      console.log(`Connected to Irys from address ${irysUploader.address}`);
-      return irysUploader;
-    } catch (error) {
+    validateWalletConfig();
+    const backend = getStorageBackend();
+    await backend.init();
+    return backend;
+  } catch (error) {
     console.error('Error initializing Irys uploader:', error);
     throw new Error('Failed to initialize Irys uploader');
   }
@@ -30,21 +24,25 @@ export async function getIrysUploader() {
 
 /**
  * Upload a file to Irys
- * @param {Buffer} fileBuffer - File buffer
+ * Streams are sent through the Irys chunked uploader
+ * @param {Buffer|Readable} fileBuffer - File buffer or readable stream
  * @param {string} contentType - MIME type
  * @param {Array} customTags - Additional tags
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Bucket being written, to pick its funded wallet
  * @returns {Promise<Object>} Upload receipt
  */
-export async function uploadToIrys(fileBuffer, contentType = 'application/octet-stream', customTags = []) {
+export async function uploadToIrys(fileBuffer, contentType = 'application/octet-stream', customTags = [], { bucket } = {}) {
   try {
-    const uploader = await getIrysUploader();
     const tags = [
       { name: 'Content-Type', value: contentType },
       ...customTags
     ];
-    const receipt = await uploader.upload(fileBuffer, { tags });
+    const wallet = getWalletForBucket(bucket);
+    const receipt = await getStorageBackend().upload(fileBuffer, tags, wallet);
 
-    console.log(`File uploaded to Irys: ${receipt.id}`);
+    console.log(`File uploaded to Irys with wallet ${wallet}: ${receipt.id}`);
+    await persistReceipt(receipt, wallet);
     return receipt;
   } catch (error) {
     console.error('Error uploading to Irys:', error);
@@ -53,33 +51,237 @@ export async function uploadToIrys(fileBuffer, contentType = 'application/octet-
 }
 
 /**
- * Fund the Irys account if needed
+ * Verify a fresh upload receipt and store it with the result
+ * An upload whose receipt does not verify is kept, since the data has already been
+ * accepted by Irys, but the receipt is flagged for follow-up. Failing to store the receipt
+ * does not fail the upload either: retrying would pay for it again, and the receipt verifier
+ * reports the version as missing a receipt
+ * @param {Object} receipt - Upload receipt
+ * @param {string} wallet - Wallet the upload was paid from
+ */
+async function persistReceipt(receipt, wallet) {
+  let status = 'valid';
+  let verifyError = null;
+
+  try {
+    if (!await getStorageBackend().verifyReceipt(receipt, wallet)) {
+      status = 'invalid';
+      console.warn(`Receipt for Irys transaction ${receipt.id} does not verify`);
+    }
+  } catch (error) {
+    status = 'error';
+    verifyError = error.message;
+    console.error(`Error verifying receipt for Irys transaction ${receipt.id}:`, error);
+  }
+
+  try {
+    await storeReceipt(receipt.id, receipt, status, verifyError);
+  } catch (error) {
+    console.error(`Error storing receipt for Irys transaction ${receipt.id}:`, error);
+  }
+}
+
+/**
+ * Verify the signature of an upload receipt
+ * @param {Object} receipt - Stored upload receipt
+ * @returns {Promise<boolean>} True if the receipt is valid
+ */
+export async function verifyReceipt(receipt) {
+  try {
+    return await getStorageBackend().verifyReceipt(receipt);
+  } catch (error) {
+    console.error('Error verifying receipt:', error);
+    throw new Error('Failed to verify receipt');
+  }
+}
+
+/**
+ * Upload a file from disk to Irys
+ * Small files are sent in one request; larger ones are streamed through the chunked uploader
+ * so memory use does not grow with the object size
+ * @param {string} filePath - Path of the file to upload
+ * @param {number} size - File size in bytes
+ * @param {string} contentType - MIME type
+ * @param {Array} customTags - Additional tags
+ * @param {Object} [options] - Upload options, as for uploadToIrys
+ * @returns {Promise<Object>} Upload receipt
+ */
+export async function uploadFileToIrys(filePath, size, contentType = 'application/octet-stream', customTags = [], options = {}) {
+  const data = size <= INLINE_UPLOAD_LIMIT
+    ? await fs.readFile(filePath)
+    : createReadStream(filePath);
+  return uploadToIrys(data, contentType, customTags, options);
+}
+
+/**
+ * Get the price of uploading a number of bytes
  * @param {number} bytes - Number of bytes to price for upload
- * @returns {Promise<number>} Price in atomic units
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Bucket being written, to price with its funded wallet
+ * @param {string} [options.wallet] - Wallet name, instead of resolving it from the bucket
+ * @returns {Promise<string>} Price in atomic units
  */
-export async function fundAccount(bytes) {
+export async function getUploadPrice(bytes, { bucket, wallet } = {}) {
   try {
-    const uploader = await getIrysUploader();
-    const price = await uploader.getPrice(bytes);
-    return price;
+    return await getStorageBackend().getPrice(bytes, wallet || getWalletForBucket(bucket));
   } catch (error) {
-    console.error('Error funding account: ', error);
+    console.error('Error getting upload price:', error);
     throw new Error('Failed to get upload price');
   }
 }
 
+/**
+ * Quote the cost of uploading a number of bytes, in atomic units and whole tokens
+ * @param {number} bytes - Number of bytes to price for upload
+ * @param {Object} [options] - Wallet selection, as for getUploadPrice
+ * @returns {Promise<Object>} `{ bytes, wallet, token, atomic, amount, ticker }`
+ */
+export async function getUploadQuote(bytes, { bucket, wallet } = {}) {
+  try {
+    const name = wallet || getWalletForBucket(bucket);
+    const backend = getStorageBackend();
+    const atomic = await backend.getPrice(bytes, name);
+    const { amount, ticker } = await backend.toDecimal(atomic, name);
+
+    return { bytes, wallet: name, token: getWallet(name).token, atomic, amount, ticker };
+  } catch (error) {
+    console.error('Error getting upload quote:', error);
+    throw new Error('Failed to get upload quote');
+  }
+}
+
+/**
+ * Check that the wallet paying for a bucket can afford an upload
+ * Resolves as sufficient when the price or balance cannot be determined, so a pricing
+ * outage does not block uploads; the upload itself still fails if it cannot be paid for
+ * @param {number} bytes - Upload size in bytes
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Bucket being written
+ * @returns {Promise<Object>} `{ sufficient, wallet, price, balance }`
+ */
+export async function checkUploadFunds(bytes, { bucket } = {}) {
+  const wallet = getWalletForBucket(bucket);
+  try {
+    const backend = getStorageBackend();
+    const [price, balance] = await Promise.all([
+      backend.getPrice(bytes, wallet),
+      backend.getBalance(wallet)
+    ]);
+    return { sufficient: BigInt(balance) >= BigInt(price), wallet, price, balance };
+  } catch (error) {
+    console.error('Error checking upload funds:', error);
+    return { sufficient: true, wallet, price: null, balance: null };
+  }
+}
+
+/**
+ * Fund a wallet's Irys account
+ * Every attempt is recorded in the funding_events table, including failed ones
+ * @param {string} amount - Amount to transfer, in atomic units
+ * @param {string} [wallet] - Wallet name, defaults to the deployment's default wallet
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the account is funded: "manual" or "auto"
+ * @param {string} [options.balanceBefore] - Balance before funding, when already known
+ * @returns {Promise<Object>} `{ wallet, id, quantity, amount, ticker }`
+ */
+export async function fundAccount(amount, wallet = DEFAULT_WALLET, { reason = 'manual', balanceBefore = null } = {}) {
+  const { token } = getWallet(wallet);
+  const backend = getStorageBackend();
+  const event = { wallet, token, reason, balanceBefore };
+
+  let receipt;
+  try {
+    receipt = await backend.fund(amount, wallet);
+  } catch (error) {
+    console.error('Error funding account:', error);
+    await recordFundingEvent({ ...event, status: 'failed', amount, error: error.message }).catch(() => {});
+    throw new Error('Failed to fund account');
+  }
+
+  const { id, quantity } = receipt;
+  console.log(`Funded Irys wallet ${wallet} with ${quantity} atomic units: ${id}`);
+  // The transfer has happened, so a bookkeeping failure must not report it as failed
+  await recordFundingEvent({ ...event, status: 'success', amount: quantity, txId: id }).catch(() => {});
+
+  return { wallet, id, quantity, ...await backend.toDecimal(quantity, wallet) };
+}
+
 /**
  * Get account balance
+ * @param {string} [wallet] - Wallet name, defaults to the deployment's default wallet
  * @returns {Promise<string>} Balance in atomic units
  */
-export async function getBalance() {
+export async function getBalance(wallet) {
   try {
-    const uploader = await getIrysUploader();
-    const balance = await uploader.getBalance();
-
-    return balance;
+    return await getStorageBackend().getBalance(wallet);
   } catch (error) {
     console.error('Error getting balance:', error);
     throw new Error('Failed to get balance');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the token, address and balance of every configured wallet
+ * A wallet that cannot be reached is reported with an error instead of failing the whole list
+ * @returns {Promise<Array<Object>>} `{ name, token, address, balance, error }` per wallet
+ */
+export async function getWalletStatuses() {
+  const backend = getStorageBackend();
+
+  return Promise.all(listWallets().map(async ({ name, token }) => {
+    try {
+      return {
+        name,
+        token,
+        address: await backend.getAddress(name),
+        balance: await backend.getBalance(name),
+        error: null
+      };
+    } catch (error) {
+      return { name, token, address: null, balance: null, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Fetch an uploaded object
+ * @param {string} id - Irys transaction ID
+ * @param {Object|null} range - Optional inclusive byte range `{ start, end }`
+ * @returns {Promise<Object|null>} `{ stream, partial }`, or null if the transaction is unknown
+ */
+export async function fetchFromIrys(id, range = null) {
+  return getStorageBackend().fetch(id, range);
+}
+
+/**
+ * Get the addresses of every configured wallet, which own the transactions this deployment uploaded
+ * @returns {Promise<Array<string>>} Distinct wallet addresses
+ */
+export async function getWalletAddresses() {
+  try {
+    const backend = getStorageBackend();
+    const addresses = await Promise.all(listWallets().map(({ name }) => backend.getAddress(name)));
+    return [...new Set(addresses)];
+  } catch (error) {
+    console.error('Error getting wallet addresses:', error);
+    throw new Error('Failed to get wallet addresses');
+  }
+}
+
+/**
+ * Get the size of an uploaded object
+ * @param {string} id - Irys transaction ID
+ * @returns {Promise<number|null>} Size in bytes, or null if the transaction is unknown
+ */
+export async function getObjectSize(id) {
+  return getStorageBackend().getSize(id);
+}
+
+/**
+ * Get the public URL of an uploaded object
+ * @param {string} id - Irys transaction ID
+ * @returns {string|null} URL, or null if the storage backend has no public gateway
+ */
+export function getObjectUrl(id) {
+  return getStorageBackend().getUrl(id);
+}
@@ -0,0 +1,73 @@
+import axios from 'axios';
+import config from '../config/config.js';
+
+const PAGE_SIZE = 100;
+
+const TRANSACTIONS_QUERY = `
+  query ($owners: [String!], $tags: [TagFilter!], $after: String, $first: Int) {
+    transactions(owners: $owners, tags: $tags, after: $after, first: $first, order: ASC) {
+      edges {
+        cursor
+        node {
+          id
+          address
+          timestamp
+          tags {
+            name
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Query one page of transactions from the Irys GraphQL endpoint
+ * @param {Object} filter - Query filter
+ * @param {Array<string>} [filter.owners] - Addresses that signed the transactions
+ * @param {Array<Object>} [filter.tags] - Tag filters as `{ name, values }`
+ * @param {string} [filter.after] - Cursor of the last transaction of the previous page
+ * @param {number} [filter.first] - Page size
+ * @returns {Promise<Object>} `{ transactions, hasNextPage, endCursor }`; each transaction is
+ * `{ id, address, timestamp, tags }`
+ */
+export async function queryTransactions({ owners, tags, after, first = PAGE_SIZE } = {}) {
+  if (!config.irys.graphqlUrl) {
+    throw new Error('No Irys GraphQL endpoint configured (IRYS_GRAPHQL_URL)');
+  }
+
+  const response = await axios.post(config.irys.graphqlUrl, {
+    query: TRANSACTIONS_QUERY,
+    variables: { owners, tags, after, first }
+  }, { timeout: 30000 });
+
+  if (response.data.errors?.length) {
+    throw new Error(`Irys GraphQL query failed: ${response.data.errors.map(error => error.message).join('; ')}`);
+  }
+
+  const { edges, pageInfo } = response.data.data.transactions;
+  return {
+    transactions: edges.map(edge => edge.node),
+    hasNextPage: Boolean(pageInfo?.hasNextPage),
+    endCursor: pageInfo?.endCursor || edges[edges.length - 1]?.cursor || null
+  };
+}
+
+/**
+ * Iterate over every transaction matching a filter, following the pagination cursors
+ * @param {Object} filter - Query filter, as for queryTransactions
+ * @returns {AsyncGenerator<Object>} Transactions
+ */
+export async function* listTransactions({ owners, tags } = {}) {
+  let after;
+  do {
+    const page = await queryTransactions({ owners, tags, after });
+    yield* page.transactions;
+    after = page.hasNextPage ? page.endCursor : null;
+  } while (after);
+}
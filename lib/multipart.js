@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import config from '../config/config.js';
+import { computeChecksum } from './checksums.js';
+import {
+  deleteMultipartUpload,
+  listStaleMultipartUploads
+} from './database.js';
+
+let sweepTimer = null;
+
+/**
+ * Get the staging directory of a multipart upload
+ * @param {string} uploadId - Upload ID
+ * @returns {string} Directory path
+ */
+function uploadDir(uploadId) {
+  return path.join(config.multipart.stagingDir, uploadId);
+}
+
+/**
+ * Move an uploaded part into the staging area
+ * Every upload of a part gets its own file, so replacing a part never overwrites a file a
+ * completion may be reading; the replaced file is removed once the new part is recorded
+ * @param {string} uploadId - Upload ID
+ * @param {number} partNumber - Part number
+ * @param {Object} upload - Uploaded body from handleRawUpload ({ path, size, md5, checksum })
+ * @returns {Promise<Object>} Staged part with path, size, quoted MD5 ETag and checksum
+ */
+export async function stagePart(uploadId, partNumber, upload) {
+  try {
+    const dir = uploadDir(uploadId);
+    await fs.mkdir(dir, { recursive: true });
+
+    const partPath = path.join(dir, `${partNumber}-${crypto.randomUUID()}.part`);
+    await moveFile(upload.path, partPath);
+
+    return {
+      path: partPath,
+      size: upload.size,
+      etag: `"${upload.md5}"`,
+      checksum: upload.checksum || null
+    };
+  } catch (error) {
+    console.error('Error staging multipart part:', error);
+    throw new Error('Failed to stage multipart part');
+  }
+}
+
+/**
+ * Remove a staged part file that is no longer recorded
+ * @param {string} partPath - Staging file path
+ */
+export async function removeStagedPart(partPath) {
+  await fs.rm(partPath, { force: true });
+}
+
+/**
+ * Move a file, copying when source and destination are on different filesystems
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ */
+export async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(from, to);
+    await fs.rm(from, { force: true });
+  }
+}
+
+/**
+ * Create a stream that reads staged parts back to back
+ * @param {Array<Object>} parts - Part records in order
+ * @returns {Readable} Stream of the assembled object
+ */
+export function createAssembledStream(parts) {
+  return Readable.from((async function* () {
+    for (const part of parts) {
+      yield* createReadStream(part.path);
+    }
+  })());
+}
+
+/**
+ * Compute the S3 multipart ETag: MD5 of the concatenated part MD5s, suffixed by the part count
+ * @param {Array<Object>} parts - Part records with quoted MD5 ETags
+ * @returns {string} Quoted multipart ETag
+ */
+export function computeMultipartEtag(parts) {
+  const hash = crypto.createHash('md5');
+  parts.forEach(part => {
+    hash.update(Buffer.from(part.etag.replace(/"/g, ''), 'hex'));
+  });
+  return `"${hash.digest('hex')}-${parts.length}"`;
+}
+
+/**
+ * Compute the S3 composite checksum of a multipart object: the checksum of the concatenated
+ * part checksums, suffixed by the part count
+ * @param {Array<Object>} parts - Part records
+ * @returns {Object|null} `{ algorithm, value }`, or null unless every part has a checksum
+ * of the same algorithm
+ */
+export function computeCompositeChecksum(parts) {
+  const algorithm = parts[0]?.checksum_algorithm;
+  if (!algorithm || parts.some(part => part.checksum_algorithm !== algorithm || !part.checksum)) {
+    return null;
+  }
+
+  const combined = Buffer.concat(parts.map(part => Buffer.from(part.checksum, 'base64')));
+  return { algorithm, value: `${computeChecksum(algorithm, combined)}-${parts.length}` };
+}
+
+/**
+ * Discard a multipart upload: remove its records and staged parts
+ * Nothing is removed unless the upload is in the given state, so an abort or the sweeper
+ * cannot pull the parts from under a completion
+ * @param {string} uploadId - Upload ID
+ * @param {string} [status] - "open" to abort, "completing" once completed
+ * @returns {Promise<boolean>} True if the upload existed in that state and was discarded
+ */
+export async function discardMultipartUpload(uploadId, status = 'open') {
+  if (!await deleteMultipartUpload(uploadId, status)) {
+    return false;
+  }
+  await fs.rm(uploadDir(uploadId), { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Abort multipart uploads older than the configured expiry
+ * @returns {Promise<number>} Number of uploads swept
+ */
+export async function sweepStaleMultipartUploads() {
+  const cutoff = new Date(Date.now() - config.multipart.expiryHours * 60 * 60 * 1000);
+  const staleUploads = await listStaleMultipartUploads(cutoff);
+
+  let swept = 0;
+  for (const upload of staleUploads) {
+    // Skip uploads claimed or released since they were listed
+    if (!await discardMultipartUpload(upload.upload_id, upload.status)) {
+      continue;
+    }
+    swept++;
+    console.log(`Swept stale multipart upload ${upload.upload_id} (${upload.bucket}/${upload.key})`);
+  }
+
+  return swept;
+}
+
+/**
+ * Start the periodic sweep of stale multipart uploads
+ */
+export function startMultipartSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+
+  const run = () => {
+    sweepStaleMultipartUploads().catch(error => {
+      console.error('Error sweeping multipart uploads:', error);
+    });
+  };
+
+  run();
+  sweepTimer = setInterval(run, config.multipart.sweepIntervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+}
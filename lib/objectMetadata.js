@@ -0,0 +1,55 @@
+import { NULL_VERSION_ID } from './database.js';
+
+/**
+ * Extract S3 user metadata from `x-amz-meta-*` request headers
+ * @param {Object} headers - Request headers
+ * @returns {Object} Metadata keyed by name (without the prefix)
+ */
+export function extractMetadata(headers) {
+  const metadata = {};
+  Object.keys(headers).forEach(header => {
+    if (header.startsWith('x-amz-meta-')) {
+      metadata[header.replace('x-amz-meta-', '')] = headers[header];
+    }
+  });
+  return metadata;
+}
+
+/**
+ * Build the Irys tags written on every object upload
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {Object} metadata - User metadata
+ * @param {Object} [tagging] - S3 object tags given with the upload
+ * @returns {Array<Object>} Irys tags
+ */
+export function buildObjectTags(bucket, key, metadata = {}, tagging = {}) {
+  const tags = [
+    { name: 'Bucket', value: bucket },
+    { name: 'Key', value: key },
+    { name: 'Upload-Timestamp', value: new Date().toISOString() }
+  ];
+
+  Object.keys(metadata).forEach(metaKey => {
+    tags.push({ name: `Meta-${metaKey}`, value: metadata[metaKey] });
+  });
+
+  Object.keys(tagging).forEach(tagKey => {
+    tags.push({ name: `Tag-${tagKey}`, value: tagging[tagKey] });
+  });
+
+  return tags;
+}
+
+/**
+ * Response headers identifying the version of an object
+ * Objects in buckets that never had versioning enabled carry no version header
+ * @param {Object} objectRecord - Object or version record
+ * @returns {Object} Headers to set
+ */
+export function versionHeaders(objectRecord) {
+  if (!objectRecord.version_id || objectRecord.version_id === NULL_VERSION_ID) {
+    return {};
+  }
+  return { 'x-amz-version-id': objectRecord.version_id };
+}
@@ -0,0 +1,107 @@
+import { parseXml } from './xml.js';
+
+// S3 limits on object tags
+const MAX_TAGS = 10;
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+// Letters, numbers and spaces in any language, and + - = . _ : / @
+const TAG_CHARACTERS = /^[\p{L}\p{Z}\p{N}+\-=._:/@]*$/u;
+
+/**
+ * A tag set S3 would reject, carrying the S3 error code and HTTP status
+ */
+export class TaggingError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'TaggingError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Parse the x-amz-tagging header of an upload: tags as URL-encoded query parameters
+ * @param {string} [header] - Header value
+ * @returns {Object} Tag key to value; empty when there is no header
+ * @throws {TaggingError} If a key repeats or the tags break the S3 limits
+ */
+export function parseTaggingHeader(header) {
+  if (!header) {
+    return {};
+  }
+
+  const entries = [...new URLSearchParams(header)];
+  if (new Set(entries.map(([key]) => key)).size !== entries.length) {
+    throw new TaggingError('InvalidArgument', 'The header \'x-amz-tagging\' shall be encoded as UTF-8 then URLEncoded URL query parameters without tag name duplicates.');
+  }
+  return validateTags(entries);
+}
+
+/**
+ * Parse a Tagging document, the body of PutObjectTagging and the `tagging` field of a form upload
+ * @param {string|Buffer} xml - `<Tagging><TagSet><Tag><Key/><Value/></Tag>...</TagSet></Tagging>`
+ * @returns {Object} Tag key to value
+ * @throws {TaggingError} If the document is malformed or the tags break the S3 limits
+ */
+export function parseTaggingDocument(xml) {
+  let tags;
+  try {
+    const document = parseXml(xml, { arrays: ['Tag'] });
+    const tagSet = document.Tagging?.TagSet;
+    // An empty <TagSet/> parses as an empty string
+    tags = tagSet === undefined ? null : tagSet.Tag || [];
+    if (tags?.some(tag => typeof tag?.Key !== 'string')) {
+      tags = null;
+    }
+  } catch (parseError) {
+    tags = null;
+  }
+
+  if (!tags) {
+    throw new TaggingError('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+  }
+  if (new Set(tags.map(tag => tag.Key)).size !== tags.length) {
+    throw new TaggingError('InvalidTag', 'Cannot provide multiple Tags with the same key');
+  }
+  return validateTags(tags.map(tag => [tag.Key, typeof tag.Value === 'string' ? tag.Value : '']));
+}
+
+/**
+ * Check tags against the S3 limits: at most 10 tags, keys of 1 to 128 characters that do not
+ * start with "aws:", and values of up to 256
+ * @param {Array<Array<string>>} entries - `[key, value]` pairs
+ * @returns {Object} Tag key to value
+ * @throws {TaggingError} Describing the first broken limit
+ */
+function validateTags(entries) {
+  if (entries.length > MAX_TAGS) {
+    throw new TaggingError('BadRequest', `Object tags cannot be greater than ${MAX_TAGS}`);
+  }
+
+  for (const [key, value] of entries) {
+    if (!key || [...key].length > MAX_KEY_LENGTH || !TAG_CHARACTERS.test(key)) {
+      throw new TaggingError('InvalidTag', 'The TagKey you have provided is invalid');
+    }
+    if (key.toLowerCase().startsWith('aws:')) {
+      throw new TaggingError('InvalidTag', 'Your TagKey cannot be prefixed with aws:');
+    }
+    if ([...value].length > MAX_VALUE_LENGTH || !TAG_CHARACTERS.test(value)) {
+      throw new TaggingError('InvalidTag', 'The TagValue you have provided is invalid');
+    }
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Shape tags as the TagSet of a GetObjectTagging response
+ * @param {Object} tagging - Tag key to value
+ * @returns {Object} `{ TagSet: { Tag: [{ Key, Value }] } }`
+ */
+export function formatTagSet(tagging) {
+  return {
+    TagSet: {
+      Tag: Object.entries(tagging).map(([key, value]) => ({ Key: key, Value: value }))
+    }
+  };
+}
@@ -0,0 +1,207 @@
+import { ALGORITHM, DEFAULT_REGION, deriveSigningKey, formatAmzDate, signPostPolicy } from './sigv4.js';
+
+// Form fields no condition has to cover
+const UNCHECKED_FIELDS = ['policy', 'x-amz-signature', 'file'];
+
+/**
+ * A browser form upload the policy does not allow, carrying the S3 error code and HTTP status
+ */
+export class PostPolicyError extends Error {
+  constructor(code, message, status = 403) {
+    super(message);
+    this.name = 'PostPolicyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Collect the fields of an upload form, with their names lowercased as S3 matches them
+ * @param {Object} body - Fields multer parsed (`req.body`)
+ * @returns {Object} Field name to value; repeated fields keep their first value
+ */
+export function readFormFields(body = {}) {
+  const fields = {};
+  for (const [name, value] of Object.entries(body)) {
+    fields[name.toLowerCase()] ??= Array.isArray(value) ? value[0] : value;
+  }
+  return fields;
+}
+
+/**
+ * Decode and validate the policy field of an upload form
+ * Supported conditions: `{ "field": "value" }` and `["eq", "$field", "value"]` for exact matches,
+ * `["starts-with", "$field", "prefix"]` and `["content-length-range", min, max]`
+ * @param {string} encoded - Base64 policy document
+ * @returns {Object} `{ expiration, conditions }`, conditions being `{ type, field, value }` or
+ * `{ type: 'content-length-range', min, max }`, each with the `source` it was parsed from
+ * @throws {PostPolicyError} If the document is not a valid policy
+ */
+export function parsePostPolicy(encoded) {
+  let policy;
+  try {
+    policy = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new PostPolicyError('InvalidPolicyDocument', 'Invalid Policy: Invalid JSON.', 400);
+  }
+
+  const expiration = new Date(policy?.expiration);
+  if (typeof policy?.expiration !== 'string' || Number.isNaN(expiration.getTime())) {
+    throw new PostPolicyError('InvalidPolicyDocument', 'Invalid Policy: Policy missing expiration.', 400);
+  }
+  if (!Array.isArray(policy.conditions)) {
+    throw new PostPolicyError('InvalidPolicyDocument', 'Invalid Policy: Policy missing conditions.', 400);
+  }
+
+  return {
+    expiration,
+    conditions: policy.conditions.flatMap(parseCondition)
+  };
+}
+
+function parseCondition(source) {
+  const invalid = () => new PostPolicyError('InvalidPolicyDocument', `Invalid Policy: Invalid Condition: ${JSON.stringify(source)}`, 400);
+
+  if (source && typeof source === 'object' && !Array.isArray(source)) {
+    const entries = Object.entries(source);
+    if (!entries.length || entries.some(([, value]) => typeof value !== 'string')) {
+      throw invalid();
+    }
+    return entries.map(([field, value]) => ({ type: 'eq', field: field.toLowerCase(), value, source }));
+  }
+  if (!Array.isArray(source) || source.length !== 3) {
+    throw invalid();
+  }
+
+  const [operator, first, second] = source;
+  const type = String(operator).toLowerCase();
+  if (type === 'content-length-range') {
+    const [min, max] = [Number(first), Number(second)];
+    if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || min < 0 || min > max) {
+      throw invalid();
+    }
+    return [{ type, min, max, source }];
+  }
+  if ((type !== 'eq' && type !== 'starts-with') || typeof first !== 'string' || !first.startsWith('$') || typeof second !== 'string') {
+    throw invalid();
+  }
+  return [{ type, field: first.slice(1).toLowerCase(), value: second, source }];
+}
+
+/**
+ * Check an upload form against its policy
+ * Every condition must hold and, as in S3, every form field must be named by a condition,
+ * apart from policy, x-amz-signature, file and x-ignore-* fields
+ * @param {Object} policy - Parsed policy (see parsePostPolicy)
+ * @param {Object} fields - Form fields (see readFormFields), with `key` already expanded
+ * @param {string} bucket - Bucket the form posts to, which `bucket` conditions test
+ * @returns {Object|null} The `{ min, max }` body size the policy allows, or null for any size
+ * @throws {PostPolicyError} AccessDenied if the policy has expired or does not allow the form
+ */
+export function checkPostPolicy(policy, fields, bucket) {
+  if (policy.expiration.getTime() < Date.now()) {
+    throw new PostPolicyError('AccessDenied', 'Invalid according to Policy: Policy expired.');
+  }
+
+  const values = { ...fields, bucket };
+  const covered = new Set();
+  let sizeRange = null;
+
+  for (const condition of policy.conditions) {
+    if (condition.type === 'content-length-range') {
+      sizeRange = { min: condition.min, max: condition.max };
+      continue;
+    }
+
+    covered.add(condition.field);
+    const value = values[condition.field];
+    const holds = typeof value === 'string' && (condition.type === 'eq'
+      ? value === condition.value
+      : value.startsWith(condition.value));
+    if (!holds) {
+      throw new PostPolicyError('AccessDenied', `Invalid according to Policy: Policy Condition failed: ${JSON.stringify(condition.source)}`);
+    }
+  }
+
+  const extra = Object.keys(fields).filter(name =>
+    !covered.has(name) && !UNCHECKED_FIELDS.includes(name) && !name.startsWith('x-ignore-'));
+  if (extra.length) {
+    throw new PostPolicyError('AccessDenied', `Invalid according to Policy: Extra input fields: ${extra.join(', ')}`);
+  }
+
+  return sizeRange;
+}
+
+/**
+ * Check the size of an uploaded file against the policy's content-length-range
+ * @param {Object|null} sizeRange - `{ min, max }` from checkPostPolicy
+ * @param {number} size - File size in bytes
+ * @throws {PostPolicyError} EntityTooSmall or EntityTooLarge
+ */
+export function checkPostContentLength(sizeRange, size) {
+  if (sizeRange && size < sizeRange.min) {
+    throw new PostPolicyError('EntityTooSmall', 'Your proposed upload is smaller than the minimum allowed size', 400);
+  }
+  if (sizeRange && size > sizeRange.max) {
+    throw new PostPolicyError('EntityTooLarge', 'Your proposed upload exceeds the maximum allowed size', 400);
+  }
+}
+
+/**
+ * Create the fields of a browser upload form: a signed policy that lets whoever holds it
+ * POST one file to the bucket until it expires
+ * @param {Object} params
+ * @param {string} params.bucket - Bucket to upload to
+ * @param {string} params.key - Key to upload to; a `${filename}` in it is replaced with the
+ * name of the uploaded file, and the key may then be anything starting with the part before it
+ * @param {string} params.accessKeyId - Access key the upload acts as
+ * @param {string} params.secretAccessKey - Its secret
+ * @param {number} params.expires - Seconds the form stays valid
+ * @param {Array} [params.conditions] - Extra policy conditions, such as content-length-range
+ * @param {Object} [params.fields] - Extra form fields (Content-Type, x-amz-meta-*,
+ * success_action_status, ...); each gets an exact-match condition
+ * @param {string} [params.region] - Scope region
+ * @param {Date} [params.date] - Signing time; defaults to now
+ * @returns {Object} Form fields, the file going last
+ */
+export function createPostPolicyFields({
+  bucket,
+  key,
+  accessKeyId,
+  secretAccessKey,
+  expires,
+  conditions = [],
+  fields = {},
+  region = DEFAULT_REGION,
+  date = new Date()
+}) {
+  const amzDate = formatAmzDate(date);
+  const credential = `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  const filenameAt = key.indexOf('${filename}');
+
+  const signed = {
+    ...fields,
+    'x-amz-algorithm': ALGORITHM,
+    'x-amz-credential': credential,
+    'x-amz-date': amzDate
+  };
+  const policy = {
+    expiration: new Date(date.getTime() + expires * 1000).toISOString(),
+    conditions: [
+      { bucket },
+      filenameAt === -1 ? { key } : ['starts-with', '$key', key.slice(0, filenameAt)],
+      ...Object.entries(signed).map(([name, value]) => ({ [name]: value })),
+      ...conditions
+    ]
+  };
+
+  const encodedPolicy = Buffer.from(JSON.stringify(policy)).toString('base64');
+  const signingKey = deriveSigningKey(secretAccessKey, amzDate.slice(0, 8), region, 's3');
+
+  return {
+    key,
+    ...signed,
+    policy: encodedPolicy,
+    'x-amz-signature': signPostPolicy(encodedPolicy, signingKey)
+  };
+}
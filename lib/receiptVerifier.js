@@ -0,0 +1,98 @@
+import config from '../config/config.js';
+import {
+  listReceipts,
+  updateReceiptStatus,
+  listUnverifiedObjectVersions,
+  getReceiptStats
+} from './database.js';
+import { verifyReceipt } from './irysClient.js';
+
+const BATCH_SIZE = 100;
+
+let verifierTimer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Re-verify every stored receipt and flag the ones that no longer validate
+ * Only one run happens at a time; a second call waits for the run in progress
+ * @returns {Promise<Object>} Run summary with the object versions whose receipts are not valid
+ */
+export async function verifyStoredReceipts() {
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const startedAt = new Date().toISOString();
+    const summary = { checked: 0, valid: 0, invalid: 0, error: 0 };
+
+    let after = '';
+    let batch = await listReceipts({ after, limit: BATCH_SIZE });
+    while (batch.length) {
+      for (const { irys_id: irysId, receipt } of batch) {
+        let status;
+        let verifyError = null;
+        try {
+          status = await verifyReceipt(receipt) ? 'valid' : 'invalid';
+        } catch (error) {
+          status = 'error';
+          verifyError = error.message;
+        }
+
+        await updateReceiptStatus(irysId, status, verifyError);
+        summary.checked++;
+        summary[status]++;
+      }
+
+      after = batch[batch.length - 1].irys_id;
+      batch = await listReceipts({ after, limit: BATCH_SIZE });
+    }
+
+    const { missing } = await getReceiptStats();
+    lastRun = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      ...summary,
+      missing,
+      flagged: await listUnverifiedObjectVersions()
+    };
+
+    console.log(`Verified ${summary.checked} receipts: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.error} errors, ${missing} missing`);
+    return lastRun;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Get receipt counts by status and the summary of the last verification run
+ * @returns {Promise<Object>} Receipt verification status
+ */
+export async function getReceiptVerificationStatus() {
+  return {
+    ...await getReceiptStats(),
+    running: Boolean(running),
+    lastRun: lastRun && { ...lastRun, flagged: lastRun.flagged.length }
+  };
+}
+
+/**
+ * Start the periodic re-verification when RECEIPT_VERIFY_INTERVAL_HOURS is set
+ */
+export function startReceiptVerifier() {
+  if (verifierTimer || !config.receipts.verifyIntervalHours) {
+    return;
+  }
+
+  verifierTimer = setInterval(() => {
+    verifyStoredReceipts().catch(error => {
+      console.error('Error verifying receipts:', error);
+    });
+  }, config.receipts.verifyIntervalHours * 60 * 60 * 1000);
+  verifierTimer.unref();
+}
@@ -0,0 +1,229 @@
+import { storeObjectMapping, listLiveObjects, listDeletedKeys } from './database.js';
+import { getWalletAddresses, getObjectSize } from './irysClient.js';
+import { listTransactions } from './irysGraphql.js';
+import { isPendingUpload } from './uploadQueue.js';
+
+const META_TAG_PREFIX = 'Meta-';
+const OBJECT_TAG_PREFIX = 'Tag-';
+
+let running = null;
+
+/**
+ * Whether a reconciliation is in progress
+ * @returns {boolean} True while reconcileWithIrys is running
+ */
+export function isReconciling() {
+  return Boolean(running);
+}
+
+const objectKey = (bucket, key) => `${bucket}/${key}`;
+
+// The database keeps timestamps to the second, so both sides are compared at that precision
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Read the S3 object a transaction stores from the tags written by buildObjectTags
+ * @param {Object} transaction - Transaction from the Irys GraphQL endpoint
+ * @returns {Object|null} `{ bucket, key, irysId, contentType, metadata, tagging, uploadedAt }`,
+ * or null if the transaction was not uploaded through this API
+ */
+function parseObjectTransaction(transaction) {
+  const tags = {};
+  const metadata = {};
+  const tagging = {};
+  (transaction.tags || []).forEach(({ name, value }) => {
+    if (name.startsWith(META_TAG_PREFIX)) {
+      metadata[name.slice(META_TAG_PREFIX.length)] = value;
+    } else if (name.startsWith(OBJECT_TAG_PREFIX)) {
+      tagging[name.slice(OBJECT_TAG_PREFIX.length)] = value;
+    } else {
+      tags[name] = value;
+    }
+  });
+
+  if (!tags.Bucket || !tags.Key) {
+    return null;
+  }
+
+  // Prefer the time the API received the object; fall back to the time Irys accepted it
+  let uploadedAt = new Date(tags['Upload-Timestamp']);
+  if (Number.isNaN(uploadedAt.getTime())) {
+    uploadedAt = new Date(Number(transaction.timestamp));
+  }
+
+  return {
+    bucket: tags.Bucket,
+    key: tags.Key,
+    irysId: transaction.id,
+    contentType: tags['Content-Type'] || 'application/octet-stream',
+    metadata,
+    tagging,
+    uploadedAt
+  };
+}
+
+/**
+ * Find the latest transaction for every key among the transactions owned by our wallets
+ * @param {string} [bucket] - Only look at this bucket
+ * @returns {Promise<Object>} `{ transactions, objects }`: the number of transactions seen and
+ * the latest object per key
+ */
+async function collectChainObjects(bucket) {
+  const owners = await getWalletAddresses();
+  const tags = bucket ? [{ name: 'Bucket', values: [bucket] }] : undefined;
+
+  let transactions = 0;
+  const objects = new Map();
+  for await (const transaction of listTransactions({ owners, tags })) {
+    transactions++;
+    const object = parseObjectTransaction(transaction);
+    if (!object) {
+      continue;
+    }
+
+    // Latest timestamp wins; transactions arrive oldest first, so a tie goes to the later one
+    const id = objectKey(object.bucket, object.key);
+    if (!objects.has(id) || object.uploadedAt >= objects.get(id).uploadedAt) {
+      objects.set(id, object);
+    }
+  }
+
+  return { transactions, objects };
+}
+
+/**
+ * Restore an object from its transaction
+ * @param {Object} object - Object parsed from transaction tags
+ */
+async function restoreObject(object) {
+  const size = await getObjectSize(object.irysId);
+  if (size === null) {
+    throw new Error('Transaction data is not available from the gateway');
+  }
+
+  // The MD5 of the content is not on chain, so restored objects get the transaction ID ETag.
+  // Tags come back as they were uploaded; later tag changes were only in the database
+  await storeObjectMapping(object.bucket, object.key, { id: object.irysId }, object.contentType, size, object.metadata, {
+    lastModified: object.uploadedAt,
+    tagging: object.tagging
+  });
+}
+
+/**
+ * Compare the object index in the database with the transactions our wallets uploaded to Irys,
+ * and optionally bring the index up to date
+ *
+ * For every key the most recent side wins: an object on chain that is newer than the key's
+ * current object (or than its deletion) is restored; anything newer in the database, or from the
+ * same second, is kept.
+ * Keys that only exist in the database are reported but left alone: copies and objects uploaded from
+ * other wallets are expected there.
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Only reconcile this bucket
+ * @param {boolean} [options.apply] - Restore objects that are newer on chain; otherwise only report
+ * @returns {Promise<Object>} Drift report
+ */
+export async function reconcileWithIrys({ bucket, apply = false } = {}) {
+  if (running) {
+    throw new Error('A reconciliation is already running');
+  }
+
+  running = (async () => {
+    const startedAt = new Date().toISOString();
+    const chain = await collectChainObjects(bucket);
+
+    const live = new Map();
+    let pendingUploads = 0;
+    for (const row of await listLiveObjects({ bucket })) {
+      if (isPendingUpload(row.irys_id)) {
+        pendingUploads++;
+      } else {
+        live.set(objectKey(row.bucket, row.key), row);
+      }
+    }
+    const deletions = new Map();
+    for (const row of await listDeletedKeys({ bucket })) {
+      deletions.set(objectKey(row.bucket, row.key), new Date(row.deleted_at));
+    }
+
+    const report = {
+      startedAt,
+      bucket: bucket || null,
+      applied: apply,
+      chainTransactions: chain.transactions,
+      chainObjects: chain.objects.size,
+      databaseObjects: live.size,
+      pendingUploads,
+      onlyOnChain: [],
+      onlyInDatabase: [],
+      mismatched: [],
+      deletedInDatabase: [],
+      restored: 0,
+      errors: []
+    };
+
+    const toRestore = [];
+    for (const [id, object] of chain.objects) {
+      const entry = { bucket: object.bucket, key: object.key, irysId: object.irysId, uploadedAt: object.uploadedAt.toISOString() };
+      const current = live.get(id);
+
+      if (!current) {
+        const deletedAt = deletions.get(id);
+        if (deletedAt && toSeconds(deletedAt) >= toSeconds(object.uploadedAt)) {
+          report.deletedInDatabase.push({ ...entry, deletedAt: deletedAt.toISOString() });
+        } else {
+          report.onlyOnChain.push(entry);
+          toRestore.push(object);
+        }
+        continue;
+      }
+
+      if (current.irys_id !== object.irysId) {
+        const lastModified = new Date(current.last_modified);
+        const newer = toSeconds(object.uploadedAt) > toSeconds(lastModified) ? 'chain' : 'database';
+        report.mismatched.push({
+          ...entry,
+          databaseIrysId: current.irys_id,
+          lastModified: lastModified.toISOString(),
+          newer
+        });
+        if (newer === 'chain') {
+          toRestore.push(object);
+        }
+      }
+    }
+
+    for (const [id, row] of live) {
+      if (!chain.objects.has(id)) {
+        report.onlyInDatabase.push({
+          bucket: row.bucket,
+          key: row.key,
+          irysId: row.irys_id,
+          lastModified: new Date(row.last_modified).toISOString()
+        });
+      }
+    }
+
+    if (apply) {
+      for (const object of toRestore) {
+        try {
+          await restoreObject(object);
+          report.restored++;
+        } catch (error) {
+          console.error(`Error restoring ${object.bucket}/${object.key} from ${object.irysId}:`, error.message);
+          report.errors.push({ bucket: object.bucket, key: object.key, irysId: object.irysId, error: error.message });
+        }
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    console.log(`Reconciled with Irys: ${report.onlyOnChain.length} only on chain, ${report.onlyInDatabase.length} only in database, ${report.mismatched.length} mismatched, ${report.restored} restored`);
+    return report;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
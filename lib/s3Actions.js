@@ -0,0 +1,91 @@
+/**
+ * Actions that access key grants and bucket policies can allow or deny, named as in AWS IAM
+ */
+export const ACTIONS = [
+  's3:ListAllMyBuckets',
+  's3:CreateBucket',
+  's3:DeleteBucket',
+  's3:ListBucket',
+  's3:ListBucketVersions',
+  's3:ListBucketMultipartUploads',
+  's3:GetBucketVersioning',
+  's3:PutBucketVersioning',
+  's3:GetBucketPolicy',
+  's3:PutBucketPolicy',
+  's3:DeleteBucketPolicy',
+  's3:GetObject',
+  's3:PutObject',
+  's3:DeleteObject',
+  's3:GetObjectTagging',
+  's3:PutObjectTagging',
+  's3:DeleteObjectTagging',
+  's3:AbortMultipartUpload',
+  's3:ListMultipartUploadParts'
+];
+
+// Actions on objects; the others act on a bucket (or, for ListAllMyBuckets, on none)
+export const OBJECT_ACTIONS = [
+  's3:GetObject',
+  's3:PutObject',
+  's3:DeleteObject',
+  's3:GetObjectTagging',
+  's3:PutObjectTagging',
+  's3:DeleteObjectTagging',
+  's3:AbortMultipartUpload',
+  's3:ListMultipartUploadParts'
+];
+
+// Most `*` a policy or grant pattern may hold
+export const MAX_WILDCARDS = 10;
+
+/**
+ * Count the `*` wildcards of a pattern
+ * @param {string} pattern - Pattern
+ * @returns {number} Number of `*`
+ */
+export function countWildcards(pattern) {
+  return pattern.split('*').length - 1;
+}
+
+/**
+ * Match a value against a pattern where `*` stands for any run of characters and `?` for one
+ * Values can come from requests, so this never backtracks further than the last `*`: a
+ * mismatch retries only that `*` one character longer, keeping the work to
+ * pattern length times value length
+ * @param {string} pattern - Pattern, e.g. "s3:Get*"
+ * @param {string} value - Value to match
+ * @param {boolean} [ignoreCase] - Compare case-insensitively, as IAM does for action names
+ * @returns {boolean} True if the value matches
+ */
+export function matchesWildcard(pattern, value, ignoreCase = false) {
+  if (ignoreCase) {
+    pattern = pattern.toLowerCase();
+    value = value.toLowerCase();
+  }
+
+  let p = 0;
+  let v = 0;
+  // Pattern position after the last `*`, and where in the value that `*` ends
+  let star = -1;
+  let starEnd = 0;
+
+  while (v < value.length) {
+    if (p < pattern.length && pattern[p] === '*') {
+      star = ++p;
+      starEnd = v;
+    } else if (p < pattern.length && (pattern[p] === '?' || pattern[p] === value[v])) {
+      p++;
+      v++;
+    } else if (star !== -1) {
+      p = star;
+      v = ++starEnd;
+    } else {
+      return false;
+    }
+  }
+
+  while (p < pattern.length && pattern[p] === '*') {
+    p++;
+  }
+  return p === pattern.length;
+}
@@ -0,0 +1,76 @@
+import { v4 as uuidv4 } from 'uuid';
+import { toXml, S3_XMLNS } from './xml.js';
+
+/**
+ * Whether the client opted into JSON responses via `Accept: application/json`
+ * XML is the default so S3 SDKs get spec-compliant documents
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if JSON should be returned
+ */
+export function wantsJson(req) {
+  return req.accepts(['application/xml', 'application/json']) === 'application/json';
+}
+
+/**
+ * Send an S3 result document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} rootName - Root element of the XML document (e.g. ListBucketResult)
+ * @param {Object} body - JSON-shaped response body
+ * @param {Object} xmlBody - XML-shaped body when it differs from the JSON shape
+ * @param {number} status - HTTP status code
+ */
+export function sendS3Result(req, res, rootName, body, xmlBody = body, status = 200) {
+  if (!res.get('x-amz-request-id')) {
+    res.set('x-amz-request-id', uuidv4());
+  }
+
+  if (wantsJson(req)) {
+    return res.status(status).json(body);
+  }
+
+  res.set('Content-Type', 'application/xml');
+  return res.status(status).send(toXml(rootName, xmlBody, { xmlns: S3_XMLNS }));
+}
+
+/**
+ * Send an S3 error document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} code - S3 error code (e.g. NoSuchKey)
+ * @param {string} message - Human readable message
+ * @param {string} details - Extra detail, only included in JSON responses
+ */
+export function sendS3Error(req, res, status, code, message, details) {
+  const requestId = res.get('x-amz-request-id') || uuidv4();
+  res.set('x-amz-request-id', requestId);
+
+  if (wantsJson(req)) {
+    return res.status(status).json({
+      error: code,
+      message,
+      details
+    });
+  }
+
+  const resource = (req.originalUrl || req.url || '').split('?')[0];
+  res.set('Content-Type', 'application/xml');
+  return res.status(status).send(toXml('Error', {
+    Code: code,
+    Message: message,
+    Resource: resource,
+    RequestId: requestId
+  }));
+}
+
+/**
+ * URL of an object as served by this API
+ * @param {Object} req - Express request object
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @returns {string} URL
+ */
+export function objectLocation(req, bucket, key) {
+  return `${req.protocol}://${req.host}/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
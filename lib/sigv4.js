@@ -0,0 +1,583 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+export const ALGORITHM = 'AWS4-HMAC-SHA256';
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+export const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+export const DEFAULT_REGION = 'us-east-1';
+
+const STREAMING_SIGNED = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+const STREAMING_SIGNED_TRAILER = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD-TRAILER';
+const STREAMING_UNSIGNED_TRAILER = 'STREAMING-UNSIGNED-PAYLOAD-TRAILER';
+const STREAMING_PAYLOADS = [STREAMING_SIGNED, STREAMING_SIGNED_TRAILER, STREAMING_UNSIGNED_TRAILER];
+
+const AMZ_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+export const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60;
+const MAX_CHUNK_HEADER_LENGTH = 4096;
+
+/**
+ * Authentication failure carrying the S3 error code and HTTP status
+ */
+export class SigV4Error extends Error {
+  constructor(code, message, status = 403) {
+    super(message);
+    this.name = 'SigV4Error';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Check whether a request carries SigV4 credentials (header or query string)
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request is SigV4 signed
+ */
+export function isSigV4Request(req) {
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith(`${ALGORITHM} `) || 'X-Amz-Algorithm' in req.query;
+}
+
+/**
+ * Verify a SigV4 signed request
+ * @param {Object} req - Express request object
+ * @param {Object} options - Verification options
+ * @param {Function} options.lookupSecret - Async function resolving an access key id to its secret
+ * @param {number} options.maxClockSkew - Allowed clock skew in seconds
+ * @returns {Promise<Object>} Verified authentication context
+ */
+export async function verifyRequest(req, { lookupSecret, maxClockSkew = 900 }) {
+  const presigned = 'X-Amz-Algorithm' in req.query;
+  const parsed = presigned ? parsePresignedQuery(req.query) : parseAuthorizationHeader(req.get('Authorization'));
+
+  const amzDate = presigned ? req.query['X-Amz-Date'] : req.get('x-amz-date');
+  const requestTime = parseAmzDate(amzDate);
+  if (!requestTime) {
+    throw new SigV4Error('AccessDenied', `AWS authentication requires a valid ${presigned ? 'X-Amz-Date parameter' : 'x-amz-date header'}`);
+  }
+
+  if (parsed.credential.date !== amzDate.slice(0, 8)) {
+    throw new SigV4Error(
+      presigned ? 'AuthorizationQueryParametersError' : 'AuthorizationHeaderMalformed',
+      `Invalid credential date "${parsed.credential.date}". This date is not the same as X-Amz-Date: "${amzDate.slice(0, 8)}".`,
+      400
+    );
+  }
+
+  const now = Date.now();
+  if (presigned) {
+    if (requestTime.getTime() - now > maxClockSkew * 1000) {
+      throw new SigV4Error('AccessDenied', 'Request is not valid yet');
+    }
+    if (requestTime.getTime() + parsed.expires * 1000 < now) {
+      throw new SigV4Error('AccessDenied', 'Request has expired');
+    }
+  } else if (Math.abs(now - requestTime.getTime()) > maxClockSkew * 1000) {
+    throw new SigV4Error('RequestTimeTooSkewed', 'The difference between the request time and the current time is too large.');
+  }
+
+  if (!parsed.signedHeaders.includes('host')) {
+    throw new SigV4Error('AccessDenied', 'The host header must be signed');
+  }
+
+  const secretAccessKey = await lookupSecret(parsed.credential.accessKeyId);
+  if (!secretAccessKey) {
+    throw new SigV4Error('InvalidAccessKeyId', 'The AWS Access Key Id you provided does not exist in our records.');
+  }
+
+  const payloadHash = req.get('x-amz-content-sha256') || (presigned ? UNSIGNED_PAYLOAD : null);
+  if (!payloadHash) {
+    throw new SigV4Error('InvalidRequest', 'Missing required header for this request: x-amz-content-sha256', 400);
+  }
+  if (payloadHash !== UNSIGNED_PAYLOAD && !STREAMING_PAYLOADS.includes(payloadHash) && !/^[0-9a-f]{64}$/.test(payloadHash)) {
+    throw new SigV4Error('InvalidArgument', 'x-amz-content-sha256 must be UNSIGNED-PAYLOAD, a streaming payload type or a valid sha256 value.', 400);
+  }
+
+  const canonicalRequest = buildCanonicalRequest({
+    method: req.method,
+    url: req.originalUrl,
+    headers: req.headers,
+    signedHeaders: parsed.signedHeaders,
+    payloadHash,
+    excludeQuery: presigned ? ['X-Amz-Signature'] : []
+  });
+
+  const scope = `${parsed.credential.date}/${parsed.credential.region}/${parsed.credential.service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = deriveSigningKey(secretAccessKey, parsed.credential.date, parsed.credential.region, parsed.credential.service);
+  const expected = hmac(signingKey, stringToSign).toString('hex');
+
+  if (!safeEqual(expected, parsed.signature)) {
+    throw new SigV4Error('SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided. Check your key and signing method.');
+  }
+
+  return {
+    accessKeyId: parsed.credential.accessKeyId,
+    region: parsed.credential.region,
+    presigned,
+    amzDate,
+    scope,
+    signature: parsed.signature,
+    signingKey,
+    payloadHash,
+    streaming: STREAMING_PAYLOADS.includes(payloadHash)
+  };
+}
+
+/**
+ * Verify the signature of a browser form upload (POST /{bucket})
+ * The form carries the credential in x-amz-credential and x-amz-date, and x-amz-signature
+ * signs the base64 policy field rather than a canonical request. Whether the policy has
+ * expired and its conditions hold is checked separately (see lib/postPolicy.js)
+ * @param {Object} fields - Form fields, with lowercase names
+ * @param {Object} options - Verification options
+ * @param {Function} options.lookupSecret - Async function resolving an access key id to its secret
+ * @returns {Promise<Object>} `{ accessKeyId, region }` of the verified credential
+ */
+export async function verifyPostPolicySignature(fields, { lookupSecret }) {
+  const missing = ['x-amz-algorithm', 'x-amz-credential', 'x-amz-date', 'x-amz-signature']
+    .filter(name => typeof fields[name] !== 'string');
+  if (missing.length > 0) {
+    throw new SigV4Error('InvalidArgument', `Bucket POST must contain a field named '${missing[0]}'.  If it is specified, please check the order of the fields.`, 400);
+  }
+  if (fields['x-amz-algorithm'] !== ALGORITHM) {
+    throw new SigV4Error('InvalidArgument', `X-Amz-Algorithm only supports "${ALGORITHM}"`, 400);
+  }
+
+  const credential = parseCredential(fields['x-amz-credential'], 'InvalidArgument');
+  const amzDate = fields['x-amz-date'];
+  if (!parseAmzDate(amzDate) || credential.date !== amzDate.slice(0, 8)) {
+    throw new SigV4Error('InvalidArgument', 'x-amz-date must be a valid timestamp on the date of x-amz-credential', 400);
+  }
+
+  const secretAccessKey = await lookupSecret(credential.accessKeyId);
+  if (!secretAccessKey) {
+    throw new SigV4Error('InvalidAccessKeyId', 'The AWS Access Key Id you provided does not exist in our records.');
+  }
+
+  const signingKey = deriveSigningKey(secretAccessKey, credential.date, credential.region, credential.service);
+  if (!safeEqual(signPostPolicy(fields.policy, signingKey), fields['x-amz-signature'])) {
+    throw new SigV4Error('SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided. Check your key and signing method.');
+  }
+
+  return { accessKeyId: credential.accessKeyId, region: credential.region };
+}
+
+/**
+ * Describe the payload of a SigV4 request without verifying its signature
+ * Used when authentication is disabled so aws-chunked bodies can still be decoded
+ * @param {Object} req - Express request object
+ * @returns {Object} Unverified authentication context
+ */
+export function inspectRequest(req) {
+  const payloadHash = req.get('x-amz-content-sha256') || UNSIGNED_PAYLOAD;
+  return {
+    accessKeyId: null,
+    payloadHash,
+    streaming: STREAMING_PAYLOADS.includes(payloadHash)
+  };
+}
+
+/**
+ * Parse an `Authorization: AWS4-HMAC-SHA256 ...` header
+ * @param {string} header - Authorization header value
+ * @returns {Object} Parsed credential, signed headers and signature
+ */
+function parseAuthorizationHeader(header) {
+  const fields = {};
+  header.slice(ALGORITHM.length).split(',').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      fields[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+
+  if (!fields.Credential || !fields.SignedHeaders || !fields.Signature) {
+    throw new SigV4Error('AuthorizationHeaderMalformed', 'The authorization header is malformed; it must contain Credential, SignedHeaders and Signature.', 400);
+  }
+
+  return {
+    credential: parseCredential(fields.Credential, 'AuthorizationHeaderMalformed'),
+    signedHeaders: fields.SignedHeaders.toLowerCase().split(';'),
+    signature: fields.Signature
+  };
+}
+
+/**
+ * Parse the X-Amz-* query parameters of a presigned URL
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Parsed credential, signed headers, signature and expiry
+ */
+function parsePresignedQuery(query) {
+  const required = ['X-Amz-Credential', 'X-Amz-Date', 'X-Amz-Expires', 'X-Amz-SignedHeaders', 'X-Amz-Signature'];
+  const missing = required.filter(name => typeof query[name] !== 'string');
+  if (missing.length > 0) {
+    throw new SigV4Error('AuthorizationQueryParametersError', `Query-string authentication version 4 requires the ${missing.join(', ')} parameters.`, 400);
+  }
+  if (query['X-Amz-Algorithm'] !== ALGORITHM) {
+    throw new SigV4Error('AuthorizationQueryParametersError', `X-Amz-Algorithm only supports "${ALGORITHM}"`, 400);
+  }
+
+  const expires = Number(query['X-Amz-Expires']);
+  if (!Number.isInteger(expires) || expires < 1 || expires > MAX_PRESIGN_EXPIRES) {
+    throw new SigV4Error('AuthorizationQueryParametersError', `X-Amz-Expires must be between 1 and ${MAX_PRESIGN_EXPIRES} seconds`, 400);
+  }
+
+  return {
+    credential: parseCredential(query['X-Amz-Credential'], 'AuthorizationQueryParametersError'),
+    signedHeaders: query['X-Amz-SignedHeaders'].toLowerCase().split(';'),
+    signature: query['X-Amz-Signature'],
+    expires
+  };
+}
+
+/**
+ * Parse a credential scope string `AKID/date/region/service/aws4_request`
+ * @param {string} value - Credential value
+ * @param {string} errorCode - S3 error code to raise when malformed
+ * @returns {Object} Credential parts
+ */
+function parseCredential(value, errorCode) {
+  const parts = value.split('/');
+  if (parts.length !== 5 || parts[4] !== 'aws4_request' || !/^\d{8}$/.test(parts[1])) {
+    throw new SigV4Error(errorCode, `Error parsing the X-Amz-Credential parameter; the Credential is mal-formed; expecting "<YOUR-AKID>/YYYYMMDD/REGION/SERVICE/aws4_request".`, 400);
+  }
+  const [accessKeyId, date, region, service] = parts;
+  return { accessKeyId, date, region, service };
+}
+
+/**
+ * Parse an ISO8601 basic timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {string} value - Timestamp
+ * @returns {Date|null} Parsed date or null when invalid
+ */
+function parseAmzDate(value) {
+  const match = AMZ_DATE_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build the SigV4 canonical request string
+ * @param {Object} params - Request components
+ * @returns {string} Canonical request
+ */
+export function buildCanonicalRequest({ method, url, headers, signedHeaders, payloadHash, excludeQuery = [] }) {
+  const queryIndex = url.indexOf('?');
+  const rawPath = queryIndex === -1 ? url : url.slice(0, queryIndex);
+  const rawQuery = queryIndex === -1 ? '' : url.slice(queryIndex + 1);
+
+  const canonicalUri = rawPath
+    .split('/')
+    .map(segment => uriEncode(safeDecode(segment)))
+    .join('/') || '/';
+
+  const canonicalQuery = rawQuery
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      const name = safeDecode(index === -1 ? pair : pair.slice(0, index));
+      const value = index === -1 ? '' : safeDecode(pair.slice(index + 1));
+      return [name, value];
+    })
+    .filter(([name]) => !excludeQuery.includes(name))
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort((a, b) => (a[0] === b[0] ? compare(a[1], b[1]) : compare(a[0], b[0])))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalHeaders = signedHeaders
+    .map(name => {
+      const value = headers[name];
+      const joined = Array.isArray(value) ? value.join(',') : (value ?? '');
+      return `${name}:${String(joined).trim().replace(/\s+/g, ' ')}\n`;
+    })
+    .join('');
+
+  return [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+}
+
+/**
+ * Create a presigned URL, which lets whoever holds it make one kind of request without the
+ * secret until it expires. Only the host header is signed, so clients may send any others
+ * @param {Object} params
+ * @param {string} params.method - HTTP method the URL is for
+ * @param {string} params.url - Absolute URL of the resource, with the key URI-encoded
+ * @param {string} params.accessKeyId - Access key the request acts as
+ * @param {string} params.secretAccessKey - Its secret
+ * @param {number} params.expires - Seconds the URL stays valid, at most MAX_PRESIGN_EXPIRES
+ * @param {string} [params.region] - Scope region
+ * @param {Date} [params.date] - Signing time; defaults to now
+ * @returns {string} Presigned URL
+ */
+export function presignUrl({ method, url, accessKeyId, secretAccessKey, expires, region = DEFAULT_REGION, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = formatAmzDate(date);
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  target.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  target.searchParams.set('X-Amz-Credential', `${accessKeyId}/${scope}`);
+  target.searchParams.set('X-Amz-Date', amzDate);
+  target.searchParams.set('X-Amz-Expires', String(expires));
+  target.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const canonicalRequest = buildCanonicalRequest({
+    method,
+    url: `${target.pathname}${target.search}`,
+    headers: { host: target.host },
+    signedHeaders: ['host'],
+    payloadHash: UNSIGNED_PAYLOAD
+  });
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = deriveSigningKey(secretAccessKey, amzDate.slice(0, 8), region, 's3');
+
+  target.searchParams.set('X-Amz-Signature', hmac(signingKey, stringToSign).toString('hex'));
+  return target.toString();
+}
+
+/**
+ * Sign the base64 policy of a browser form upload
+ * @param {string} encodedPolicy - Base64 policy document, as sent in the policy field
+ * @param {Buffer} signingKey - Signing key (see deriveSigningKey)
+ * @returns {string} Hex signature for the x-amz-signature field
+ */
+export function signPostPolicy(encodedPolicy, signingKey) {
+  return hmac(signingKey, encodedPolicy).toString('hex');
+}
+
+/**
+ * Format a date as an ISO8601 basic timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+export function formatAmzDate(date) {
+  return date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+/**
+ * Derive the SigV4 signing key for a credential scope
+ * @param {string} secretAccessKey - Secret access key
+ * @param {string} date - Scope date (YYYYMMDD)
+ * @param {string} region - Scope region
+ * @param {string} service - Scope service
+ * @returns {Buffer} Signing key
+ */
+export function deriveSigningKey(secretAccessKey, date, region, service) {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+}
+
+/**
+ * Create a stream that decodes an `aws-chunked` request body,
+ * verifying chunk and trailer signatures for signed streaming payloads
+ * @param {Object} auth - Authentication context from verifyRequest
+ * @returns {Transform} Decoding stream emitting the raw object bytes
+ */
+export function createChunkDecoder(auth) {
+  return new AwsChunkedDecoder(auth);
+}
+
+class AwsChunkedDecoder extends Transform {
+  constructor(auth) {
+    super();
+    // Without a signing key (authentication disabled) the framing is decoded but not verified
+    this.signed = Boolean(auth.signingKey) &&
+      (auth.payloadHash === STREAMING_SIGNED || auth.payloadHash === STREAMING_SIGNED_TRAILER);
+    this.expectTrailer = auth.payloadHash === STREAMING_SIGNED_TRAILER || auth.payloadHash === STREAMING_UNSIGNED_TRAILER;
+    this.signingKey = auth.signingKey;
+    this.amzDate = auth.amzDate;
+    this.scope = auth.scope;
+    this.previousSignature = auth.signature;
+    this.state = 'header';
+    this.pending = Buffer.alloc(0);
+    this.remaining = 0;
+    this.chunkSignature = null;
+    this.chunkHash = null;
+    this.trailerLines = [];
+    this.trailers = {};
+  }
+
+  _transform(data, encoding, callback) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, data]) : data;
+    try {
+      this.drain();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    if (this.state !== 'done' && this.state !== 'final') {
+      return callback(new SigV4Error('IncompleteBody', 'The request body terminated unexpectedly', 400));
+    }
+    callback();
+  }
+
+  drain() {
+    while (this.pending.length > 0 && this.state !== 'done') {
+      if (this.state === 'data') {
+        const slice = this.pending.subarray(0, this.remaining);
+        this.pending = this.pending.subarray(slice.length);
+        this.remaining -= slice.length;
+        this.chunkHash?.update(slice);
+        this.push(slice);
+        if (this.remaining === 0) {
+          this.state = 'data-end';
+        }
+        continue;
+      }
+
+      const lineEnd = this.pending.indexOf('\r\n');
+      if (lineEnd === -1) {
+        if (this.pending.length > MAX_CHUNK_HEADER_LENGTH) {
+          throw new SigV4Error('IncompleteBody', 'Malformed aws-chunked encoding', 400);
+        }
+        return;
+      }
+      const line = this.pending.subarray(0, lineEnd).toString('latin1');
+      this.pending = this.pending.subarray(lineEnd + 2);
+
+      if (this.state === 'header') {
+        this.startChunk(line);
+      } else if (this.state === 'data-end') {
+        if (line !== '') {
+          throw new SigV4Error('IncompleteBody', 'Malformed aws-chunked encoding', 400);
+        }
+        this.verifyChunk();
+        this.state = 'header';
+      } else if (this.state === 'trailer') {
+        if (line === '') {
+          this.verifyTrailer();
+          this.state = 'done';
+        } else {
+          this.trailerLines.push(line);
+        }
+      } else if (this.state === 'final') {
+        this.state = 'done';
+      }
+    }
+  }
+
+  startChunk(line) {
+    const [sizeField, ...extensions] = line.split(';');
+    const size = parseInt(sizeField, 16);
+    if (!/^[0-9a-fA-F]+$/.test(sizeField) || Number.isNaN(size)) {
+      throw new SigV4Error('IncompleteBody', 'Malformed aws-chunked encoding', 400);
+    }
+
+    const signatureField = extensions.find(ext => ext.startsWith('chunk-signature='));
+    this.chunkSignature = signatureField ? signatureField.slice('chunk-signature='.length) : null;
+    if (this.signed && !this.chunkSignature) {
+      throw new SigV4Error('SignatureDoesNotMatch', 'Missing chunk signature in signed streaming payload');
+    }
+    this.chunkHash = this.signed ? crypto.createHash('sha256') : null;
+
+    if (size === 0) {
+      this.verifyChunk();
+      this.state = this.expectTrailer ? 'trailer' : 'final';
+      return;
+    }
+    this.remaining = size;
+    this.state = 'data';
+  }
+
+  verifyChunk() {
+    if (!this.signed) {
+      return;
+    }
+    const stringToSign = [
+      'AWS4-HMAC-SHA256-PAYLOAD',
+      this.amzDate,
+      this.scope,
+      this.previousSignature,
+      EMPTY_SHA256,
+      this.chunkHash.digest('hex')
+    ].join('\n');
+    const expected = hmac(this.signingKey, stringToSign).toString('hex');
+    if (!safeEqual(expected, this.chunkSignature)) {
+      throw new SigV4Error('SignatureDoesNotMatch', 'The chunk signature we calculated does not match the signature you provided.');
+    }
+    this.previousSignature = expected;
+  }
+
+  verifyTrailer() {
+    let trailerSignature = null;
+    const signedLines = [];
+    for (const line of this.trailerLines) {
+      const index = line.indexOf(':');
+      const name = line.slice(0, index).trim().toLowerCase();
+      const value = line.slice(index + 1).trim();
+      if (name === 'x-amz-trailer-signature') {
+        trailerSignature = value;
+      } else {
+        this.trailers[name] = value;
+        signedLines.push(`${name}:${value}\n`);
+      }
+    }
+
+    if (!this.signed) {
+      return;
+    }
+    const stringToSign = [
+      'AWS4-HMAC-SHA256-TRAILER',
+      this.amzDate,
+      this.scope,
+      this.previousSignature,
+      sha256Hex(signedLines.join(''))
+    ].join('\n');
+    const expected = hmac(this.signingKey, stringToSign).toString('hex');
+    if (!trailerSignature || !safeEqual(expected, trailerSignature)) {
+      throw new SigV4Error('SignatureDoesNotMatch', 'The trailer signature we calculated does not match the signature you provided.');
+    }
+  }
+}
+
+/**
+ * URI-encode a string per the SigV4 rules (RFC 3986 unreserved set)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+export function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+function safeEqual(expected, provided) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(provided || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,196 @@
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import {
+  storeObjectMapping,
+  createPendingUpload,
+  listDuePendingUploads,
+  recordPendingUploadFailure,
+  completePendingUpload,
+  getPendingUploadStats
+} from './database.js';
+import { uploadFileToIrys } from './irysClient.js';
+import { prewarmCache } from './contentCache.js';
+import { moveFile } from './multipart.js';
+
+const PENDING_PREFIX = 'pending:';
+
+let workerTimer = null;
+let draining = null;
+
+// Counters since startup
+const counters = {
+  uploaded: 0,
+  failedAttempts: 0,
+  abandoned: 0
+};
+
+/**
+ * Whether an irys_id is the placeholder of an upload still in the queue
+ * @param {string} irysId - Irys transaction ID from an object record
+ * @returns {boolean} True if the upload is pending
+ */
+export function isPendingUpload(irysId) {
+  return typeof irysId === 'string' && irysId.startsWith(PENDING_PREFIX);
+}
+
+function spoolPath(id) {
+  return path.join(config.uploadQueue.spoolDir, id);
+}
+
+/**
+ * Accept an object for asynchronous upload: move its body into the spool, store the object
+ * mapping with a placeholder irys_id, then queue it for the upload worker
+ * The job is queued last so the worker never sees it before the mapping it has to update
+ * @param {Object} upload - Upload to queue
+ * @param {string} upload.bucket - Bucket name
+ * @param {string} upload.key - Object key
+ * @param {string} upload.filePath - Temp file holding the body; it is moved into the spool
+ * @param {number} upload.size - Size in bytes
+ * @param {string} upload.contentType - MIME type
+ * @param {Object} upload.metadata - User metadata
+ * @param {Object} [upload.tagging] - Object tags
+ * @param {Array} upload.tags - Irys tags besides Content-Type
+ * @param {string} upload.etag - Quoted MD5 ETag
+ * @param {Object|null} upload.checksum - Additional checksum `{ algorithm, value }`, if any
+ * @returns {Promise<Object>} Object record
+ */
+export async function enqueueUpload({ bucket, key, filePath, size, contentType, metadata, tagging, tags, etag, checksum }) {
+  try {
+    const id = uuidv4();
+    await fs.mkdir(config.uploadQueue.spoolDir, { recursive: true });
+    await moveFile(filePath, spoolPath(id));
+
+    const objectRecord = await storeObjectMapping(bucket, key, { id: `${PENDING_PREFIX}${id}` }, contentType, size, metadata, { etag, checksum, tagging });
+    await createPendingUpload({ id, bucket, key, spoolPath: spoolPath(id), contentType, size, tags });
+    console.log(`Queued ${bucket}/${key} for upload to Irys (${size} bytes): ${id}`);
+
+    return objectRecord;
+  } catch (error) {
+    console.error('Error queueing upload:', error);
+    throw new Error('Failed to queue upload');
+  }
+}
+
+/**
+ * Open the spooled body of a pending upload
+ * @param {string} irysId - Placeholder irys_id of the object
+ * @param {Object|null} range - Optional inclusive byte range `{ start, end }`
+ * @returns {Promise<Readable|null>} Stream, or null if the spool file is gone
+ */
+export async function openSpooledObject(irysId, range = null) {
+  const filePath = spoolPath(irysId.slice(PENDING_PREFIX.length));
+  try {
+    const handle = await fs.open(filePath, 'r');
+    return createReadStream(null, { fd: handle, ...(range ? { start: range.start, end: range.end } : {}) });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, capped at the maximum delay
+ * @param {number} attempts - Attempts made so far, including the one that just failed
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  const { retryBaseDelaySeconds, retryMaxDelaySeconds } = config.uploadQueue;
+  const delay = Math.min(retryBaseDelaySeconds * 2 ** (attempts - 1), retryMaxDelaySeconds);
+  return delay * 1000 * (0.5 + Math.random() / 2);
+}
+
+/**
+ * Upload one queued body to Irys, then point its objects at the transaction
+ * @param {Object} upload - Pending upload record
+ */
+async function processUpload(upload) {
+  try {
+    const receipt = await uploadFileToIrys(upload.spool_path, upload.size, upload.content_type, upload.tags, { bucket: upload.bucket });
+    await prewarmCache(receipt.id, upload.spool_path, upload.size);
+    await completePendingUpload(upload.id, receipt.id);
+    await fs.rm(upload.spool_path, { force: true });
+
+    counters.uploaded++;
+    console.log(`Uploaded queued ${upload.bucket}/${upload.key} to Irys: ${receipt.id}`);
+  } catch (error) {
+    counters.failedAttempts++;
+    const attempts = upload.attempts + 1;
+
+    if (attempts >= config.uploadQueue.maxAttempts) {
+      counters.abandoned++;
+      console.error(`Giving up on queued upload ${upload.id} (${upload.bucket}/${upload.key}) after ${attempts} attempts:`, error.message);
+      await recordPendingUploadFailure(upload.id, error.message, null);
+      return;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+    console.warn(`Queued upload ${upload.id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}:`, error.message);
+    await recordPendingUploadFailure(upload.id, error.message, nextAttemptAt);
+  }
+}
+
+/**
+ * Upload every queued body that is due, one at a time
+ * @returns {Promise<number>} Number of uploads attempted
+ */
+export async function drainUploadQueue() {
+  if (draining) {
+    return draining;
+  }
+
+  draining = (async () => {
+    let attempted = 0;
+    let due = await listDuePendingUploads();
+    while (due.length) {
+      for (const upload of due) {
+        await processUpload(upload);
+        attempted++;
+      }
+      due = await listDuePendingUploads();
+    }
+    return attempted;
+  })();
+
+  try {
+    return await draining;
+  } finally {
+    draining = null;
+  }
+}
+
+/**
+ * Get queue depth and failure counts
+ * @returns {Promise<Object>} Queue statistics
+ */
+export async function getUploadQueueStats() {
+  return {
+    enabled: config.uploadQueue.enabled,
+    ...await getPendingUploadStats(),
+    ...counters
+  };
+}
+
+/**
+ * Start the background upload worker
+ * Runs whenever there are queued uploads, including ones left over from a previous run,
+ * even if the asynchronous mode has since been switched off
+ */
+export function startUploadWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  const run = () => {
+    drainUploadQueue().catch(error => {
+      console.error('Error draining upload queue:', error);
+    });
+  };
+
+  run();
+  workerTimer = setInterval(run, config.uploadQueue.pollIntervalSeconds * 1000);
+  workerTimer.unref();
+}
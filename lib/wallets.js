@@ -0,0 +1,136 @@
+import { readFileSync } from 'fs';
+import config from '../config/config.js';
+
+export const DEFAULT_WALLET = 'default';
+
+let wallets = null;
+let bucketWallets = null;
+
+/**
+ * Read a wallet key from the environment
+ * Arweave keys are JWKs and may be given inline as JSON or as a path to a keyfile
+ * @param {string} token - Token the wallet pays with
+ * @param {string} value - Raw key value
+ * @returns {string|Object} Private key
+ */
+function parseKey(token, value) {
+  if (token !== 'arweave' || !value) {
+    return value;
+  }
+  return JSON.parse(value.trim().startsWith('{') ? value : readFileSync(value, 'utf8'));
+}
+
+/**
+ * Load the configured wallets
+ * The default wallet uses PRIVATE_KEY and IRYS_TOKEN. IRYS_WALLETS adds named wallets as a
+ * comma-separated list of `name:token` pairs, each with its key in IRYS_WALLET_<NAME>_KEY
+ * and an optional RPC endpoint in IRYS_WALLET_<NAME>_PROVIDER_URL. A wallet's auto-funding cap
+ * is AUTO_FUND_DAILY_CAP for the default wallet and IRYS_WALLET_<NAME>_DAILY_CAP for the others
+ * @returns {Map<string, Object>} Wallet name to `{ name, token, key, providerUrl, dailyCap }` map
+ */
+function loadWallets() {
+  if (wallets) {
+    return wallets;
+  }
+
+  wallets = new Map();
+  wallets.set(DEFAULT_WALLET, {
+    name: DEFAULT_WALLET,
+    token: config.irys.token,
+    key: parseKey(config.irys.token, config.irys.privateKey),
+    providerUrl: config.irys.providerUrl,
+    dailyCap: config.funding.dailyCap || null
+  });
+
+  (config.irys.wallets || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [name, token] = entry.split(':').map(part => part.trim());
+      if (!name || !token) {
+        console.warn('Ignoring malformed IRYS_WALLETS entry (expected name:token)');
+        return;
+      }
+
+      const envName = `IRYS_WALLET_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+      wallets.set(name, {
+        name,
+        token: token.toLowerCase(),
+        key: parseKey(token.toLowerCase(), process.env[`${envName}_KEY`]),
+        providerUrl: process.env[`${envName}_PROVIDER_URL`],
+        dailyCap: process.env[`${envName}_DAILY_CAP`] || null
+      });
+    });
+
+  return wallets;
+}
+
+/**
+ * Load the bucket to wallet overrides
+ * IRYS_BUCKET_WALLETS is a comma-separated list of `bucket:wallet` pairs
+ * @returns {Map<string, string>} Bucket name to wallet name map
+ */
+function loadBucketWallets() {
+  if (bucketWallets) {
+    return bucketWallets;
+  }
+
+  bucketWallets = new Map();
+  (config.irys.bucketWallets || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [bucket, wallet] = entry.split(':').map(part => part.trim());
+      if (!bucket || !wallet) {
+        console.warn('Ignoring malformed IRYS_BUCKET_WALLETS entry (expected bucket:wallet)');
+        return;
+      }
+      bucketWallets.set(bucket, wallet);
+    });
+
+  return bucketWallets;
+}
+
+/**
+ * List the configured wallets, default first
+ * @returns {Array<Object>} Wallets
+ */
+export function listWallets() {
+  return [...loadWallets().values()];
+}
+
+/**
+ * Look up a wallet by name
+ * @param {string} name - Wallet name
+ * @returns {Object} Wallet
+ */
+export function getWallet(name = DEFAULT_WALLET) {
+  const wallet = loadWallets().get(name);
+  if (!wallet) {
+    throw new Error(`Unknown Irys wallet: ${name}`);
+  }
+  return wallet;
+}
+
+/**
+ * Resolve the wallet that pays for uploads to a bucket
+ * @param {string} [bucket] - Bucket name
+ * @returns {string} Wallet name
+ */
+export function getWalletForBucket(bucket) {
+  return (bucket && loadBucketWallets().get(bucket)) || DEFAULT_WALLET;
+}
+
+/**
+ * Check that every bucket override points at a configured wallet
+ * @throws {Error} If an override names an unknown wallet
+ */
+export function validateWalletConfig() {
+  for (const [bucket, wallet] of loadBucketWallets()) {
+    if (!loadWallets().has(wallet)) {
+      throw new Error(`Bucket ${bucket} is mapped to unknown Irys wallet ${wallet}`);
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+
+export const S3_XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  suppressEmptyNode: false,
+  suppressBooleanAttributes: false
+});
+
+/**
+ * Serialize an object to an XML document
+ * Arrays are emitted as repeated elements, null/undefined values are omitted
+ * @param {string} rootName - Root element name
+ * @param {Object} body - Element content
+ * @param {Object} options - Serialization options
+ * @param {string} options.xmlns - Namespace for the root element
+ * @returns {string} XML document
+ */
+export function toXml(rootName, body, { xmlns } = {}) {
+  const root = xmlns ? { '@_xmlns': xmlns, ...prune(body) } : prune(body);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build({ [rootName]: root })}`;
+}
+
+function prune(value) {
+  if (Array.isArray(value)) {
+    return value.map(prune);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined && value[key] !== null) {
+        result[key] = prune(value[key]);
+      }
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Parse an XML request body
+ * @param {string|Buffer} xml - XML document
+ * @param {Object} options - Parse options
+ * @param {Array<string>} options.arrays - Element names that are always parsed as arrays
+ * @returns {Object} Parsed document keyed by root element name
+ */
+export function parseXml(xml, { arrays = [] } = {}) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => arrays.includes(name)
+  });
+  return parser.parse(Buffer.isBuffer(xml) ? xml.toString('utf8') : xml);
+}
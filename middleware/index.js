@@ -1,14 +1,52 @@
+import crypto from 'crypto';
+import { createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { pipeline, Transform, Writable } from 'stream';
 import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
 import config from '../config/config.js';
+import { findPrincipal, hasRootCredentials, isAuthenticationRequired } from '../lib/credentials.js';
+import { isSigV4Request, inspectRequest, verifyRequest, createChunkDecoder, SigV4Error } from '../lib/sigv4.js';
+import { sendS3Error } from '../lib/s3Response.js';
+import { checkUploadFunds } from '../lib/irysClient.js';
+import { CHECKSUM_ALGORITHMS, createChecksum, readDeclaredChecksum } from '../lib/checksums.js';
 
-// Multer configuration for file uploads
-const storage = multer.memoryStorage();
+const MAX_BUFFERED_BODY_SIZE = 4 * 1024 * 1024;
 
-export const upload = multer({
-  storage,
+/**
+ * Multer storage engine that streams file parts to a temp file,
+ * computing size and hashes on the fly
+ */
+const tempFileStorage = {
+  _handleFile(req, file, cb) {
+    createTempFile()
+      .then(tempPath => {
+        const meter = createBodyMeter(Infinity);
+        pipeline(file.stream, meter, createWriteStream(tempPath), (err) => {
+          if (err) {
+            fs.rm(tempPath, { force: true }).catch(() => {});
+            return cb(err);
+          }
+          cb(null, { path: tempPath, ...meter.digest() });
+        });
+      })
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }).then(() => cb(null), cb);
+  }
+};
+
+// Multer configuration for file uploads
+const uploadOptions = {
+  storage: tempFileStorage,
   limits: {
     fileSize: parseSize(config.api.maxFileSize)
-  },
+  }
+};
+
+export const upload = multer({
+  ...uploadOptions,
   fileFilter: (req, file, cb) => {
     // Accept all file types for S3 compatibility
     cb(null, true);
@@ -41,73 +79,377 @@ function parseSize(size) {
 
 /**
  * Middleware to handle raw file uploads for PUT operations
+ * Streams the body to a temp file so memory use stays bounded regardless of object size,
+ * decoding aws-chunked bodies and verifying signed payload hashes, Content-MD5 and
+ * `x-amz-checksum-*` values along the way.
+ * Sets `req.upload` to `{ path, size, md5, sha256, checksum }`; the temp file is removed once the response closes.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
+ * @param {Object} [options]
+ * @param {Function} [options.acceptFile] - For multipart/form-data bodies, async function called
+ * with `(req, res, file)` once the fields before the file are parsed and before any of it is stored.
+ * It resolves true to accept the file, or responds itself and resolves false to refuse it
  */
-export function handleRawUpload(req, res, next) {
+export function handleRawUpload(req, res, next, { acceptFile } = {}) {
   // Check if content type suggests multipart data
   const contentType = req.get('Content-Type') || '';
-  
+  const expectedHash = getExpectedPayloadHash(req);
+
   if (contentType.includes('multipart/form-data')) {
+    const hash = expectedHash ? crypto.createHash('sha256') : null;
+    if (hash) {
+      req.on('data', (chunk) => hash.update(chunk));
+    }
+
     // Use multer for multipart uploads
-    upload.single('file')(req, res, next);
-  } else {
-    // Handle raw binary data
-    const chunks = [];
-    let totalSize = 0;
-    const maxSize = parseSize(config.api.maxFileSize);
-
-    req.on('data', (chunk) => {
-      totalSize += chunk.length;
-      
-      if (totalSize > maxSize) {
-        return res.status(413).json({
-          error: 'EntityTooLarge',
-          message: `File size exceeds maximum allowed size of ${config.api.maxFileSize}`
-        });
-      }
-      
-      chunks.push(chunk);
-    });
+    const formUpload = acceptFile
+      ? multer({
+        ...uploadOptions,
+        fileFilter: (req, file, cb) => {
+          acceptFile(req, res, file).then(accepted => cb(null, accepted), cb);
+        }
+      })
+      : upload;
 
-    req.on('end', () => {
-      req.body = Buffer.concat(chunks);
+    formUpload.single('file')(req, res, (err) => {
+      if (err) return next(err);
+      if (res.headersSent) {
+        // acceptFile refused the file and has responded
+        return;
+      }
+      if (req.file) {
+        removeOnClose(res, req.file.path);
+      }
+      if (hash && hash.digest('hex') !== expectedHash) {
+        return sendContentHashMismatch(req, res);
+      }
+      if (req.file) {
+        const { path: filePath, size, md5, sha256 } = req.file;
+        req.upload = { path: filePath, size, md5, sha256 };
+      }
       next();
     });
+    return;
+  }
 
-    req.on('error', (err) => {
-      console.error('Error reading request body:', err);
-      res.status(400).json({
-        error: 'BadRequest',
-        message: 'Error reading request body'
+  // Handle raw binary data
+  const maxSize = parseSize(config.api.maxFileSize);
+  if (declaredBodySize(req) > maxSize) {
+    return rejectBody(req, res, 413, 'EntityTooLarge', `File size exceeds maximum allowed size of ${config.api.maxFileSize}`);
+  }
+
+  createTempFile()
+    .then(tempPath => {
+      removeOnClose(res, tempPath);
+      consumeBody(req, res, maxSize, createWriteStream(tempPath), (result) => {
+        req.upload = { path: tempPath, ...result };
+        next();
       });
-    });
+    })
+    .catch(next);
+}
+
+/**
+ * Middleware to buffer small request bodies (XML or JSON documents) into `req.body`
+ * Applies the same aws-chunked decoding and payload hash checks as uploads
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export function bufferRequestBody(req, res, next) {
+  if (declaredBodySize(req) > MAX_BUFFERED_BODY_SIZE) {
+    return rejectBody(req, res, 400, 'MaxMessageLengthExceeded', 'Your request was too big.');
   }
+
+  const chunks = [];
+  const collector = new Writable({
+    write(chunk, encoding, cb) {
+      chunks.push(chunk);
+      cb();
+    }
+  });
+
+  consumeBody(req, res, MAX_BUFFERED_BODY_SIZE, collector, () => {
+    req.body = Buffer.concat(chunks);
+    next();
+  }, { code: 'MaxMessageLengthExceeded', status: 400, message: 'Your request was too big.' });
 }
 
 /**
- * API Key authentication middleware
+ * Middleware that rejects an upload the bucket's wallet cannot pay for, before the body is read
+ * Prices the declared body size against the current balance; bodies without a declared size
+ * are let through and fail at upload time if the balance runs out
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
  */
-export function authenticateApiKey(req, res, next) {
-  if (!config.api.apiKey) {
-    // No API key configured, skip authentication
+export async function requireUploadFunds(req, res, next) {
+  const size = declaredBodySize(req);
+  if (!size) {
     return next();
   }
 
+  const { sufficient, wallet, price, balance } = await checkUploadFunds(size, { bucket: req.params.bucket });
+  if (!sufficient) {
+    return rejectBody(req, res, 403, 'InsufficientFunds', `Uploading ${size} bytes costs ${price} atomic units, but wallet ${wallet} has a balance of ${balance}.`);
+  }
+  next();
+}
+
+/**
+ * Pipe the request body into a destination, decoding aws-chunked encoding and
+ * verifying the signed payload hash, Content-MD5 and any declared checksum.
+ * Responds with an S3 error on failure.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} maxSize - Maximum decoded body size in bytes
+ * @param {Writable} destination - Where the decoded body is written
+ * @param {Function} onComplete - Called with `{ size, md5, sha256, checksum }` once the body is verified;
+ * checksum is `{ algorithm, value }` when the client declared one, otherwise null
+ * @param {Object} tooLarge - Error reported when maxSize is exceeded
+ */
+function consumeBody(req, res, maxSize, destination, onComplete, tooLarge = {
+  status: 413,
+  code: 'EntityTooLarge',
+  message: `File size exceeds maximum allowed size of ${config.api.maxFileSize}`
+}) {
+  const expectedHash = getExpectedPayloadHash(req);
+  const contentMd5 = req.get('Content-MD5');
+  if (contentMd5 !== undefined && Buffer.from(contentMd5, 'base64').length !== 16) {
+    return rejectBody(req, res, 400, 'InvalidDigest', 'The Content-MD5 you specified was invalid.');
+  }
+
+  let declaredChecksum;
+  try {
+    declaredChecksum = readDeclaredChecksum(req.headers);
+  } catch (error) {
+    return rejectBody(req, res, 400, error.code, error.message);
+  }
+
+  const meter = createBodyMeter(maxSize, declaredChecksum?.algorithm);
+  const decoder = req.auth?.streaming ? createChunkDecoder(req.auth) : null;
+  const streams = decoder ? [decoder, meter, destination] : [meter, destination];
+
+  // The request is piped rather than part of the pipeline so it is not destroyed
+  // on a decoding error, which would prevent the error response from being sent
+  const head = streams[0];
+  req.on('error', (err) => head.destroy(err));
+  req.pipe(head);
+
+  pipeline(...streams, (err) => {
+    if (err) {
+      req.unpipe(head);
+      if (req.socket?.destroyed || res.headersSent) {
+        // Client went away; nothing to respond to
+        return;
+      }
+      req.resume();
+      if (err instanceof SigV4Error) {
+        return sendS3Error(req, res, err.status, err.code, err.message);
+      }
+      console.error('Error reading request body:', err);
+      return sendS3Error(req, res, 400, 'BadRequest', 'Error reading request body');
+    }
+
+    const result = meter.digest();
+    if (meter.exceeded) {
+      return sendS3Error(req, res, tooLarge.status, tooLarge.code, tooLarge.message);
+    }
+    if (expectedHash && result.sha256 !== expectedHash) {
+      return sendContentHashMismatch(req, res);
+    }
+    if (contentMd5 !== undefined && Buffer.from(result.md5, 'hex').toString('base64') !== contentMd5) {
+      return sendS3Error(req, res, 400, 'BadDigest', 'The Content-MD5 you specified did not match what we received.');
+    }
+
+    if (declaredChecksum) {
+      const { algorithm } = declaredChecksum;
+      const expected = declaredChecksum.trailer
+        ? decoder?.trailers[`x-amz-checksum-${algorithm}`]
+        : declaredChecksum.value;
+
+      if (declaredChecksum.trailer && !expected) {
+        return sendS3Error(req, res, 400, 'InvalidRequest', `The x-amz-checksum-${algorithm} trailer declared in x-amz-trailer was not sent.`);
+      }
+      if (expected && expected !== result.checksum.value) {
+        return sendS3Error(req, res, 400, 'BadDigest', `The ${CHECKSUM_ALGORITHMS[algorithm].name} you specified did not match the calculated checksum.`);
+      }
+    }
+    onComplete(result);
+  });
+}
+
+/**
+ * Create a pass-through stream that counts bytes and computes MD5, SHA-256 and
+ * optionally one additional checksum.
+ * Once maxSize is exceeded further data is discarded (but still drained) so an
+ * error response can be sent once the client finishes sending.
+ * @param {number} maxSize - Maximum number of bytes to pass through
+ * @param {string} [checksumAlgorithm] - Additional checksum to compute (see lib/checksums.js)
+ * @returns {Transform} Metering stream with `digest()` and `exceeded`
+ */
+function createBodyMeter(maxSize, checksumAlgorithm) {
+  const md5 = crypto.createHash('md5');
+  const sha256 = crypto.createHash('sha256');
+  const checksum = checksumAlgorithm ? createChecksum(checksumAlgorithm) : null;
+  let size = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, cb) {
+      size += chunk.length;
+      if (size > maxSize) {
+        meter.exceeded = true;
+        return cb();
+      }
+      md5.update(chunk);
+      sha256.update(chunk);
+      checksum?.update(chunk);
+      cb(null, chunk);
+    }
+  });
+
+  meter.exceeded = false;
+  meter.digest = () => ({
+    size,
+    md5: md5.digest('hex'),
+    sha256: sha256.digest('hex'),
+    checksum: checksum ? { algorithm: checksumAlgorithm, value: checksum.digest('base64') } : null
+  });
+
+  return meter;
+}
+
+/**
+ * Create a unique temp file path in the upload temp directory
+ * @returns {Promise<string>} Temp file path
+ */
+async function createTempFile() {
+  await fs.mkdir(config.api.uploadTempDir, { recursive: true });
+  return path.join(config.api.uploadTempDir, `${uuidv4()}.upload`);
+}
+
+function removeOnClose(res, filePath) {
+  res.on('close', () => {
+    fs.rm(filePath, { force: true }).catch(() => {});
+  });
+}
+
+function getExpectedPayloadHash(req) {
+  return req.auth && /^[0-9a-f]{64}$/.test(req.auth.payloadHash) ? req.auth.payloadHash : null;
+}
+
+/**
+ * Size the client declared for the (decoded) body, if any
+ * @param {Object} req - Express request object
+ * @returns {number} Declared size in bytes, or 0 if unknown
+ */
+function declaredBodySize(req) {
+  const declared = req.get('x-amz-decoded-content-length') || (req.auth?.streaming ? null : req.get('Content-Length'));
+  return parseInt(declared || '0', 10) || 0;
+}
+
+function rejectBody(req, res, status, code, message) {
+  // Drain the body so the error response can be delivered
+  req.resume();
+  return sendS3Error(req, res, status, code, message);
+}
+
+function sendContentHashMismatch(req, res) {
+  return sendS3Error(req, res, 400, 'XAmzContentSHA256Mismatch', 'The provided \'x-amz-content-sha256\' header does not match what was computed.');
+}
+
+/**
+ * Middleware that rejects a query string naming a parameter more than once
+ * Express turns a repeated parameter into an array, which the signature check, authorization
+ * and the handlers all expect to be a string
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export function rejectRepeatedQueryParameters(req, res, next) {
+  const repeated = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+  if (repeated) {
+    req.resume();
+    return sendS3Error(req, res, 400, 'InvalidArgument', `Query parameter ${repeated} was given more than once`);
+  }
+  return next();
+}
+
+/**
+ * Request authentication middleware
+ * Verifies AWS Signature Version 4 (Authorization header or presigned query string)
+ * and falls back to the legacy x-api-key check when API_KEY is configured.
+ * Sets `req.principal` to whom the request acts for, anonymous when it carries no credentials;
+ * whether it may do what it asks is decided by `authorize` (see lib/authorization.js)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export async function authenticateRequest(req, res, next) {
+  if (!await isAuthenticationRequired()) {
+    // No credentials configured, skip authentication
+    if (isSigV4Request(req)) {
+      req.auth = inspectRequest(req);
+    }
+    req.principal = { accessKeyId: null, name: 'anonymous', root: true, grants: [] };
+    return next();
+  }
+
+  if (isSigV4Request(req)) {
+    let principal = null;
+    try {
+      req.auth = await verifyRequest(req, {
+        lookupSecret: async (accessKeyId) => {
+          principal = await findPrincipal(accessKeyId);
+          return principal?.secretAccessKey || null;
+        },
+        maxClockSkew: config.auth.maxClockSkew
+      });
+      const { secretAccessKey, ...identity } = principal;
+      req.principal = identity;
+      return next();
+    } catch (error) {
+      if (error instanceof SigV4Error) {
+        return sendS3Error(req, res, error.status, error.code, error.message);
+      }
+      return next(error);
+    }
+  }
+
   const providedKey = req.get('x-api-key') || req.query.apiKey;
-  
-  if (!providedKey || providedKey !== config.api.apiKey) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Invalid or missing API key'
-    });
+  if (providedKey) {
+    if (config.api.apiKey && providedKey === config.api.apiKey) {
+      req.principal = { accessKeyId: null, name: 'api-key', root: true, grants: [] };
+      return next();
+    }
+    return sendS3Error(req, res, 403, 'AccessDenied', 'Access Denied');
   }
 
-  next();
+  // Requests without credentials are anonymous; only bucket policies can allow them anything
+  req.principal = { accessKeyId: null, name: 'anonymous', root: false, grants: [] };
+  return next();
+}
+
+/**
+ * Admin endpoint authentication middleware
+ * Admin endpoints move funds and issue access keys, so they are only served when root
+ * credentials (ACCESS_KEYS or API_KEY) are configured, and only to them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export function requireAdmin(req, res, next) {
+  if (!hasRootCredentials()) {
+    return sendS3Error(req, res, 403, 'AccessDenied', 'Admin endpoints require ACCESS_KEYS or API_KEY to be configured');
+  }
+  return authenticateRequest(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.principal.root) {
+      return sendS3Error(req, res, 403, 'AccessDenied', 'Admin endpoints require ACCESS_KEYS or API_KEY credentials');
+    }
+    next();
+  });
 }
 
 /**
@@ -123,19 +465,12 @@ export function errorHandler(err, req, res, next) {
   // Multer errors
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(413).json({
-        error: 'EntityTooLarge',
-        message: `File size exceeds maximum allowed size of ${config.api.maxFileSize}`
-      });
+      return sendS3Error(req, res, 413, 'EntityTooLarge', `File size exceeds maximum allowed size of ${config.api.maxFileSize}`);
     }
   }
 
   // Default error response
-  res.status(500).json({
-    error: 'InternalError',
-    message: 'An internal error occurred',
-    details: config.server.nodeEnv === 'development' ? err.message : undefined
-  });
+  sendS3Error(req, res, 500, 'InternalError', 'An internal error occurred', config.server.nodeEnv === 'development' ? err.message : undefined);
 }
 
 /**
@@ -165,6 +500,10 @@ export const corsOptions = {
     'Content-Type',
     'Authorization',
     'x-api-key',
+    'x-amz-date',
+    'x-amz-content-sha256',
+    'x-amz-decoded-content-length',
+    'x-amz-security-token',
     'x-amz-*',
     'ETag',
     'Last-Modified'
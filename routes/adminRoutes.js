@@ -0,0 +1,318 @@
+import express from 'express';
+import { fundAccount } from '../lib/irysClient.js';
+import { DEFAULT_WALLET, listWallets } from '../lib/wallets.js';
+import { verifyStoredReceipts } from '../lib/receiptVerifier.js';
+import { isReconciling, reconcileWithIrys } from '../lib/reconciler.js';
+import { findPrincipal, issueAccessKey, rotateAccessKey } from '../lib/credentials.js';
+import { normalizeGrants } from '../lib/authorization.js';
+import { presignUrl, MAX_PRESIGN_EXPIRES } from '../lib/sigv4.js';
+import { createPostPolicyFields, parsePostPolicy } from '../lib/postPolicy.js';
+import {
+  getAccessKey,
+  listAccessKeys,
+  updateAccessKeyGrants,
+  revokeAccessKey
+} from '../lib/database.js';
+import { requireAdmin } from '../middleware/index.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+router.use(express.json());
+
+/**
+ * Fund an Irys wallet
+ * Body: `{ "amount": "<atomic units>", "wallet": "<name>" }`; the wallet defaults to the default wallet
+ */
+router.post('/fund', async (req, res) => {
+  const { amount, wallet = DEFAULT_WALLET } = req.body || {};
+
+  if (!/^[1-9]\d*$/.test(String(amount ?? ''))) {
+    return res.status(400).json({ error: 'amount must be a positive integer in atomic units' });
+  }
+  if (!listWallets().some(({ name }) => name === wallet)) {
+    return res.status(400).json({ error: `Unknown wallet: ${wallet}` });
+  }
+
+  try {
+    const receipt = await fundAccount(String(amount), wallet);
+    res.status(200).json(receipt);
+  } catch (error) {
+    res.status(502).json({
+      error: 'Failed to fund account',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Re-verify every stored upload receipt
+ * Responds with the run summary and the object versions whose receipts are not valid
+ */
+router.post('/receipts/verify', async (req, res) => {
+  try {
+    res.status(200).json(await verifyStoredReceipts());
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to verify receipts',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Compare the object index with the transactions our wallets uploaded to Irys
+ * Body: `{ "apply": true, "bucket": "<name>" }`, both optional; with `apply`, objects that are
+ * newer on chain are restored. Responds with the drift report
+ */
+router.post('/reconcile', async (req, res) => {
+  const { apply = false, bucket } = req.body || {};
+
+  if (typeof apply !== 'boolean') {
+    return res.status(400).json({ error: 'apply must be a boolean' });
+  }
+  if (bucket !== undefined && (typeof bucket !== 'string' || !bucket)) {
+    return res.status(400).json({ error: 'bucket must be a bucket name' });
+  }
+  if (isReconciling()) {
+    return res.status(409).json({ error: 'A reconciliation is already running' });
+  }
+
+  try {
+    res.status(200).json(await reconcileWithIrys({ apply, bucket }));
+  } catch (error) {
+    res.status(502).json({
+      error: 'Failed to reconcile with Irys',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Format an access key record for a response; the secret is only included when given
+ * @param {Object} record - Access key record
+ * @param {string} [secretAccessKey] - Secret to include
+ * @returns {Object} Access key as JSON
+ */
+function formatAccessKey(record, secretAccessKey) {
+  return {
+    accessKeyId: record.access_key_id,
+    secretAccessKey,
+    name: record.name,
+    grants: record.grants,
+    status: record.status,
+    createdAt: record.created_at,
+    rotatedAt: record.rotated_at,
+    revokedAt: record.revoked_at
+  };
+}
+
+/**
+ * Validate the grants in a request body, responding with 400 when they are invalid
+ * @param {Object} res - Express response object
+ * @param {*} grants - Grants as received
+ * @returns {Array|null} Normalized grants, or null if a response was sent
+ */
+function readGrants(res, grants) {
+  try {
+    return normalizeGrants(grants);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+/**
+ * List the access keys issued through the admin API, without their secrets
+ */
+router.get('/access-keys', async (req, res) => {
+  try {
+    const records = await listAccessKeys();
+    res.status(200).json({ accessKeys: records.map(record => formatAccessKey(record)) });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to list access keys',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Issue an access key
+ * Body: `{ "name": "<who it is for>", "grants": [{ "bucket": "<name>", "prefix": "<key prefix>",
+ * "actions": ["s3:GetObject", ...] }] }`. The secret is only returned in this response
+ */
+router.post('/access-keys', async (req, res) => {
+  const { name, grants: requestedGrants } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'name must be a non-empty string' });
+  }
+  const grants = readGrants(res, requestedGrants);
+  if (!grants) {
+    return;
+  }
+
+  try {
+    const record = await issueAccessKey({ name: name.trim(), grants });
+    console.log(`Issued access key ${record.access_key_id} for ${record.name}`);
+    res.status(201).json(formatAccessKey(record, record.secret_access_key));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create access key',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Replace the grants of an access key
+ * Body: `{ "grants": [...] }`, as when issuing the key
+ */
+router.put('/access-keys/:accessKeyId/grants', async (req, res) => {
+  const { accessKeyId } = req.params;
+  const grants = readGrants(res, req.body?.grants);
+  if (!grants) {
+    return;
+  }
+
+  try {
+    if (!await updateAccessKeyGrants(accessKeyId, grants)) {
+      return res.status(404).json({ error: `No active access key ${accessKeyId}` });
+    }
+    res.status(200).json(formatAccessKey(await getAccessKey(accessKeyId)));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update access key grants',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Give an access key a new secret; the old secret stops working immediately
+ * Responds with the key, including the new secret
+ */
+router.post('/access-keys/:accessKeyId/rotate', async (req, res) => {
+  const { accessKeyId } = req.params;
+
+  try {
+    const secretAccessKey = await rotateAccessKey(accessKeyId);
+    if (!secretAccessKey) {
+      return res.status(404).json({ error: `No active access key ${accessKeyId}` });
+    }
+    console.log(`Rotated the secret of access key ${accessKeyId}`);
+    res.status(200).json(formatAccessKey(await getAccessKey(accessKeyId), secretAccessKey));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to rotate access key',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Revoke an access key; it is kept, marked revoked, so its id is never reissued
+ */
+router.delete('/access-keys/:accessKeyId', async (req, res) => {
+  const { accessKeyId } = req.params;
+
+  try {
+    if (!await revokeAccessKey(accessKeyId)) {
+      return res.status(404).json({ error: `No active access key ${accessKeyId}` });
+    }
+    console.log(`Revoked access key ${accessKeyId}`);
+    res.status(200).json(formatAccessKey(await getAccessKey(accessKeyId)));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to revoke access key',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Mint a presigned URL or browser upload form, so a client without credentials can make one
+ * request to one key until it expires
+ * Body: `{ "method": "GET" | "PUT" | "POST", "bucket": "<name>", "key": "<key>", "expiresIn": 3600,
+ * "accessKeyId": "<key to sign as>" }`; accessKeyId defaults to the caller's own, and the request
+ * gets that key's permissions. For POST, `key` may end in `${filename}`, and `fields` (extra
+ * form fields) and `conditions` (extra policy conditions such as
+ * `["content-length-range", 0, 1048576]`) may be given. Responds with `{ method, url, expiresAt }`,
+ * plus the form `fields` for POST
+ */
+router.post('/presign', async (req, res) => {
+  const {
+    method,
+    bucket,
+    key,
+    expiresIn = 3600,
+    accessKeyId = req.principal.accessKeyId,
+    fields = {},
+    conditions = []
+  } = req.body || {};
+
+  if (!['GET', 'PUT', 'POST'].includes(method)) {
+    return res.status(400).json({ error: 'method must be GET, PUT or POST' });
+  }
+  if (typeof bucket !== 'string' || !bucket || typeof key !== 'string' || !key) {
+    return res.status(400).json({ error: 'bucket and key are required' });
+  }
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_PRESIGN_EXPIRES) {
+    return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_PRESIGN_EXPIRES} seconds` });
+  }
+  if (!fields || typeof fields !== 'object' || Object.values(fields).some(value => typeof value !== 'string')) {
+    return res.status(400).json({ error: 'fields must map field names to strings' });
+  }
+  if (!Array.isArray(conditions)) {
+    return res.status(400).json({ error: 'conditions must be an array' });
+  }
+  if (!accessKeyId) {
+    return res.status(400).json({ error: 'accessKeyId is required when calling with the API key' });
+  }
+
+  try {
+    const principal = await findPrincipal(accessKeyId);
+    if (!principal) {
+      return res.status(400).json({ error: `No active access key ${accessKeyId}` });
+    }
+
+    const { secretAccessKey } = principal;
+    const bucketUrl = `${req.protocol}://${req.host}/${encodeURIComponent(bucket)}`;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+    if (method !== 'POST') {
+      const url = presignUrl({
+        method,
+        url: `${bucketUrl}/${key.split('/').map(encodeURIComponent).join('/')}`,
+        accessKeyId,
+        secretAccessKey,
+        expires: expiresIn
+      });
+      return res.status(200).json({ method, url, expiresAt });
+    }
+
+    const formFields = createPostPolicyFields({
+      bucket,
+      key,
+      accessKeyId,
+      secretAccessKey,
+      expires: expiresIn,
+      conditions,
+      fields
+    });
+    try {
+      parsePostPolicy(formFields.policy);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(200).json({ method, url: bucketUrl, fields: formFields, expiresAt });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to presign request',
+      details: error.message
+    });
+  }
+});
+
+export default router;
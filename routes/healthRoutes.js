@@ -1,6 +1,12 @@
 import express from 'express';
-import { getBalance } from '../lib/irysClient.js';
-import { getStats } from '../lib/database.js';
+import { getWalletStatuses, getUploadQuote } from '../lib/irysClient.js';
+import { listWallets } from '../lib/wallets.js';
+import { parseByteCount } from '../controllers/quoteController.js';
+import { getStats, listFundingEvents } from '../lib/database.js';
+import { getBalanceMonitorStatus } from '../lib/balanceMonitor.js';
+import { getUploadQueueStats } from '../lib/uploadQueue.js';
+import { getReceiptVerificationStatus } from '../lib/receiptVerifier.js';
+import { getCacheStats } from '../lib/contentCache.js';
 
 const router = express.Router();
 
@@ -28,16 +34,10 @@ router.get('/health', async (req, res) => {
  */
 router.get('/status', async (req, res) => {
   try {
-    // Get Irys account balance
-    let balance = null;
-    let balanceError = null;
-    
-    try {
-      const rawBalance = await getBalance();
-      balance = rawBalance.toString();
-    } catch (err) {
-      balanceError = err.message;
-    }
+    // Get the address and balance of every Irys wallet; the default wallet comes first
+    const wallets = await getWalletStatuses();
+    const balance = wallets[0].balance;
+    const balanceError = wallets.find(wallet => wallet.error)?.error || null;
 
     // Get database statistics
     let dbStats = null;
@@ -49,6 +49,19 @@ router.get('/status', async (req, res) => {
       dbError = err.message;
     }
 
+    // Get recent funding transactions, the upload queue and receipt verification
+    let fundingEvents = null;
+    let uploadQueue = null;
+    let receipts = null;
+
+    try {
+      fundingEvents = await listFundingEvents({ limit: 20 });
+      uploadQueue = await getUploadQueueStats();
+      receipts = await getReceiptVerificationStatus();
+    } catch (err) {
+      dbError = dbError || err.message;
+    }
+
     const status = {
       service: 'S3-Irys API',
       version: '1.0.0',
@@ -57,13 +70,21 @@ router.get('/status', async (req, res) => {
       irys: {
         connected: !balanceError,
         balance: balance,
-        error: balanceError
+        error: balanceError,
+        wallets
       },
       database: {
         connected: !dbError,
         stats: dbStats,
         error: dbError
       },
+      funding: {
+        monitor: getBalanceMonitorStatus(),
+        recentEvents: fundingEvents
+      },
+      uploadQueue,
+      receipts,
+      cache: getCacheStats(),
       memory: process.memoryUsage(),
       environment: process.env.NODE_ENV || 'development'
     };
@@ -80,13 +101,50 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Upload price endpoint
+ * Prices `?bytes=` with the wallet named by `?wallet=`, or the one funding `?bucket=`
+ */
+router.get('/price', async (req, res) => {
+  const bytes = parseByteCount(req.query.bytes);
+  if (bytes === undefined || bytes === null) {
+    return res.status(400).json({ error: 'The bytes parameter must be a non-negative integer' });
+  }
+  if (req.query.wallet && !listWallets().some(wallet => wallet.name === req.query.wallet)) {
+    return res.status(400).json({ error: `Unknown wallet: ${req.query.wallet}` });
+  }
+
+  try {
+    const quote = await getUploadQuote(bytes, { bucket: req.query.bucket, wallet: req.query.wallet });
+    res.status(200).json(quote);
+  } catch (error) {
+    res.status(503).json({
+      error: 'Failed to get upload price',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Metrics endpoint for monitoring
  */
 router.get('/metrics', async (req, res) => {
   try {
     const stats = await getStats();
+    const cacheStats = getCacheStats();
     const memUsage = process.memoryUsage();
+    const wallets = await getWalletStatuses();
+    const monitoredWallets = getBalanceMonitorStatus().wallets;
+
+    // Funding transactions by wallet, reason and status, with the amounts moved
+    const fundingTotals = new Map();
+    for (const event of await listFundingEvents()) {
+      const labels = `wallet="${event.wallet}",reason="${event.reason}",status="${event.status}"`;
+      const total = fundingTotals.get(labels) || { count: 0, amount: 0n };
+      total.count += 1;
+      total.amount += BigInt(event.amount);
+      fundingTotals.set(labels, total);
+    }
     
     // Simple Prometheus-style metrics
     const metrics = [
@@ -98,6 +156,43 @@ router.get('/metrics', async (req, res) => {
       `# TYPE s3_irys_buckets_total counter`, 
       `s3_irys_buckets_total ${stats.buckets}`,
       ``,
+      `# HELP s3_irys_wallet_balance Irys account balance in atomic units of the wallet's token`,
+      `# TYPE s3_irys_wallet_balance gauge`,
+      ...wallets
+        .filter(wallet => wallet.balance !== null)
+        .map(wallet => `s3_irys_wallet_balance{wallet="${wallet.name}",token="${wallet.token}"} ${wallet.balance}`),
+      ``,
+      `# HELP s3_irys_wallet_low Whether the wallet was below its low-water mark at the last balance check`,
+      `# TYPE s3_irys_wallet_low gauge`,
+      ...monitoredWallets
+        .filter(wallet => wallet.low !== undefined)
+        .map(wallet => `s3_irys_wallet_low{wallet="${wallet.wallet}"} ${wallet.low ? 1 : 0}`),
+      ``,
+      `# HELP s3_irys_funding_events_total Funding transactions by wallet, reason and status`,
+      `# TYPE s3_irys_funding_events_total counter`,
+      ...[...fundingTotals].map(([labels, total]) => `s3_irys_funding_events_total{${labels}} ${total.count}`),
+      ``,
+      `# HELP s3_irys_funding_amount_total Amount funded in atomic units, by wallet, reason and status`,
+      `# TYPE s3_irys_funding_amount_total counter`,
+      ...[...fundingTotals].map(([labels, total]) => `s3_irys_funding_amount_total{${labels}} ${total.amount}`),
+      ``,
+      `# HELP s3_irys_cache_requests_total Content cache lookups by result`,
+      `# TYPE s3_irys_cache_requests_total counter`,
+      `s3_irys_cache_requests_total{result="hit"} ${cacheStats.hits}`,
+      `s3_irys_cache_requests_total{result="miss"} ${cacheStats.misses}`,
+      ``,
+      `# HELP s3_irys_cache_evictions_total Objects evicted from the content cache`,
+      `# TYPE s3_irys_cache_evictions_total counter`,
+      `s3_irys_cache_evictions_total ${cacheStats.evictions}`,
+      ``,
+      `# HELP s3_irys_cache_size_bytes Bytes stored in the content cache`,
+      `# TYPE s3_irys_cache_size_bytes gauge`,
+      `s3_irys_cache_size_bytes ${cacheStats.size}`,
+      ``,
+      `# HELP s3_irys_cache_objects Objects stored in the content cache`,
+      `# TYPE s3_irys_cache_objects gauge`,
+      `s3_irys_cache_objects ${cacheStats.objects}`,
+      ``,
       `# HELP nodejs_memory_usage_bytes Memory usage in bytes`,
       `# TYPE nodejs_memory_usage_bytes gauge`,
       `nodejs_memory_usage_bytes{type="rss"} ${memUsage.rss}`,
@@ -1,52 +1,206 @@
 import express from 'express';
 import { 
   putObject, 
+  copyObject,
   getObject, 
   deleteObject, 
+  deleteObjects,
   listObjectsV1, 
+  listObjectsV2,
   listAllBuckets,
   headObject 
 } from '../controllers/s3Controller.js';
-import { handleRawUpload, authenticateApiKey } from '../middleware/index.js';
+import {
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  listParts,
+  listMultipartUploads
+} from '../controllers/multipartController.js';
+import {
+  getBucketVersioning,
+  putBucketVersioning,
+  listObjectVersions
+} from '../controllers/versioningController.js';
+import {
+  createBucket,
+  headBucket,
+  deleteBucket,
+  getBucketPolicy,
+  putBucketPolicy,
+  deleteBucketPolicy
+} from '../controllers/bucketController.js';
+import { acceptPostForm, postObject } from '../controllers/postObjectController.js';
+import { getObjectTagging, putObjectTagging, deleteObjectTagging } from '../controllers/taggingController.js';
+import { quoteUpload } from '../controllers/quoteController.js';
+import { getObjectReceipt } from '../controllers/receiptController.js';
+import {
+  handleRawUpload,
+  bufferRequestBody,
+  rejectRepeatedQueryParameters,
+  authenticateRequest,
+  requireUploadFunds
+} from '../middleware/index.js';
+import { getBucket } from '../lib/database.js';
+import { authorize } from '../lib/authorization.js';
+import { sendS3Error } from '../lib/s3Response.js';
+import config from '../config/config.js';
 
 const router = express.Router();
 
-router.use(authenticateApiKey);
+router.use(rejectRepeatedQueryParameters);
+router.use(authenticateRequest);
 
 /**
  * S3-Compatible API Routes
  * 
  * Route Pattern Matching:
  * - GET / - List all buckets
- * - GET /{bucket} - List objects in bucket
+ * - PUT /{bucket} - Create bucket
+ * - HEAD /{bucket} - Check that a bucket exists
+ * - DELETE /{bucket} - Delete an empty bucket
+ * - GET /{bucket} - List objects in bucket (?list-type=2 for ListObjectsV2)
  * - PUT /{bucket}/{key} - Upload object
+ * - PUT /{bucket}/{key} with x-amz-copy-source - Copy object
  * - GET /{bucket}/{key} - Download object  
  * - DELETE /{bucket}/{key} - Delete object
  * - HEAD /{bucket}/{key} - Get object metadata
+ * - POST /{bucket} with multipart/form-data - Browser form upload (POST policy)
+ * - POST /{bucket}?delete - Delete up to 1000 objects (DeleteObjects)
+ *
+ * Multipart uploads:
+ * - GET /{bucket}?uploads - List in-progress multipart uploads
+ * - POST /{bucket}/{key}?uploads - Create multipart upload
+ * - PUT /{bucket}/{key}?partNumber&uploadId - Upload part
+ * - POST /{bucket}/{key}?uploadId - Complete multipart upload
+ * - GET /{bucket}/{key}?uploadId - List parts
+ * - DELETE /{bucket}/{key}?uploadId - Abort multipart upload
+ *
+ * Object tagging (also x-amz-tagging on uploads; GET and HEAD report x-amz-tagging-count):
+ * - GET|PUT|DELETE /{bucket}/{key}?tagging[&versionId] - Get, replace or remove the tags of an object
+ *
+ * Bucket policies (evaluated for every request before it is dispatched):
+ * - GET|PUT|DELETE /{bucket}?policy - Get, set or remove the bucket policy
+ *
+ * Versioning:
+ * - GET /{bucket}?versioning - Get bucket versioning state
+ * - PUT /{bucket}?versioning - Enable or suspend versioning
+ * - GET /{bucket}?versions - List object versions and delete markers
+ * - GET|HEAD|DELETE /{bucket}/{key}?versionId - Address a specific version
+ *
+ * Billing:
+ * - GET /{bucket}/{key}?quote[&bytes=N] - Quote the cost of uploading to a key
+ *
+ * Receipts:
+ * - GET /{bucket}/{key}?receipt[&versionId] - Signed Irys receipt of an object
  */
 
 router.get('/', listAllBuckets);
 
-router.use('/:bucket', (req, res, next) => {
+router.use('/:bucket', async (req, res, next) => {
   const remainder = req.path.replace(/^\/+/, '');
 
+  if (req.method === 'OPTIONS') {
+    return res.status(200).send();
+  }
+
+  if (remainder) {
+    req.params.key = decodeURIComponent(remainder);
+  }
+
+  // Access key grants and the bucket policy are checked before any body is read. Handlers
+  // check again, along with anything else they touch, such as the source of a copy
+  const operation = resolveOperation(req);
+  if (operation && !await authorize(req, res, operation.action, req.params.bucket, operation.key)) {
+    req.resume();
+    return;
+  }
+
+  if (!remainder) {
+    if ('policy' in req.query) {
+      return routeBucketPolicy(req, res, next);
+    }
+    if (req.method === 'PUT' && !('versioning' in req.query)) {
+      return bufferRequestBody(req, res, (err) => {
+        if (err) return next(err);
+        return createBucket(req, res);
+      });
+    }
+    if (req.method === 'HEAD') {
+      return headBucket(req, res);
+    }
+    if (req.method === 'DELETE') {
+      return deleteBucket(req, res);
+    }
+  }
+
+  if (!await getBucket(req.params.bucket)) {
+    // Writes may create the bucket on the fly when AUTO_CREATE_BUCKETS is set
+    const autoCreates = config.api.autoCreateBuckets && ['PUT', 'POST'].includes(req.method);
+    if (!autoCreates) {
+      req.resume();
+      return sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+  }
+
   if (!remainder) {
     if (req.method === 'GET') {
-      return listObjectsV1(req, res);
+      if ('uploads' in req.query) {
+        return listMultipartUploads(req, res);
+      }
+      if ('versioning' in req.query) {
+        return getBucketVersioning(req, res);
+      }
+      if ('versions' in req.query) {
+        return listObjectVersions(req, res);
+      }
+      return req.query['list-type'] === '2'
+        ? listObjectsV2(req, res)
+        : listObjectsV1(req, res);
+    }
+    if (req.method === 'PUT' && 'versioning' in req.query) {
+      return bufferRequestBody(req, res, (err) => {
+        if (err) return next(err);
+        return putBucketVersioning(req, res);
+      });
+    }
+    if (req.method === 'POST' && 'delete' in req.query) {
+      return bufferRequestBody(req, res, (err) => {
+        if (err) return next(err);
+        return deleteObjects(req, res);
+      });
     }
-    if (req.method === 'OPTIONS') {
-      return res.status(200).send();
+    if (req.method === 'POST') {
+      return routePostObject(req, res, next);
     }
-    return res.status(405).send('Method Not Allowed');
+    return sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
   }
 
-  req.params.key = decodeURIComponent(remainder);
+  if ('uploadId' in req.query || 'uploads' in req.query) {
+    return routeMultipart(req, res, next);
+  }
+  if ('tagging' in req.query) {
+    return routeObjectTagging(req, res, next);
+  }
 
+  if (req.method === 'PUT' && req.get('x-amz-copy-source')) {
+    return bufferRequestBody(req, res, (err) => {
+      if (err) return next(err);
+      return copyObject(req, res);
+    });
+  }
   if (req.method === 'PUT') {
-    return handleRawUpload(req, res, (err) => {
+    return requireUploadFunds(req, res, () => handleRawUpload(req, res, (err) => {
       if (err) return next(err);
       return putObject(req, res);
-    });
+    }));
+  }
+  if (req.method === 'GET' && 'quote' in req.query) {
+    return quoteUpload(req, res);
+  }
+  if (req.method === 'GET' && 'receipt' in req.query) {
+    return getObjectReceipt(req, res);
   }
   if (req.method === 'GET') {
     return getObject(req, res);
@@ -57,10 +211,154 @@ router.use('/:bucket', (req, res, next) => {
   if (req.method === 'HEAD') {
     return headObject(req, res);
   }
-  if (req.method === 'OPTIONS') {
-    return res.status(200).send();
-  }
-  return res.status(405).send('Method Not Allowed');
+  return sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
 });
 
+/**
+ * Work out the action a request performs and the key it applies to (the listed prefix for
+ * listings), following the dispatch in this file
+ * @param {Object} req - Express request object, with req.params.key set for object requests
+ * @returns {Object|null} `{ action, key }`, or null for requests answered with 405 and for
+ * those naming their keys in the body (browser form uploads and DeleteObjects), which their
+ * handlers authorize key by key
+ */
+function resolveOperation(req) {
+  const { method, query } = req;
+  const { key } = req.params;
+  const listing = action => ({ action, key: query.prefix || '' });
+
+  if (key === undefined) {
+    if ('policy' in query) {
+      const action = { GET: 's3:GetBucketPolicy', PUT: 's3:PutBucketPolicy', DELETE: 's3:DeleteBucketPolicy' }[method];
+      return action ? { action } : null;
+    }
+    if (method === 'PUT') {
+      return { action: 'versioning' in query ? 's3:PutBucketVersioning' : 's3:CreateBucket' };
+    }
+    if (method === 'HEAD') {
+      return { action: 's3:ListBucket' };
+    }
+    if (method === 'DELETE') {
+      return { action: 's3:DeleteBucket' };
+    }
+    if (method === 'GET') {
+      if ('uploads' in query) {
+        return listing('s3:ListBucketMultipartUploads');
+      }
+      if ('versioning' in query) {
+        return { action: 's3:GetBucketVersioning' };
+      }
+      return listing('versions' in query ? 's3:ListBucketVersions' : 's3:ListBucket');
+    }
+    return null;
+  }
+
+  if ('uploadId' in query || 'uploads' in query) {
+    const action = {
+      POST: 's3:PutObject',
+      PUT: 's3:PutObject',
+      GET: 's3:ListMultipartUploadParts',
+      DELETE: 's3:AbortMultipartUpload'
+    }[method];
+    return action ? { action, key } : null;
+  }
+
+  if ('tagging' in query) {
+    const action = {
+      GET: 's3:GetObjectTagging',
+      PUT: 's3:PutObjectTagging',
+      DELETE: 's3:DeleteObjectTagging'
+    }[method];
+    return action ? { action, key } : null;
+  }
+
+  const action = {
+    PUT: 's3:PutObject',
+    GET: 'quote' in query ? 's3:PutObject' : 's3:GetObject',
+    HEAD: 's3:GetObject',
+    DELETE: 's3:DeleteObject'
+  }[method];
+  return action ? { action, key } : null;
+}
+
+/**
+ * Dispatch the ?policy sub-resource of a bucket
+ */
+function routeBucketPolicy(req, res, next) {
+  if (req.method === 'GET') {
+    return getBucketPolicy(req, res);
+  }
+  if (req.method === 'PUT') {
+    return bufferRequestBody(req, res, (err) => {
+      if (err) return next(err);
+      return putBucketPolicy(req, res);
+    });
+  }
+  if (req.method === 'DELETE') {
+    return deleteBucketPolicy(req, res);
+  }
+  return sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+}
+
+/**
+ * Dispatch the ?tagging sub-resource of an object
+ */
+function routeObjectTagging(req, res, next) {
+  if (req.method === 'GET') {
+    return getObjectTagging(req, res);
+  }
+  if (req.method === 'PUT') {
+    return bufferRequestBody(req, res, (err) => {
+      if (err) return next(err);
+      return putObjectTagging(req, res);
+    });
+  }
+  if (req.method === 'DELETE') {
+    return deleteObjectTagging(req, res);
+  }
+  return sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+}
+
+/**
+ * Receive a browser form upload, checking the form before its file is stored
+ */
+function routePostObject(req, res, next) {
+  if (!(req.get('Content-Type') || '').startsWith('multipart/form-data')) {
+    req.resume();
+    return sendS3Error(req, res, 412, 'PreconditionFailed', 'Bucket POST must be of the enclosure-type multipart/form-data');
+  }
+  return requireUploadFunds(req, res, () => handleRawUpload(req, res, (err) => {
+    if (err) return next(err);
+    return postObject(req, res);
+  }, { acceptFile: acceptPostForm }));
+}
+
+/**
+ * Dispatch multipart upload sub-resources on an object key
+ */
+function routeMultipart(req, res, next) {
+  if (req.method === 'POST' && 'uploads' in req.query) {
+    return createMultipartUpload(req, res);
+  }
+  if (req.method === 'PUT' && 'partNumber' in req.query) {
+    return handleRawUpload(req, res, (err) => {
+      if (err) return next(err);
+      return uploadPart(req, res);
+    });
+  }
+  if (req.method === 'POST') {
+    return bufferRequestBody(req, res, (err) => {
+      if (err) return next(err);
+      return completeMultipartUpload(req, res);
+    });
+  }
+  if (req.method === 'GET') {
+    return listParts(req, res);
+  }
+  if (req.method === 'DELETE') {
+    return abortMultipartUpload(req, res);
+  }
+  return sendS3Error(req, res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+}
+
 export default router;
\ No newline at end of file
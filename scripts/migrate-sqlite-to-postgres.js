@@ -0,0 +1,112 @@
+/**
+ * Copy an existing SQLite metadata database into an empty PostgreSQL database
+ *
+ * Usage: node scripts/migrate-sqlite-to-postgres.js [--from <sqlite file>] [--to <postgres url>]
+ *
+ * --from defaults to DB_PATH and --to to DATABASE_URL. Both databases are migrated to the
+ * latest schema first (so an old SQLite file is upgraded in place, as on server start), then
+ * every table is copied in one transaction, keeping row ids. Stop the API while copying, or
+ * writes made in the meantime are lost.
+ */
+import { promises as fs } from 'fs';
+import config from '../config/config.js';
+import { createDatabaseDriver } from '../lib/db/index.js';
+import { migrateDatabase } from '../lib/db/migrate.js';
+
+const BATCH_SIZE = 500;
+
+// Tables in copy order; serial tables get their id sequence moved past the copied rows
+const TABLES = [
+  { name: 'buckets', serial: true },
+  { name: 'objects', serial: true },
+  { name: 'object_versions', serial: true },
+  { name: 'multipart_uploads', serial: true },
+  { name: 'multipart_parts', serial: true },
+  { name: 'funding_events', serial: true },
+  { name: 'pending_uploads', serial: false },
+  { name: 'receipts', serial: false },
+  { name: 'access_keys', serial: false }
+];
+
+function parseArgs(args) {
+  const options = { from: config.database.path, to: config.database.url };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from' && args[i + 1]) {
+      options.from = args[++i];
+    } else if (args[i] === '--to' && args[i + 1]) {
+      options.to = args[++i];
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  if (!options.to) {
+    throw new Error('No PostgreSQL database given (--to or DATABASE_URL)');
+  }
+  return options;
+}
+
+async function copyTable(source, tx, { name, serial }) {
+  const columns = (await tx.all(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ?
+     ORDER BY ordinal_position`,
+    [name]
+  )).map(row => row.column_name);
+
+  const { count } = await tx.get(`SELECT COUNT(*) AS count FROM ${name}`);
+  if (count > 0) {
+    throw new Error(`Target table ${name} is not empty`);
+  }
+
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  let copied = 0;
+  let rows = await source.all(`SELECT * FROM ${name} ORDER BY rowid LIMIT ? OFFSET ?`, [BATCH_SIZE, copied]);
+  while (rows.length) {
+    await tx.run(
+      `INSERT INTO ${name} (${columns.join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`,
+      rows.flatMap(row => columns.map(column => row[column] ?? null))
+    );
+    copied += rows.length;
+    rows = await source.all(`SELECT * FROM ${name} ORDER BY rowid LIMIT ? OFFSET ?`, [BATCH_SIZE, copied]);
+  }
+
+  if (serial) {
+    await tx.get(
+      `SELECT setval(pg_get_serial_sequence(?, 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${name}`,
+      [name]
+    );
+  }
+
+  return copied;
+}
+
+let source = null;
+let target = null;
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  await fs.access(options.from).catch(() => {
+    throw new Error(`SQLite database not found: ${options.from}`);
+  });
+
+  source = await createDatabaseDriver({ driver: 'sqlite', path: options.from });
+  target = await createDatabaseDriver({ driver: 'postgres', url: options.to, poolSize: 1 });
+  await migrateDatabase(source);
+  await migrateDatabase(target);
+
+  const counts = await target.transaction(async (tx) => {
+    const copied = {};
+    for (const table of TABLES) {
+      copied[table.name] = await copyTable(source, tx, table);
+    }
+    return copied;
+  });
+
+  console.log(JSON.stringify({ from: options.from, copied: counts }, null, 2));
+} catch (error) {
+  console.error('Migration to PostgreSQL failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await source?.close();
+  await target?.close();
+}
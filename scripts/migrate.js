@@ -0,0 +1,56 @@
+/**
+ * Show, apply or roll back schema migrations of the configured database
+ *
+ * Usage: node scripts/migrate.js [status]
+ *        node scripts/migrate.js up [--to <version>]
+ *        node scripts/migrate.js down --to <version>
+ *
+ * The server applies pending migrations at startup, so `up` is only needed to migrate ahead of
+ * a deploy. `down` undoes every migration newer than the given version; the initial schema
+ * (version 1) cannot be rolled back. Stop the API (or roll it back first) before going down.
+ */
+import { createDatabaseDriver } from '../lib/db/index.js';
+import { migrateDatabase, rollbackDatabase, getMigrationStatus } from '../lib/db/migrate.js';
+
+const COMMANDS = ['status', 'up', 'down'];
+
+function parseArgs(args) {
+  const options = { command: 'status' };
+  for (let i = 0; i < args.length; i++) {
+    if (i === 0 && COMMANDS.includes(args[i])) {
+      options.command = args[i];
+    } else if (args[i] === '--to' && /^\d+$/.test(args[i + 1] || '')) {
+      options.to = parseInt(args[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  if (options.command === 'down' && options.to === undefined) {
+    throw new Error('down needs --to <version>');
+  }
+  return options;
+}
+
+let driver = null;
+
+try {
+  const { command, to } = parseArgs(process.argv.slice(2));
+  driver = await createDatabaseDriver();
+
+  if (command === 'up') {
+    const applied = await migrateDatabase(driver, { to });
+    console.log(applied.length ? `Applied ${applied.join(', ')}` : 'Nothing to apply');
+  } else if (command === 'down') {
+    const rolledBack = await rollbackDatabase(driver, { to });
+    console.log(rolledBack.length ? `Rolled back ${rolledBack.join(', ')}` : 'Nothing to roll back');
+  }
+
+  for (const { version, name, appliedAt } of await getMigrationStatus(driver)) {
+    console.log(`${String(version).padStart(4)}  ${appliedAt ? `applied ${appliedAt}` : 'pending'.padEnd(27)}  ${name}`);
+  }
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await driver?.close();
+}
@@ -0,0 +1,38 @@
+/**
+ * Check the object index against the transactions our wallets uploaded to Irys, or rebuild it
+ *
+ * Usage: node scripts/reconcile.js [--apply] [--bucket <name>]
+ *
+ * Without --apply only the drift report is printed. With --apply, objects that are newer on
+ * chain are restored, which rebuilds the objects and buckets tables after losing the database.
+ */
+import { initDatabase } from '../lib/database.js';
+import { initIrysClient } from '../lib/irysClient.js';
+import { reconcileWithIrys } from '../lib/reconciler.js';
+
+function parseArgs(args) {
+  const options = { apply: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--apply') {
+      options.apply = true;
+    } else if (args[i] === '--bucket' && args[i + 1]) {
+      options.bucket = args[++i];
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  await initDatabase();
+  await initIrysClient();
+
+  const report = await reconcileWithIrys(options);
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.errors.length ? 1 : 0);
+} catch (error) {
+  console.error('Reconciliation failed:', error.message);
+  process.exit(1);
+}
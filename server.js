@@ -3,14 +3,22 @@ import cors from 'cors';
 import helmet from 'helmet';
 import config from './config/config.js';
 import { initDatabase } from './lib/database.js';
-import { getIrysUploader } from './lib/irysClient.js';
+import { initIrysClient } from './lib/irysClient.js';
+import { startMultipartSweeper } from './lib/multipart.js';
+import { initContentCache } from './lib/contentCache.js';
+import { startBalanceMonitor } from './lib/balanceMonitor.js';
+import { startUploadWorker } from './lib/uploadQueue.js';
+import { startReceiptVerifier } from './lib/receiptVerifier.js';
+import { isAuthenticationRequired } from './lib/credentials.js';
 import s3Routes from './routes/s3Routes.js';
 import healthRoutes from './routes/healthRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import { 
   corsOptions, 
   errorHandler, 
   requestLogger 
 } from './middleware/index.js';
+import { sendS3Error } from './lib/s3Response.js';
 import swaggerUi from 'swagger-ui-express';
 import fs from 'fs';
 import path from 'path';
@@ -33,9 +41,15 @@ async function initServer() {
     await initDatabase();
     console.log('✅ Database initialized');
     
+    startMultipartSweeper();
+    await initContentCache();
+    
     console.log('🌐 Connecting to Irys...');
-    await getIrysUploader();
+    await initIrysClient();
     console.log('✅ Connected to Irys');
+    startBalanceMonitor();
+    startUploadWorker();
+    startReceiptVerifier();
     
     console.log('🎯 Server initialization complete');
     
@@ -49,6 +63,9 @@ async function initServer() {
  * Configure Express middleware
  */
 function configureMiddleware() {
+  // Behind a proxy, req.ip (the aws:SourceIp of bucket policies) comes from X-Forwarded-For
+  app.set('trust proxy', config.server.trustProxy);
+
   app.use(helmet({
     crossOriginEmbedderPolicy: false // Allow CORS
   }));
@@ -58,7 +75,7 @@ function configureMiddleware() {
   }
   
   app.use(requestLogger);
-  app.use(express.json({ limit: '1mb' }));
+  // No global body parser: S3 routes stream request bodies themselves
 }
 
 /**
@@ -66,6 +83,7 @@ function configureMiddleware() {
  */
 function configureRoutes() {
   app.use('/', healthRoutes);
+  app.use('/admin', adminRoutes);
   
   const openapiPath = path.join(__dirname, 'openapi.yaml');
   let openapiDoc = null;
@@ -103,10 +121,7 @@ function configureRoutes() {
   
   app.use('/', s3Routes);
   app.use((req, res) => {
-    res.status(404).json({
-      error: 'NoSuchBucket',
-      message: 'The specified resource does not exist'
-    });
+    sendS3Error(req, res, 404, 'NoSuchBucket', 'The specified resource does not exist');
   });
   
   app.use(errorHandler);
@@ -121,6 +136,7 @@ async function startServer() {
   configureRoutes();
   
   const port = config.server.port;
+  const authenticationRequired = await isAuthenticationRequired();
   
   app.listen(port, () => {
     console.log('');
@@ -130,20 +146,36 @@ async function startServer() {
     console.log(`🏥 Health Check: http://localhost:${port}/health`);
     console.log(`📊 Status: http://localhost:${port}/status`);
     console.log(`📈 Metrics: http://localhost:${port}/metrics`);
+    console.log(`💰 Upload Price: http://localhost:${port}/price?bytes=1024`);
     console.log(`📚 API Docs: http://localhost:${port}/docs`);
     console.log(`📄 OpenAPI Spec: http://localhost:${port}/openapi.json`);
     console.log('');
     console.log('📚 API Endpoints:');
     console.log(`   GET    /                    - List all buckets`);
+    console.log(`   PUT    /{bucket}            - Create bucket`);
     console.log(`   GET    /{bucket}            - List objects in bucket`);
+    console.log(`   PUT    /{bucket}?policy     - Set the bucket policy`);
     console.log(`   PUT    /{bucket}/{key}      - Upload object`);
+    console.log(`   POST   /{bucket}            - Browser form upload (POST policy)`);
+    console.log(`   POST   /{bucket}?delete     - Delete multiple objects`);
     console.log(`   GET    /{bucket}/{key}      - Download object`);
     console.log(`   DELETE /{bucket}/{key}      - Delete object`);
     console.log(`   HEAD   /{bucket}/{key}      - Get object metadata`);
+    console.log(`   PUT    /{bucket}/{key}?tagging - Replace the tags of an object`);
+    console.log(`   POST   /{bucket}/{key}?uploads - Start multipart upload`);
+    console.log(`   GET    /{bucket}/{key}?quote - Quote upload cost`);
+    console.log(`   GET    /{bucket}/{key}?receipt - Get the signed Irys receipt`);
+    console.log(`   POST   /admin/fund          - Fund an Irys wallet`);
+    console.log(`   POST   /admin/receipts/verify - Re-verify stored receipts`);
+    console.log(`   POST   /admin/reconcile     - Compare or rebuild the index from Irys`);
+    console.log(`   POST   /admin/access-keys   - Issue an access key with per-bucket grants`);
+    console.log(`   POST   /admin/presign       - Mint a presigned URL or upload form`);
     console.log('');
     console.log(`🔧 Environment: ${config.server.nodeEnv}`);
     console.log(`🌐 Irys Network: ${config.irys.network}`);
-    console.log(`🔐 API Key Required: ${config.api.apiKey ? 'Yes' : 'No'}`);
+    console.log(`💾 Storage Backend: ${config.storage.backend}`);
+    console.log(`📬 Upload Mode: ${config.uploadQueue.enabled ? 'asynchronous (queued)' : 'synchronous'}`);
+    console.log(`🔐 Authentication Required: ${authenticationRequired ? 'Yes' : 'No'}`);
     console.log('');
   });
 }